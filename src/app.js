@@ -5,15 +5,24 @@ import cookieParser from "cookie-parser";
 import swaggerJsdoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express";
 import {options} from './utils/swagger.js'
+import { LOCAL_STORAGE_DIR } from "./constants.js";
+import { verifyMediaSignature } from "./middlewares/media.middleware.js";
+import {
+  tusOptions,
+  TUS_EXPOSED_HEADERS,
+} from "./middlewares/tus.middleware.js";
 
 const specs = swaggerJsdoc(options);
 const app = express();
 
+// tus discovery requests are OPTIONS requests, answered by cors below
+app.options("/api/v1/uploads*", tusOptions);
 // configure cors policies. this is to make sure our backend only communicates with specfic frontend
 app.use(
   cors({
     origin: process.env.CORS_ORIGIN,
     credentials: true,
+    exposedHeaders: TUS_EXPOSED_HEADERS,
   })
 );
 
@@ -23,6 +32,8 @@ app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 // config for static files like public folder we created
 app.use(express.static("public"));
+// files stored with the local storage driver
+app.use("/media", verifyMediaSignature, express.static(LOCAL_STORAGE_DIR));
 // config for cookie parser to do crud on user cookies
 app.use(cookieParser());
 
@@ -34,6 +45,9 @@ import { PlaylistRouter } from "./routes/playlist.routes.js";
 import { likeRouter } from "./routes/like.routes.js";
 import { commentRouter } from "./routes/comment.routes.js";
 import { dashboardRouter } from "./routes/dashboard.routes.js";
+import { uploadRouter } from "./routes/upload.routes.js";
+import { trashRouter } from "./routes/trash.routes.js";
+import { feedRouter } from "./routes/feed.routes.js";
 
 // swagger docs
 app.use("/api/v1/api-docs", swaggerUi.serve, swaggerUi.setup(specs));
@@ -46,6 +60,9 @@ app.use("/api/v1/playlist", PlaylistRouter);
 app.use("/api/v1/likes", likeRouter);
 app.use("/api/v1/comment", commentRouter);
 app.use("/api/v1/dashboard", dashboardRouter);
+app.use("/api/v1/uploads", uploadRouter);
+app.use("/api/v1/trash", trashRouter);
+app.use("/api/v1/feed", feedRouter);
 
 app.get("/api/v1", (req, res) => {
   res.status(200).json({
@@ -1 +1,227 @@
 export const DB_NAME = "backend-dev"
+
+export const USER_ROLES = ["user", "moderator", "admin"];
+
+// days between a deletion request and the account actually being purged
+export const ACCOUNT_DELETION_GRACE_DAYS = 14;
+
+// finished data export archives can be downloaded for this many hours
+export const DATA_EXPORT_TTL_HOURS = 48;
+export const DATA_EXPORT_DIR = "./storage/exports";
+
+// brute force protection for login and password reset. after `freeAttempts`
+// failures every further attempt has to wait baseDelay * 2^n seconds, and
+// `maxAttempts` failures lock the key for `lockMinutes`
+export const AUTH_THROTTLE = {
+  account: { freeAttempts: 3, maxAttempts: 10, lockMinutes: 15 },
+  ip: { freeAttempts: 10, maxAttempts: 50, lockMinutes: 15 },
+  baseDelaySeconds: 1,
+  maxDelaySeconds: 300,
+  windowMinutes: 60,
+};
+
+// magic sign in links are single use and only valid for this long
+export const MAGIC_LINK_TTL_MINUTES = 15;
+
+// an email change has to be confirmed from the new address within this time,
+// and can be undone from the old address for the longer undo window
+export const EMAIL_CHANGE_CONFIRM_HOURS = 24;
+export const EMAIL_CHANGE_UNDO_DAYS = 7;
+
+// a username that was given up stays reserved for its previous owner this long
+export const USERNAME_RELEASE_COOLDOWN_DAYS = 30;
+
+// media storage. STORAGE_DRIVER picks the provider new uploads go to
+export const STORAGE_PROVIDERS = ["local", "cloudinary", "s3"];
+export const LOCAL_STORAGE_DIR = "./storage/media";
+export const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+// resumable (tus) video uploads. partial files live in UPLOAD_DIR until they
+// are finished or expire
+export const TUS_VERSION = "1.0.0";
+export const UPLOAD_DIR = "./storage/uploads";
+export const UPLOAD_EXPIRY_HOURS = 24;
+export const UPLOAD_QUOTA = {
+  maxFileSize: 5 * 1024 * 1024 * 1024,
+  maxActiveUploads: 3,
+  dailyBytes: 20 * 1024 * 1024 * 1024,
+};
+
+// video processing (ffprobe/ffmpeg). renditions larger than the source are
+// skipped, except the smallest one which is always made
+export const VIDEO_PROCESSING_STATUSES = [
+  "queued",
+  "processing",
+  "ready",
+  "failed",
+];
+export const VIDEO_RENDITIONS = [
+  {
+    name: "360p",
+    height: 360,
+    videoBitrate: 800,
+    audioBitrate: 96,
+    level: "3.0",
+  },
+  {
+    name: "480p",
+    height: 480,
+    videoBitrate: 1400,
+    audioBitrate: 128,
+    level: "3.0",
+  },
+  {
+    name: "720p",
+    height: 720,
+    videoBitrate: 2800,
+    audioBitrate: 128,
+    level: "3.1",
+  },
+  {
+    name: "1080p",
+    height: 1080,
+    videoBitrate: 5000,
+    audioBitrate: 192,
+    level: "4.0",
+  },
+];
+export const HLS_SEGMENT_SECONDS = 6;
+export const HLS_SEGMENT_NAME = (index) =>
+  `segment_${String(index).padStart(4, "0")}.ts`;
+export const THUMBNAIL_CANDIDATE_POSITIONS = [0.1, 0.5, 0.9];
+export const VIDEO_PROCESSING_DIR = "./storage/processing";
+
+export const VIDEO_VISIBILITIES = [
+  "public",
+  "unlisted",
+  "private",
+  "scheduled",
+];
+// how many users a private video can be shared with
+export const PRIVATE_VIDEO_MAX_VIEWERS = 50;
+
+// deleted videos, tweets and playlists stay restorable this long
+export const TRASH_RETENTION_DAYS = 30;
+export const TRASH_TYPES = ["video", "tweet", "playlist"];
+
+// duration filter of the video search in seconds: under 4 minutes, 4 to 20
+// and over 20, the same buckets youtube uses
+export const VIDEO_DURATION_BUCKETS = {
+  short: { max: 240 },
+  medium: { min: 240, max: 1200 },
+  long: { min: 1200 },
+};
+export const VIDEO_SORT_FIELDS = [
+  "relevance",
+  "createdAt",
+  "views",
+  "duration",
+  "title",
+];
+export const SEARCH_QUERY_MAX_LENGTH = 200;
+export const SEARCH_SUGGESTION_LIMIT = 10;
+
+// the categories a video can be filed under, managed here so every client
+// shows the same list
+export const VIDEO_CATEGORIES = [
+  { slug: "film-animation", name: "Film & Animation" },
+  { slug: "autos-vehicles", name: "Autos & Vehicles" },
+  { slug: "music", name: "Music" },
+  { slug: "pets-animals", name: "Pets & Animals" },
+  { slug: "sports", name: "Sports" },
+  { slug: "travel-events", name: "Travel & Events" },
+  { slug: "gaming", name: "Gaming" },
+  { slug: "people-blogs", name: "People & Blogs" },
+  { slug: "comedy", name: "Comedy" },
+  { slug: "entertainment", name: "Entertainment" },
+  { slug: "news-politics", name: "News & Politics" },
+  { slug: "howto-style", name: "Howto & Style" },
+  { slug: "education", name: "Education" },
+  { slug: "science-technology", name: "Science & Technology" },
+  { slug: "nonprofits-activism", name: "Nonprofits & Activism" },
+];
+export const VIDEO_TAGS_MAX = 15;
+export const VIDEO_TAG_MAX_LENGTH = 30;
+export const POPULAR_TAGS_LIMIT = 50;
+
+// view counting. the player sends a heartbeat every heartbeatSeconds while
+// playing. a view counts after minWatchSeconds of watching (or minWatchRatio
+// of shorter videos) and once per viewer and video in dedupWindowHours
+export const VIEW_TRACKING = {
+  heartbeatSeconds: 15,
+  minWatchSeconds: 30,
+  minWatchRatio: 0.5,
+  dedupWindowHours: 24,
+  sessionTtlHours: 6,
+  retentionDays: 30,
+};
+
+// watch history. a video counts as watched to the end from this percentage,
+// and shows up in "continue watching" after this many seconds
+export const WATCH_COMPLETED_PERCENT = 90;
+export const CONTINUE_WATCHING_MIN_SECONDS = 10;
+
+// trending. every intervalMinutes a job scores the videos of each window by
+// the views, likes, comments and new subscribers in it. each one counts with
+// its weight, halved for every halfLifeHours it is old. TRENDING_WEIGHTS in
+// the environment overrides weights, e.g. "likes:5,comments:8"
+export const TRENDING = {
+  windows: {
+    "24h": { hours: 24, halfLifeHours: 6 },
+    "7d": { hours: 7 * 24, halfLifeHours: 36 },
+    "30d": { hours: 30 * 24, halfLifeHours: 7 * 24 },
+  },
+  defaultWindow: "24h",
+  weights: { views: 1, likes: 4, comments: 6, subscribers: 10 },
+  intervalMinutes: 15,
+  // videos kept per snapshot, the top ones overall and of every category
+  snapshotSize: 200,
+  snapshotRetentionDays: 7,
+};
+
+// the home feed. candidates come from the user's subscriptions and the
+// channels, tags and categories of what they liked and watched, and are
+// ranked by the weighted sum of how well they match. every trendingEvery-th
+// video of the feed is a trending one instead, for exploration
+export const HOME_FEED = {
+  // how much a like or a watch says about the user's interests
+  signalWeights: { like: 3, completedWatch: 2, watch: 1 },
+  signalLimit: 200,
+  // the latest watched videos are left out of the feed, older ones may
+  // come back
+  excludeWatchedLimit: 1000,
+  topChannels: 20,
+  topTags: 10,
+  topCategories: 3,
+  candidateLimit: 300,
+  weights: {
+    subscription: 4,
+    channel: 2,
+    tags: 3,
+    category: 1.5,
+    freshness: 1,
+    popularity: 0.5,
+  },
+  freshnessHalfLifeDays: 7,
+  trendingEvery: 5,
+  trendingWindow: "24h",
+  trendingLimit: 100,
+};
+
+// related videos ("up next"). other public videos are scored by shared tags,
+// the same channel, shared title words and how many viewers of the video also
+// watched them. the list is cached per video for cacheHours and dropped when
+// the video is edited
+export const RELATED_VIDEOS = {
+  weights: { tags: 3, channel: 1.5, title: 2, coWatch: 4 },
+  candidateLimit: 100,
+  coWatchViewers: 500,
+  cacheSize: 50,
+  cacheHours: 6,
+};
+
+// caption tracks of a video. uploads are SubRip (.srt) or WebVTT (.vtt) and
+// are stored as WebVTT. "captions" also describe sounds, for deaf viewers
+export const CAPTION_KINDS = ["subtitles", "captions"];
+export const CAPTION_MAX_BYTES = 1024 * 1024;
+export const CAPTION_LABEL_MAX_LENGTH = 100;
@@ -0,0 +1,442 @@
+import fs from "fs";
+import path from "path";
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Caption } from "../models/caption.model.js";
+import {
+  normalizeLanguage,
+  parseCaptionFile,
+  toWebVtt,
+  captionPlainText,
+} from "../utils/captions.js";
+import { CAPTION_KINDS } from "../constants.js";
+
+const CAPTION_EXTENSIONS = [".srt", ".vtt"];
+
+// private and scheduled videos only show their captions to the users who
+// may see them
+const findVisibleVideo = async (req) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "videoId is not valid");
+  }
+
+  const video = await Video.findById(videoId).select(
+    "owner visibility allowedViewers"
+  );
+  if (!video?.isVisibleTo(req.user)) {
+    throw new ApiError(404, "video not found");
+  }
+  return video;
+};
+
+const findCaption = async (req, { withContent = false } = {}) => {
+  const { videoId, captionId } = req.params;
+
+  if (!isValidObjectId(captionId)) {
+    throw new ApiError(400, "captionId is not valid");
+  }
+
+  const query = Caption.findOne({ _id: captionId, video: videoId });
+  if (withContent) query.select("+content");
+
+  const caption = await query;
+  if (!caption) {
+    throw new ApiError(404, "caption not found");
+  }
+  return caption;
+};
+
+const resolveKind = (kind) => {
+  if (!CAPTION_KINDS.includes(kind)) {
+    throw new ApiError(400, `kind must be one of ${CAPTION_KINDS.join(", ")}`);
+  }
+  return kind;
+};
+
+// reads the file multer saved to public/temp and removes it either way.
+// returns the track as WebVTT with the text for the search index
+const readCaptionUpload = async (file) => {
+  try {
+    if (
+      !CAPTION_EXTENSIONS.includes(
+        path.extname(file.originalname).toLowerCase()
+      )
+    ) {
+      throw new ApiError(400, "captions must be a .srt or .vtt file");
+    }
+
+    const cues = parseCaptionFile(
+      await fs.promises.readFile(file.path, "utf8")
+    );
+    return {
+      content: toWebVtt(cues),
+      text: captionPlainText(cues),
+      cueCount: cues.length,
+    };
+  } finally {
+    await fs.promises.rm(file.path, { force: true });
+  }
+};
+
+// another track of the video with the same language and kind
+const ensureTrackIsFree = async (videoId, language, kind, captionId) => {
+  const taken = await Caption.exists({
+    video: videoId,
+    language,
+    kind,
+    _id: { $ne: captionId },
+  });
+  if (taken) {
+    throw new ApiError(
+      409,
+      `the video already has ${kind} in ${language}, update that track instead`
+    );
+  }
+};
+
+// the search index reads the words of all tracks from the video
+const syncCaptionText = async (videoId) => {
+  const captions = await Caption.find({ video: videoId })
+    .sort({ language: 1, kind: 1 })
+    .select("+text")
+    .lean();
+
+  await Video.updateOne(
+    { _id: videoId },
+    {
+      $set: { captionText: captions.map((caption) => caption.text).join(" ") },
+    },
+    { withDeleted: true }
+  );
+};
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/captions:
+ *   get:
+ *     summary: List the caption tracks of a video
+ *     tags:
+ *       - captions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *     responses:
+ *       '200':
+ *         description: Caption tracks fetched, ordered by language
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       language:
+ *                         type: string
+ *                         example: pt-BR
+ *                       label:
+ *                         type: string
+ *                       kind:
+ *                         type: string
+ *                         enum: [subtitles, captions]
+ *                       cueCount:
+ *                         type: number
+ *                       url:
+ *                         type: string
+ *                         description: The WebVTT file, for the src of a track element
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, invalid videoId
+ *       '404':
+ *         description: Not found, video not found
+ */
+const getCaptions = asyncHandler(async (req, res) => {
+  const video = await findVisibleVideo(req);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await Caption.tracksOf(video._id),
+        "captions fetched"
+      )
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/captions:
+ *   post:
+ *     summary: Upload a caption track
+ *     description: The file is checked and stored as WebVTT, SubRip files are converted. Its text becomes searchable with the video. A video has one track per language and kind.
+ *     tags:
+ *       - captions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, language]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .srt or .vtt file of at most 1 MB
+ *               language:
+ *                 type: string
+ *                 description: Language code, e.g. en or pt-BR
+ *               label:
+ *                 type: string
+ *                 description: Shown in the player, the language code by default
+ *               kind:
+ *                 type: string
+ *                 enum: [subtitles, captions]
+ *                 default: subtitles
+ *     responses:
+ *       '201':
+ *         description: Caption track added
+ *       '400':
+ *         description: Bad request, missing or invalid file, language or kind
+ *       '403':
+ *         description: Forbidden, not the owner of the video
+ *       '404':
+ *         description: Not found, video not found
+ *       '409':
+ *         description: Conflict, the video already has a track of this language and kind
+ */
+const addCaption = asyncHandler(async (req, res) => {
+  const video = req.resource;
+  const { language, label, kind = "subtitles" } = req.body;
+
+  if (!req.file) {
+    throw new ApiError(400, "caption file is required");
+  }
+  const track = await readCaptionUpload(req.file);
+
+  const languageTag = normalizeLanguage(language);
+  const trackKind = resolveKind(kind);
+  await ensureTrackIsFree(video._id, languageTag, trackKind);
+
+  const caption = await Caption.create({
+    video: video._id,
+    language: languageTag,
+    label: label?.trim() || languageTag,
+    kind: trackKind,
+    ...track,
+  });
+  await syncCaptionText(video._id);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, caption.toTrack(), "caption added"));
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/captions/{captionId}:
+ *   get:
+ *     summary: Download a caption track as WebVTT
+ *     tags:
+ *       - captions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: captionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: The track
+ *         content:
+ *           text/vtt:
+ *             schema:
+ *               type: string
+ *       '400':
+ *         description: Bad request, invalid videoId or captionId
+ *       '404':
+ *         description: Not found, video or caption not found
+ */
+const getCaptionFile = asyncHandler(async (req, res) => {
+  await findVisibleVideo(req);
+  const caption = await findCaption(req, { withContent: true });
+
+  return res
+    .status(200)
+    .set({
+      "Content-Type": "text/vtt; charset=utf-8",
+      "Cache-Control": "private, no-cache",
+      "Content-Language": caption.language,
+    })
+    .send(caption.content);
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/captions/{captionId}:
+ *   patch:
+ *     summary: Update a caption track
+ *     description: Changes the label, language or kind, or replaces the file.
+ *     tags:
+ *       - captions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: captionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               language:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               kind:
+ *                 type: string
+ *                 enum: [subtitles, captions]
+ *     responses:
+ *       '200':
+ *         description: Caption track updated
+ *       '400':
+ *         description: Bad request, nothing to update or invalid file, language or kind
+ *       '403':
+ *         description: Forbidden, not the owner of the video
+ *       '404':
+ *         description: Not found, video or caption not found
+ *       '409':
+ *         description: Conflict, the video already has a track of this language and kind
+ */
+const updateCaption = asyncHandler(async (req, res) => {
+  const video = req.resource;
+  const { language, label, kind } = req.body;
+
+  // read first, the temp file has to be removed whatever happens next
+  const track = req.file ? await readCaptionUpload(req.file) : null;
+  if (!track && ![language, label, kind].some((field) => field?.trim())) {
+    throw new ApiError(
+      400,
+      "atleast provide one of file, language, label or kind"
+    );
+  }
+
+  const caption = await findCaption(req);
+
+  const languageTag = language?.trim()
+    ? normalizeLanguage(language)
+    : caption.language;
+  const trackKind = kind?.trim() ? resolveKind(kind) : caption.kind;
+  if (languageTag !== caption.language || trackKind !== caption.kind) {
+    await ensureTrackIsFree(video._id, languageTag, trackKind, caption._id);
+  }
+
+  caption.language = languageTag;
+  caption.kind = trackKind;
+  if (label?.trim()) caption.label = label.trim();
+  if (track) caption.set(track);
+  await caption.save();
+
+  if (track) {
+    await syncCaptionText(video._id);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, caption.toTrack(), "caption updated"));
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/captions/{captionId}:
+ *   delete:
+ *     summary: Delete a caption track
+ *     tags:
+ *       - captions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: captionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Caption track deleted
+ *       '400':
+ *         description: Bad request, invalid captionId
+ *       '403':
+ *         description: Forbidden, neither the owner of the video nor a moderator
+ *       '404':
+ *         description: Not found, video or caption not found
+ */
+const deleteCaption = asyncHandler(async (req, res) => {
+  const caption = await findCaption(req);
+
+  await Caption.deleteOne({ _id: caption._id });
+  await syncCaptionText(req.resource._id);
+
+  return res.status(200).json(new ApiResponse(200, {}, "caption deleted"));
+});
+
+export {
+  getCaptions,
+  addCaption,
+  getCaptionFile,
+  updateCaption,
+  deleteCaption,
+};
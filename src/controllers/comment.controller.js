@@ -3,6 +3,19 @@ import { ApiResponse } from "../utils/ApiResponse.js";
 import { ApiError } from "../utils/ApiError.js";
 import mongoose, { isValidObjectId } from "mongoose";
 import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+
+// comments are read and written through their video, so a video in the trash
+// or one the user may not see has no comments either
+const findVisibleVideo = async (videoId, user) => {
+  const video = await Video.findById(videoId).select(
+    "owner visibility allowedViewers"
+  );
+  if (!video?.isVisibleTo(user)) {
+    throw new ApiError(404, "video not found");
+  }
+  return video;
+};
 
 /**
  * @swagger
@@ -53,7 +66,7 @@ import { Comment } from "../models/comment.model.js";
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
  *       '404':
- *         description: No comments found for the video
+ *         description: Video not found, or no comments found for the video
  *         content:
  *           application/json:
  *             schema:
@@ -67,6 +80,8 @@ const getVideoComments = asyncHandler(async (req, res) => {
     throw new ApiError(400, `Invalid videoId: ${videoId}`);
   }
 
+  await findVisibleVideo(videoId, req.user);
+
   try {
     const videoComments = await Comment.aggregate([
       {
@@ -136,6 +151,12 @@ const getVideoComments = asyncHandler(async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiError'
+ *       '404':
+ *         description: Video not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  */
 const addComment = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
@@ -148,6 +169,8 @@ const addComment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "content is required");
   }
 
+  await findVisibleVideo(videoId, req.user);
+
   try {
     const comment = await Comment.create({
       content,
@@ -205,13 +228,8 @@ const deleteComment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "commentId is not valid");
   }
 
-  const comment = await Comment.findOne({ _id: commentId });
-  if (!comment) {
-    throw new ApiError(400, "comment not found");
-  }
-  if (comment.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(400, "you are not the owner of this comment");
-  }
+  // loaded and permission checked by the authorize middleware
+  const comment = req.resource;
 
   try {
     await comment.deleteOne();
@@ -270,13 +288,8 @@ const updateComment = asyncHandler(async (req, res) => {
     throw new ApiError(400, "content is required");
   }
 
-  const comment = await Comment.findOne({ _id: commentId });
-  if (!comment) {
-    throw new ApiError(400, "comment not found");
-  }
-  if (comment.owner.toString() !== req.user._id.toString()) {
-    throw new ApiError(400, "you are not the owner of this comment");
-  }
+  // loaded and permission checked by the authorize middleware
+  const comment = req.resource;
 
   comment.content = content;
   await comment.save();
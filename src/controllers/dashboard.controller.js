@@ -16,6 +16,7 @@ const getChannelVideos = asyncHandler(async (req, res) => {
         owner: new mongoose.Types.ObjectId(user._id),
       },
     },
+    { $project: { captionText: 0 } },
   ]);
 
   if (videos.length < 1) {
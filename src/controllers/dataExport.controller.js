@@ -0,0 +1,196 @@
+import fs from "fs";
+import jwt from "jsonwebtoken";
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { DataExport } from "../models/dataExport.model.js";
+import { processDataExport } from "../jobs/dataExport.job.js";
+
+const serializeExport = (dataExport) => ({
+  _id: dataExport._id,
+  status: dataExport.status,
+  size: dataExport.size,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadUrl:
+    dataExport.status === "ready" ? dataExport.getDownloadLink() : undefined,
+});
+
+/**
+ * @swagger
+ * /api/v1/users/me/export:
+ *   post:
+ *     summary: Request a copy of all personal data
+ *     description: Builds a ZIP archive of the account's data in the background and mails a download link once it is ready.
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       '202':
+ *         description: Export queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 202
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       example: pending
+ *                 message:
+ *                   type: string
+ *       '409':
+ *         description: Conflict, an export is already in progress
+ */
+const requestDataExport = asyncHandler(async (req, res) => {
+  const inProgress = await DataExport.exists({
+    user: req.user._id,
+    status: { $in: ["pending", "processing"] },
+  });
+
+  if (inProgress) {
+    throw new ApiError(409, "a data export is already in progress");
+  }
+
+  const dataExport = await DataExport.create({ user: req.user._id });
+
+  // built in the background, the client polls the status endpoint
+  processDataExport(dataExport._id).catch((error) =>
+    console.log("error while processing data export ", error)
+  );
+
+  return res
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        serializeExport(dataExport),
+        "data export requested. you will get an email when it is ready"
+      )
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/users/me/export/{exportId}:
+ *   get:
+ *     summary: Get the status of a data export
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: Export status, with a download url once it is ready
+ *       '400':
+ *         description: Bad request, exportId is not valid
+ *       '404':
+ *         description: Not found, export not found or expired
+ */
+const getDataExportStatus = asyncHandler(async (req, res) => {
+  const { exportId } = req.params;
+
+  if (!isValidObjectId(exportId)) {
+    throw new ApiError(400, "exportId is not valid");
+  }
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    user: req.user._id,
+  });
+
+  if (!dataExport) {
+    throw new ApiError(404, "data export not found");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        serializeExport(dataExport),
+        "data export fetched successfully"
+      )
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/users/me/export/{exportId}/download:
+ *   get:
+ *     summary: Download a finished data export
+ *     tags:
+ *       - users
+ *     parameters:
+ *       - in: path
+ *         name: exportId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Signed token from the download link
+ *     responses:
+ *       '200':
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       '403':
+ *         description: Forbidden, download link is invalid or expired
+ *       '404':
+ *         description: Not found, export not found or expired
+ */
+const downloadDataExport = asyncHandler(async (req, res) => {
+  const { exportId } = req.params;
+  const { token } = req.query;
+
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(token, process.env.DATA_EXPORT_DOWNLOAD_SECRET);
+  } catch (error) {
+    throw new ApiError(403, "download link is invalid or expired");
+  }
+
+  if (decodedToken._id !== exportId) {
+    throw new ApiError(403, "download link is invalid or expired");
+  }
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    user: decodedToken.user,
+    status: "ready",
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!dataExport || !fs.existsSync(dataExport.filePath)) {
+    throw new ApiError(404, "data export not found");
+  }
+
+  const fileName = `data-export-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`;
+
+  return res.download(dataExport.filePath, fileName);
+});
+
+export { requestDataExport, getDataExportStatus, downloadDataExport };
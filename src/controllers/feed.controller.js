@@ -0,0 +1,210 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Like } from "../models/like.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
+import { TrendingScore } from "../models/trendingScore.model.js";
+import { buildAffinity, topKeys, rankFeed } from "../utils/recommendations.js";
+import { HOME_FEED } from "../constants.js";
+
+// the user's subscriptions, likes and watch history. the latest
+// excludeWatchedLimit watched videos are left out of the feed, only the
+// latest signalLimit of them count as interests
+const loadSignals = async (user) => {
+  const [subscriptions, likes, history] = await Promise.all([
+    Subscription.find({ subscriber: user._id }).select("channel").lean(),
+    Like.find({ likedBy: user._id, video: { $ne: null } })
+      .sort({ createdAt: -1 })
+      .limit(HOME_FEED.signalLimit)
+      .select("video")
+      .lean(),
+    WatchEvent.find({ user: user._id })
+      .sort({ lastWatchedAt: -1 })
+      .limit(HOME_FEED.excludeWatchedLimit)
+      .select("video completed")
+      .lean(),
+  ]);
+
+  const recentHistory = history.slice(0, HOME_FEED.signalLimit);
+  const signalVideos = await Video.find({
+    _id: {
+      $in: [
+        ...likes.map((like) => like.video),
+        ...recentHistory.map((entry) => entry.video),
+      ],
+    },
+  })
+    .select("owner tags category")
+    .lean();
+  const videosById = new Map(
+    signalVideos.map((video) => [video._id.toString(), video])
+  );
+  const signalVideo = ({ video }) => videosById.get(video.toString());
+
+  return {
+    subscribedChannelIds: subscriptions.map((entry) => entry.channel),
+    likedVideos: likes.map(signalVideo).filter(Boolean),
+    watchedVideos: recentHistory
+      .filter(signalVideo)
+      .map((entry) => ({ ...entry, video: signalVideo(entry) })),
+    watchedIds: history.map((entry) => entry.video),
+  };
+};
+
+// the latest trending snapshot, or the most viewed videos before the
+// trending job made one
+const loadTrending = async (notIn) => {
+  const latest = await TrendingScore.findOne({
+    window: HOME_FEED.trendingWindow,
+  })
+    .sort({ computedAt: -1 })
+    .select("computedAt")
+    .lean();
+
+  const filter = { ...Video.listedFilter(), ...notIn };
+  if (!latest) {
+    return Video.find(filter)
+      .sort({ views: -1, _id: -1 })
+      .limit(HOME_FEED.trendingLimit)
+      .lean();
+  }
+
+  const rows = await TrendingScore.find({
+    window: HOME_FEED.trendingWindow,
+    computedAt: latest.computedAt,
+  })
+    .sort({ rank: 1 })
+    .limit(HOME_FEED.trendingLimit)
+    .select("video")
+    .lean();
+  const videos = await Video.find({
+    $and: [filter, { _id: { $in: rows.map((row) => row.video) } }],
+  }).lean();
+
+  const videosById = new Map(
+    videos.map((video) => [video._id.toString(), video])
+  );
+  return rows
+    .map((row) => videosById.get(row.video.toString()))
+    .filter(Boolean);
+};
+
+/**
+ * @swagger
+ * /api/v1/feed/home:
+ *   get:
+ *     summary: Personalized home feed
+ *     description: Public videos picked from the channels the user subscribed to and the channels, tags and categories of the videos they liked and watched, ranked by how well they match and how new and popular they are. Videos in the watch history and the user's own videos are left out. Every fifth video is a trending one. The same data always gives the same feed.
+ *     tags:
+ *       - feed
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: 20 by default
+ *     responses:
+ *       '200':
+ *         description: Home feed fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     paginatedResults:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Video'
+ *                           - type: object
+ *                             properties:
+ *                               recommendation:
+ *                                 type: object
+ *                                 properties:
+ *                                   score:
+ *                                     type: number
+ *                                   reason:
+ *                                     type: string
+ *                                     enum: [subscription, channel, tags, category, trending, popular]
+ *                     totalCount:
+ *                       type: number
+ *                 message:
+ *                   type: string
+ */
+const getHomeFeed = asyncHandler(async (req, res) => {
+  const pageNumber = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 20, 1),
+    100
+  );
+
+  const signals = await loadSignals(req.user);
+  const affinity = buildAffinity(signals);
+  const notIn = {
+    _id: { $nin: signals.watchedIds },
+    owner: { $ne: req.user._id },
+  };
+
+  const channelIds = [
+    ...new Set([
+      ...affinity.subscribed,
+      ...topKeys(affinity.channels, HOME_FEED.topChannels),
+    ]),
+  ];
+  const tags = topKeys(affinity.tags, HOME_FEED.topTags);
+  const categories = topKeys(affinity.categories, HOME_FEED.topCategories);
+
+  const interests = [];
+  if (channelIds.length) interests.push({ owner: { $in: channelIds } });
+  if (tags.length) interests.push({ tags: { $in: tags } });
+  if (categories.length) interests.push({ category: { $in: categories } });
+
+  // a new user has no interests yet and only gets trending videos
+  const [candidates, trending] = await Promise.all([
+    interests.length
+      ? Video.find({
+          $and: [Video.listedFilter(), notIn, { $or: interests }],
+        })
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(HOME_FEED.candidateLimit)
+          .lean()
+      : [],
+    loadTrending(notIn),
+  ]);
+
+  const feed = rankFeed({ candidates, affinity, trending });
+  const paginatedResults = feed
+    .slice(pageSize * (pageNumber - 1), pageSize * pageNumber)
+    .map(({ video, score, reason }) => ({
+      ...video,
+      recommendation: { score, reason },
+    }));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { paginatedResults, totalCount: feed.length },
+        "home feed fetched"
+      )
+    );
+});
+
+export { getHomeFeed };
@@ -3,6 +3,7 @@ import { ApiResponse } from "../utils/ApiResponse.js";
 import { ApiError } from "../utils/ApiError.js";
 import mongoose, { isValidObjectId } from "mongoose";
 import { Like } from "../models/like.model.js";
+import { Video } from "../models/video.model.js";
 
 /**
  * @swagger
@@ -43,6 +44,8 @@ import { Like } from "../models/like.model.js";
  *                       description: The ID of the user who liked the video
  *       '400':
  *         description: Bad request, videoId is not valid
+ *       '404':
+ *         description: Not found, video not found
  */
 const toggleVideoLike = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
@@ -52,6 +55,11 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
     throw new ApiError(400, "videoId is not valid");
   }
 
+  const video = await Video.findById(videoId);
+  if (!video?.isVisibleTo(user)) {
+    throw new ApiError(404, "video not found");
+  }
+
   try {
     let like;
 
@@ -272,7 +280,26 @@ const getAllLikedVideos = asyncHandler(async (req, res) => {
   try {
     const LikedVideos = await Like.aggregate([
       {
-        $match: { likedBy: new mongoose.Types.ObjectId(user._id) },
+        $match: {
+          likedBy: new mongoose.Types.ObjectId(user._id),
+          video: { $exists: true },
+        },
+      },
+      // liked videos that have since become private or were deleted are left out
+      {
+        $lookup: {
+          from: "videos",
+          localField: "video",
+          foreignField: "_id",
+          as: "visibleVideo",
+          pipeline: [
+            { $match: { deletedAt: null, ...Video.visibleToFilter(user) } },
+            { $project: { _id: 1 } },
+          ],
+        },
+      },
+      {
+        $match: { visibleVideo: { $ne: [] } },
       },
       {
         $project: {
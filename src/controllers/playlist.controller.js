@@ -5,6 +5,26 @@ import { Playlist } from "../models/playlist.model.js";
 import mongoose, { isValidObjectId } from "mongoose";
 import { Video } from "../models/video.model.js";
 
+// playlists keep every video they were given. when they are read, videos the
+// reader may not see (private, scheduled, removed) are dropped, in order
+const withVisibleVideos = async (playlists, user) => {
+  const videoIds = playlists.flatMap((playlist) => playlist.videos);
+  const visibleVideos = await Video.find({
+    _id: { $in: videoIds },
+    ...Video.visibleToFilter(user),
+  }).select("_id");
+  const visibleIds = new Set(
+    visibleVideos.map((video) => video._id.toString())
+  );
+
+  return playlists.map((playlist) => ({
+    ...playlist,
+    videos: playlist.videos.filter((videoId) =>
+      visibleIds.has(videoId.toString())
+    ),
+  }));
+};
+
 /**
  * @swagger
  * /api/v1/playlist/:
@@ -133,15 +153,17 @@ const getUserPlayList = asyncHandler(async (req, res) => {
     throw new ApiError(400, "userId is not valid.");
   }
 
-  const playlist = await Playlist.aggregate([
+  const playlists = await Playlist.aggregate([
     { $match: { owner: new mongoose.Types.ObjectId(userId) } },
     { $project: { _id: 1, name: 1, description: 1, videos: 1 } },
   ]);
 
-  if (!playlist) {
+  if (!playlists) {
     throw new ApiError(400, "Api Error. playlist not found");
   }
 
+  const playlist = await withVisibleVideos(playlists, req.user);
+
   return res
     .status(200)
     .json(new ApiResponse(200, playlist, "playlist found successfully"));
@@ -199,11 +221,13 @@ const getPlaylistById = asyncHandler(async (req, res) => {
     throw new ApiError(400, "playlistId is not valid.");
   }
 
-  const playlist = await Playlist.findById(playlistId);
-  if (!playlist) {
+  const storedPlaylist = await Playlist.findById(playlistId).lean();
+  if (!storedPlaylist) {
     throw new ApiError(400, "Api Error. playlist not found");
   }
 
+  const [playlist] = await withVisibleVideos([storedPlaylist], req.user);
+
   return res
     .status(200)
     .json(new ApiResponse(200, playlist, "playlist found successfully"));
@@ -268,7 +292,8 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
   }
 
   const video = await Video.findById(videoId);
-  if (!video) {
+  // a video that is private to someone else is treated as missing
+  if (!video?.isVisibleTo(req.user)) {
     throw new ApiError(400, "Api Error. video not found");
   }
   const playList = await Playlist.findById(playlistId);
@@ -456,7 +481,8 @@ const updatePlaylist = asyncHandler(async (req, res) => {
  * @swagger
  * /api/v1/playlist/{playlistId}:
  *   delete:
- *     summary: Delete a playlist
+ *     summary: Move a playlist to the trash
+ *     description: The playlist can be restored from the trash for 30 days.
  *     tags:
  *       - playlist
  *     parameters:
@@ -476,7 +502,7 @@ const updatePlaylist = asyncHandler(async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Playlist deleted successfully
+ *                   example: Playlist moved to trash
  *       '404':
  *         description: Playlist not found
  *         content:
@@ -502,31 +528,12 @@ const updatePlaylist = asyncHandler(async (req, res) => {
  */
 const deletePlaylist = asyncHandler(async (req, res) => {
   const { playlistId } = req.params;
-  const user = req.user;
-
-  if (!isValidObjectId(playlistId)) {
-    throw new ApiError(400, "playlistId is not valid.");
-  }
 
+  // ownership (or moderator/admin role) is checked by the authorize middleware
   try {
-    const playlist = await Playlist.findById(playlistId);
-    if (!playlist) {
-      return res
-        .status(404)
-        .json(new ApiResponse(404, "Api Error. playlist not found"));
-    }
-
-    if (playlist.owner.toString() !== user._id.toString()) {
-      return res
-        .status(403)
-        .json({ message: "You are not the owner of this playlist" });
-    }
-
-    const result = await Playlist.deleteOne({ _id: playlistId });
-
-    console.log("Delete result:", result);
+    await req.resource.softDelete(req.user);
 
-    res.status(200).json({ message: "Playlist deleted successfully" });
+    res.status(200).json({ message: "Playlist moved to trash" });
   } catch (error) {
     console.error("Error deleting playlist:", error);
     // Handle database or other errors more gracefully
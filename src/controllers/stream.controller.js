@@ -0,0 +1,251 @@
+import fs from "fs";
+import path from "path";
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { Video } from "../models/video.model.js";
+import { assetOf, getSignedUrl } from "../utils/storage/index.js";
+import { localProvider } from "../utils/storage/local.provider.js";
+
+const HLS_CONTENT_TYPE = "application/vnd.apple.mpegurl";
+const MEDIA_CACHE_CONTROL = "private, max-age=3600";
+const SEGMENT_FILE = /^[\w-]+\.(ts|m4s|mp4|aac|vtt)$/;
+
+// private and scheduled videos are only streamed to the users who may see
+// them. everyone else gets the same 404 as for a video that does not exist
+const findWatchableVideo = async (req) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "videoId is not valid");
+  }
+
+  const video = await Video.findById(videoId);
+
+  if (!video?.isVisibleTo(req.user)) {
+    throw new ApiError(404, "video not found");
+  }
+
+  return video;
+};
+
+const findRendition = (video, name) => {
+  const rendition = video.renditions.find((entry) => entry.name === name);
+  if (!rendition) {
+    throw new ApiError(404, "rendition not found");
+  }
+  return rendition;
+};
+
+// local files are sent from here, which takes care of Range, If-Range,
+// If-None-Match and If-Modified-Since. other providers serve ranges
+// themselves, the client is sent there with a short lived url
+const sendStoredFile = async (res, asset, fallbackUrl) => {
+  if (asset?.provider !== localProvider.name) {
+    const url = asset ? await getSignedUrl(asset) : fallbackUrl;
+    if (!url) {
+      throw new ApiError(404, "video file not found");
+    }
+    return res.redirect(302, url);
+  }
+
+  await new Promise((resolve, reject) =>
+    res.sendFile(
+      localProvider.path(asset.key),
+      {
+        acceptRanges: true,
+        etag: true,
+        lastModified: true,
+        cacheControl: false,
+        headers: { "Cache-Control": MEDIA_CACHE_CONTROL },
+      },
+      (error) => {
+        // the client going away mid stream is not an error worth reporting
+        if (!error || res.headersSent) return resolve();
+        reject(
+          new ApiError(
+            error.status || 500,
+            error.status === 404 ? "video file not found" : error.message
+          )
+        );
+      }
+    )
+  );
+};
+
+const readStoredText = async (asset) => {
+  if (asset.provider === localProvider.name) {
+    return fs.promises.readFile(localProvider.path(asset.key), "utf8");
+  }
+
+  const response = await fetch(await getSignedUrl(asset));
+  if (!response.ok) {
+    throw new ApiError(502, "playlist could not be loaded from storage");
+  }
+  return response.text();
+};
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/stream:
+ *   get:
+ *     summary: Stream the video file
+ *     description: Supports byte ranges (Range, If-Range) and conditional requests (If-None-Match, If-Modified-Since) for locally stored media. For other storage providers the response redirects to a short lived url of the file.
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *           example: bytes=0-1048575
+ *     responses:
+ *       '200':
+ *         description: The whole file
+ *       '206':
+ *         description: The requested byte range, described by Content-Range
+ *       '302':
+ *         description: Redirect to the file on the storage provider
+ *       '304':
+ *         description: Not modified
+ *       '404':
+ *         description: Not found, video not found or not visible to the user
+ *       '416':
+ *         description: Range not satisfiable
+ */
+const streamVideo = asyncHandler(async (req, res) => {
+  const video = await findWatchableVideo(req);
+
+  await sendStoredFile(
+    res,
+    assetOf(video.videofileAsset, video.videofile, "video"),
+    video.videofile
+  );
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/stream/master.m3u8:
+ *   get:
+ *     summary: HLS master playlist listing the renditions of a video
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *     responses:
+ *       '200':
+ *         description: Master playlist
+ *         content:
+ *           application/vnd.apple.mpegurl:
+ *             schema:
+ *               type: string
+ *       '404':
+ *         description: Not found, video not found or it has no renditions
+ */
+const getMasterPlaylist = asyncHandler(async (req, res) => {
+  const video = await findWatchableVideo(req);
+
+  if (!video.renditions.length) {
+    throw new ApiError(404, "video has no hls renditions");
+  }
+
+  const lines = ["#EXTM3U", "#EXT-X-VERSION:3"];
+  for (const rendition of video.renditions) {
+    const attributes = [`BANDWIDTH=${rendition.bandwidth || 0}`];
+    if (rendition.width && rendition.height) {
+      attributes.push(`RESOLUTION=${rendition.width}x${rendition.height}`);
+    }
+    if (rendition.codecs) {
+      attributes.push(`CODECS="${rendition.codecs}"`);
+    }
+
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(",")}`);
+    // relative, so the variant is requested from this api as well
+    lines.push(`${rendition.name}/${path.basename(rendition.playlist.key)}`);
+  }
+
+  return res
+    .status(200)
+    .set({ "Content-Type": HLS_CONTENT_TYPE, "Cache-Control": "no-cache" })
+    .send(`${lines.join("\n")}\n`);
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/stream/{rendition}/{file}:
+ *   get:
+ *     summary: HLS variant playlist or media segment of a rendition
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *       - in: path
+ *         name: rendition
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Rendition name from the master playlist, e.g. 720p
+ *       - in: path
+ *         name: file
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The variant playlist or one of the segments it lists
+ *     responses:
+ *       '200':
+ *         description: Playlist or segment
+ *       '206':
+ *         description: Byte range of a segment
+ *       '302':
+ *         description: Redirect to the segment on the storage provider
+ *       '404':
+ *         description: Not found, video, rendition or file not found
+ */
+const getRenditionFile = asyncHandler(async (req, res) => {
+  const video = await findWatchableVideo(req);
+  const rendition = findRendition(video, req.params.rendition);
+  const { file } = req.params;
+  const playlist = rendition.playlist;
+
+  if (file === path.basename(playlist.key)) {
+    const content = await readStoredText(playlist);
+    return res
+      .status(200)
+      .set({ "Content-Type": HLS_CONTENT_TYPE, "Cache-Control": "no-cache" })
+      .send(content);
+  }
+
+  if (!SEGMENT_FILE.test(file)) {
+    throw new ApiError(404, "file not found");
+  }
+
+  await sendStoredFile(res, {
+    provider: playlist.provider,
+    key: `${path.posix.dirname(playlist.key)}/${file}`,
+    resourceType: playlist.resourceType,
+  });
+});
+
+export { streamVideo, getMasterPlaylist, getRenditionFile };
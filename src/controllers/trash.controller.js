@@ -0,0 +1,189 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { trashPurgeDate } from "../jobs/trashPurge.job.js";
+import { TRASH_TYPES } from "../constants.js";
+
+// the model of each trash type and the fields shown in the listing
+const trashModels = {
+  video: { Model: Video, fields: "title thumbnail duration visibility" },
+  tweet: { Model: Tweet, fields: "content" },
+  playlist: { Model: Playlist, fields: "name description" },
+};
+
+const serializeTrashItem = (type, item) => ({
+  ...item,
+  type,
+  purgeAt: trashPurgeDate(item.deletedAt),
+});
+
+/**
+ * @swagger
+ * /api/v1/trash:
+ *   get:
+ *     summary: List the deleted videos, tweets and playlists of the user
+ *     description: Items stay in the trash for 30 days and are then deleted for good, videos together with their files.
+ *     tags:
+ *       - trash
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [video, tweet, playlist]
+ *         description: Only list items of this type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       '200':
+ *         description: Trash fetched, most recently deleted first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                             enum: [video, tweet, playlist]
+ *                           deletedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           purgeAt:
+ *                             type: string
+ *                             format: date-time
+ *                     totalCount:
+ *                       type: number
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, unknown type
+ */
+const getTrash = asyncHandler(async (req, res) => {
+  const { type, page = 1, limit = 20 } = req.query;
+
+  if (type && !TRASH_TYPES.includes(type)) {
+    throw new ApiError(400, `type must be one of ${TRASH_TYPES.join(", ")}`);
+  }
+
+  const types = type ? [type] : TRASH_TYPES;
+  const lists = await Promise.all(
+    types.map(async (trashType) => {
+      const { Model, fields } = trashModels[trashType];
+      const items = await Model.find({
+        owner: req.user._id,
+        deletedAt: { $ne: null },
+      })
+        .select(`${fields} deletedAt createdAt`)
+        .lean();
+      return items.map((item) => serializeTrashItem(trashType, item));
+    })
+  );
+
+  const items = lists.flat().sort((a, b) => b.deletedAt - a.deletedAt);
+  const pageSize = Math.max(Number(limit) || 20, 1);
+  const skip = (Math.max(Number(page) || 1, 1) - 1) * pageSize;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        items: items.slice(skip, skip + pageSize),
+        totalCount: items.length,
+      },
+      "trash fetched successfully"
+    )
+  );
+});
+
+/**
+ * @swagger
+ * /api/v1/trash/{type}/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted video, tweet or playlist
+ *     tags:
+ *       - trash
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [video, tweet, playlist]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Item restored
+ *       '400':
+ *         description: Bad request, unknown type or invalid id
+ *       '403':
+ *         description: Forbidden, the item was removed by a moderator
+ *       '404':
+ *         description: Not found, the item is not in the trash
+ */
+const restoreTrashItem = asyncHandler(async (req, res) => {
+  const { type, id } = req.params;
+
+  if (!TRASH_TYPES.includes(type)) {
+    throw new ApiError(400, `type must be one of ${TRASH_TYPES.join(", ")}`);
+  }
+  if (!isValidObjectId(id)) {
+    throw new ApiError(400, "id is not valid");
+  }
+
+  const { Model } = trashModels[type];
+  const item = await Model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+  const isOwner = item?.owner?.toString() === req.user._id.toString();
+  const isStaff = ["admin", "moderator"].includes(req.user.role);
+  if (!item || (!isOwner && !isStaff)) {
+    throw new ApiError(404, `${type} not found in trash`);
+  }
+
+  // owners can undo their own deletions, not a moderator's
+  const deletedByOwner =
+    !item.deletedBy || item.deletedBy.toString() === item.owner?.toString();
+  if (!isStaff && !deletedByOwner) {
+    throw new ApiError(403, `this ${type} was removed by a moderator`);
+  }
+
+  await item.restore();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, item, `${type} restored successfully`));
+});
+
+export { getTrash, restoreTrashItem };
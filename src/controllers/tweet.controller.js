@@ -251,7 +251,8 @@ const updateTweet = asyncHandler(async (req, res) => {
  * @swagger
  * /api/v1/tweets/{tweetId}:
  *   delete:
- *     summary: Delete a tweet
+ *     summary: Move a tweet to the trash
+ *     description: The tweet can be restored from the trash for 30 days.
  *     tags:
  *       - tweet
  *     parameters:
@@ -276,7 +277,7 @@ const updateTweet = asyncHandler(async (req, res) => {
  *                   example: 200
  *                 message:
  *                   type: string
- *                   example: Tweet deleted successfully
+ *                   example: Tweet moved to trash
  *       '400':
  *         description: Bad request, tweetId is missing or API error
  */
@@ -287,11 +288,13 @@ const deleteTweet = asyncHandler(async (req, res) => {
     throw new ApiError(400, "tweetId is required");
   }
 
-  const tweet = await Tweet.findByIdAndDelete(tweetId);
+  const tweet = await Tweet.findById(tweetId);
   if (!tweet) {
     throw new ApiError(400, "Api error. tweet not deleted");
   }
-  return res.status(200).json(200, "tweet deleted successfully");
+  await tweet.softDelete(req.user);
+
+  return res.status(200).json(new ApiResponse(200, {}, "tweet moved to trash"));
 });
 
 export { createTweet, getAllTweets, updateTweet, deleteTweet };
@@ -0,0 +1,537 @@
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import mongoose, { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Upload } from "../models/upload.model.js";
+import { Video } from "../models/video.model.js";
+import {
+  resolveVisibility,
+  resolveTags,
+  resolveCategory,
+  publishVideoFile,
+} from "../utils/videoPublishing.js";
+import { UPLOAD_DIR, UPLOAD_EXPIRY_HOURS, UPLOAD_QUOTA } from "../constants.js";
+
+// tus 1.0.0 (https://tus.io/protocols/resumable-upload) with the creation,
+// expiration and termination extensions. the file is sent with PATCH requests
+// in any number of pieces, and a client that lost its connection asks for the
+// offset with HEAD and carries on from there
+
+// uploads a PATCH is currently writing to. one writer per upload at a time
+const uploadsInProgress = new Set();
+
+const uploadExpiry = () =>
+  new Date(Date.now() + UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000);
+
+// "key base64value,key2 base64value2", values are optional
+const parseUploadMetadata = (header = "") => {
+  const metadata = {};
+
+  for (const pair of header.split(",")) {
+    const [key, value] = pair.trim().split(" ");
+    // keys end up as map keys in mongo, which rules out dots and dollars
+    if (!/^[\w-]+$/.test(key || "")) continue;
+    metadata[key] = value ? Buffer.from(value, "base64").toString("utf8") : "";
+  }
+
+  return metadata;
+};
+
+const uploadHeaders = (upload) => ({
+  "Upload-Offset": String(upload.offset),
+  "Upload-Length": String(upload.length),
+  "Upload-Expires": upload.expiresAt.toUTCString(),
+});
+
+const findOwnUpload = async (req) => {
+  const { uploadId } = req.params;
+
+  if (!isValidObjectId(uploadId)) {
+    throw new ApiError(404, "upload not found");
+  }
+
+  const upload = await Upload.findOne({ _id: uploadId, user: req.user._id });
+  if (!upload) {
+    throw new ApiError(404, "upload not found");
+  }
+  if (upload.status === "uploading" && upload.expiresAt <= new Date()) {
+    throw new ApiError(410, "upload has expired");
+  }
+
+  return upload;
+};
+
+const assertWithinQuota = async (userId, length) => {
+  if (length > UPLOAD_QUOTA.maxFileSize) {
+    throw new ApiError(
+      413,
+      `uploads can be at most ${UPLOAD_QUOTA.maxFileSize} bytes`
+    );
+  }
+
+  const activeUploads = await Upload.countDocuments({
+    user: userId,
+    status: "uploading",
+    expiresAt: { $gt: new Date() },
+  });
+  if (activeUploads >= UPLOAD_QUOTA.maxActiveUploads) {
+    throw new ApiError(
+      403,
+      "too many unfinished uploads. finish or cancel one first"
+    );
+  }
+
+  const [today] = await Upload.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        createdAt: { $gt: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+      },
+    },
+    { $group: { _id: null, bytes: { $sum: "$length" } } },
+  ]);
+  if ((today?.bytes || 0) + length > UPLOAD_QUOTA.dailyBytes) {
+    throw new ApiError(403, "daily upload quota exceeded");
+  }
+};
+
+// runs once the last byte is in, after the client got its response. goes
+// through the same publish flow as the multipart endpoint
+const finishUpload = async (upload) => {
+  try {
+    const video = await publishVideoFile({
+      owner: upload.user,
+      videoLocalPath: upload.filePath,
+      title: upload.metadata.get("title"),
+      description: upload.metadata.get("description"),
+      // validated when the upload was created. a publish time that passed in
+      // the meantime is picked up by the scheduler right away
+      visibility: {
+        visibility: upload.metadata.get("visibility") || "public",
+        publishAt: upload.metadata.get("publishAt") || undefined,
+        allowedViewers: (upload.metadata.get("allowedViewers") || "")
+          .split(",")
+          .filter(Boolean),
+      },
+      tags: (upload.metadata.get("tags") || "").split(",").filter(Boolean),
+      category: upload.metadata.get("category") || null,
+    });
+
+    upload.status = "published";
+    upload.video = video._id;
+  } catch (error) {
+    console.log(`error while publishing upload ${upload._id} `, error);
+    upload.status = "failed";
+    upload.error = error.message;
+    await fs.promises.rm(upload.filePath, { force: true });
+  }
+
+  // the status stays readable for a while after the upload is done
+  upload.expiresAt = uploadExpiry();
+  await upload.save();
+};
+
+/**
+ * @swagger
+ * /api/v1/uploads:
+ *   post:
+ *     summary: Start a resumable video upload (tus creation)
+ *     description: The title and description of the video are sent base64 encoded in Upload-Metadata, together with the original filename. visibility (public, unlisted, private or scheduled), publishAt (ISO date, for scheduled) and allowedViewers (comma separated user ids, for private) can be sent there as well, so can tags (comma separated) and category (a category slug). The file is then sent with PATCH requests to the returned Location. Once the last byte arrives the video is published.
+ *     tags:
+ *       - uploads
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Tus-Resumable
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 1.0.0
+ *       - in: header
+ *         name: Upload-Length
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Size of the whole file in bytes
+ *       - in: header
+ *         name: Upload-Metadata
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: filename dmlkZW8ubXA0,title bXkgdmlkZW8=,description aGVsbG8=
+ *     responses:
+ *       '201':
+ *         description: Upload created, its url is in the Location header
+ *       '400':
+ *         description: Bad request, Upload-Length, title or description missing, or invalid visibility settings, tags or category
+ *       '403':
+ *         description: Forbidden, upload quota exceeded
+ *       '409':
+ *         description: Conflict, a video with this title already exists
+ *       '412':
+ *         description: Unsupported tus version
+ *       '413':
+ *         description: File is larger than the maximum upload size
+ */
+const createUpload = asyncHandler(async (req, res) => {
+  if (req.get("Upload-Defer-Length")) {
+    throw new ApiError(400, "the upload length has to be known up front");
+  }
+
+  const length = Number(req.get("Upload-Length"));
+  if (!Number.isSafeInteger(length) || length <= 0) {
+    throw new ApiError(400, "Upload-Length must be a positive integer");
+  }
+
+  const metadata = parseUploadMetadata(req.get("Upload-Metadata"));
+  const title = metadata.title?.trim();
+  const description = metadata.description?.trim();
+
+  if (!title || !description) {
+    throw new ApiError(400, "title and description are required");
+  }
+  // checked now so the client does not upload gigabytes for nothing
+  // titles are unique, videos in the trash still hold on to theirs
+  if (await Video.exists({ title }).setOptions({ withDeleted: true })) {
+    throw new ApiError(409, "a video with this title already exists");
+  }
+  const visibility = resolveVisibility({
+    visibility: metadata.visibility || "public",
+    publishAt: metadata.publishAt,
+    allowedViewers: metadata.allowedViewers,
+  });
+  const tags = resolveTags(metadata.tags);
+  const category = resolveCategory(metadata.category);
+
+  await assertWithinQuota(req.user._id, length);
+
+  const uploadId = new mongoose.Types.ObjectId();
+  const extension = path
+    .extname(metadata.filename || "")
+    .toLowerCase()
+    .replace(/[^.a-z0-9]/g, "");
+  const filePath = path.join(UPLOAD_DIR, `${uploadId}${extension}`);
+
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  await fs.promises.writeFile(filePath, "");
+
+  const upload = await Upload.create({
+    _id: uploadId,
+    user: req.user._id,
+    length,
+    metadata: {
+      ...metadata,
+      title,
+      description,
+      visibility: visibility.visibility,
+      publishAt: visibility.publishAt?.toISOString() || "",
+      allowedViewers: visibility.allowedViewers.join(","),
+      tags: tags.join(","),
+      category: category || "",
+    },
+    filePath,
+    expiresAt: uploadExpiry(),
+  });
+
+  return res
+    .status(201)
+    .set({
+      Location: `${process.env.BASE_URL}/api/v1/uploads/${upload._id}`,
+      "Upload-Expires": upload.expiresAt.toUTCString(),
+    })
+    .end();
+});
+
+/**
+ * @swagger
+ * /api/v1/uploads/{uploadId}:
+ *   head:
+ *     summary: Get the offset to resume an upload from
+ *     tags:
+ *       - uploads
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Tus-Resumable
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 1.0.0
+ *     responses:
+ *       '200':
+ *         description: Received byte count in Upload-Offset, total size in Upload-Length
+ *       '404':
+ *         description: Not found, upload not found
+ *       '410':
+ *         description: Gone, the upload expired before it was finished
+ */
+const getUploadOffset = asyncHandler(async (req, res) => {
+  const upload = await findOwnUpload(req);
+
+  return res
+    .status(200)
+    .set({ ...uploadHeaders(upload), "Cache-Control": "no-store" })
+    .end();
+});
+
+/**
+ * @swagger
+ * /api/v1/uploads/{uploadId}:
+ *   patch:
+ *     summary: Send the next piece of an upload
+ *     tags:
+ *       - uploads
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Tus-Resumable
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 1.0.0
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Must be the current offset of the upload
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/offset+octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       '204':
+ *         description: Piece stored, the new offset is in Upload-Offset
+ *       '404':
+ *         description: Not found, upload not found
+ *       '409':
+ *         description: Conflict, Upload-Offset does not match or the upload is being written to
+ *       '410':
+ *         description: Gone, the upload expired before it was finished
+ *       '413':
+ *         description: More bytes were sent than the upload length
+ *       '415':
+ *         description: Content-Type is not application/offset+octet-stream
+ */
+const appendUploadChunk = asyncHandler(async (req, res) => {
+  if (req.get("Content-Type") !== "application/offset+octet-stream") {
+    throw new ApiError(
+      415,
+      "Content-Type must be application/offset+octet-stream"
+    );
+  }
+
+  const upload = await findOwnUpload(req);
+  const offset = Number(req.get("Upload-Offset"));
+
+  if (upload.status !== "uploading") {
+    throw new ApiError(409, "upload is already complete");
+  }
+  if (offset !== upload.offset) {
+    throw new ApiError(409, "Upload-Offset does not match the upload");
+  }
+
+  const uploadId = upload._id.toString();
+  if (uploadsInProgress.has(uploadId)) {
+    throw new ApiError(409, "upload is being written to by another request");
+  }
+  uploadsInProgress.add(uploadId);
+
+  const remaining = upload.length - upload.offset;
+  let tooLarge = false;
+  let streamError;
+
+  try {
+    // drop anything written after the last recorded offset (a crash mid write)
+    await fs.promises.truncate(upload.filePath, upload.offset);
+
+    await pipeline(
+      req,
+      async function* (source) {
+        let received = 0;
+        for await (const chunk of source) {
+          received += chunk.length;
+          if (received > remaining) {
+            tooLarge = true;
+            throw new Error("upload is larger than its Upload-Length");
+          }
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(upload.filePath, { flags: "a" })
+    );
+  } catch (error) {
+    // an interrupted request keeps what arrived, the client resumes from there
+    streamError = error;
+  }
+
+  try {
+    const { size } = await fs.promises.stat(upload.filePath);
+    upload.offset = Math.min(size, upload.length);
+    upload.expiresAt = uploadExpiry();
+    if (upload.offset === upload.length) {
+      upload.status = "processing";
+    }
+    await upload.save();
+  } finally {
+    uploadsInProgress.delete(uploadId);
+  }
+
+  if (tooLarge) {
+    throw new ApiError(413, "more bytes were sent than the upload length");
+  }
+  if (streamError) {
+    throw streamError;
+  }
+
+  res.status(204).set(uploadHeaders(upload)).end();
+
+  if (upload.status === "processing") {
+    finishUpload(upload).catch((error) =>
+      console.log("error while finishing upload ", error)
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/uploads/{uploadId}:
+ *   get:
+ *     summary: Get the state of an upload and the video it was published as
+ *     tags:
+ *       - uploads
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Upload fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [uploading, processing, published, failed]
+ *                     offset:
+ *                       type: number
+ *                     length:
+ *                       type: number
+ *                     video:
+ *                       type: string
+ *                     error:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *       '404':
+ *         description: Not found, upload not found
+ *       '410':
+ *         description: Gone, the upload expired before it was finished
+ */
+const getUploadStatus = asyncHandler(async (req, res) => {
+  const upload = await findOwnUpload(req);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        _id: upload._id,
+        status: upload.status,
+        offset: upload.offset,
+        length: upload.length,
+        video: upload.video,
+        error: upload.error,
+        expiresAt: upload.expiresAt,
+      },
+      "upload fetched successfully"
+    )
+  );
+});
+
+/**
+ * @swagger
+ * /api/v1/uploads/{uploadId}:
+ *   delete:
+ *     summary: Cancel an unfinished upload (tus termination)
+ *     tags:
+ *       - uploads
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Tus-Resumable
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 1.0.0
+ *     responses:
+ *       '204':
+ *         description: Upload cancelled and its data removed
+ *       '404':
+ *         description: Not found, upload not found
+ *       '409':
+ *         description: Conflict, the upload is being written to or published
+ */
+const terminateUpload = asyncHandler(async (req, res) => {
+  const upload = await findOwnUpload(req);
+
+  if (
+    upload.status === "processing" ||
+    uploadsInProgress.has(upload._id.toString())
+  ) {
+    throw new ApiError(409, "upload is busy and cannot be cancelled now");
+  }
+
+  await fs.promises.rm(upload.filePath, { force: true });
+  await upload.deleteOne();
+
+  return res.status(204).end();
+});
+
+export {
+  createUpload,
+  getUploadOffset,
+  appendUploadChunk,
+  getUploadStatus,
+  terminateUpload,
+};
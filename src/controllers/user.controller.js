@@ -2,25 +2,84 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
 import { tokenReset } from "../models/resetTokenSchema.model.js";
+import { Session } from "../models/session.model.js";
+import { magicLinkToken } from "../models/magicLinkToken.model.js";
+import { EmailChange } from "../models/emailChange.model.js";
+import { UsernameHistory } from "../models/usernameHistory.model.js";
+import { Video } from "../models/video.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
 import {
-  uploadToCloudinary,
-  deleteFromCloudinary,
-} from "../utils/cloudinary.js";
+  storeFile,
+  deleteStoredFile,
+  assetOf,
+} from "../utils/storage/index.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
 import mongoose from "mongoose";
-import { randomBytes } from "crypto";
+import { createHash, randomBytes, randomUUID } from "crypto";
 import { sendMail } from "../utils/emailConfig.js";
+import {
+  USER_ROLES,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  AUTH_THROTTLE,
+  MAGIC_LINK_TTL_MINUTES,
+  EMAIL_CHANGE_CONFIRM_HOURS,
+  EMAIL_CHANGE_UNDO_DAYS,
+  USERNAME_RELEASE_COOLDOWN_DAYS,
+  CONTINUE_WATCHING_MIN_SECONDS,
+} from "../constants.js";
+import {
+  throttleKey,
+  assertNotThrottled,
+  recordAttempt,
+  clearAttempts,
+} from "../utils/authThrottle.js";
+import { placeholderAvatar } from "../utils/avatar.js";
+import {
+  getOidcProvider,
+  createAuthorizationRequest,
+  exchangeAuthorizationCode,
+  validateIdToken,
+} from "../utils/oidc.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} from "../utils/totp.js";
+
+// hash of a random string with the cost of real password hashes. logins for
+// unknown accounts are checked against it, so they take as long to fail as a
+// wrong password
+const DUMMY_PASSWORD_HASH =
+  "$2b$10$fc8tGO9eRJMaJw/wznJBEeIpdk0j/V48iScqsY3qAyO9u/7UU8VKm";
+
+// signs a fresh access/refresh token pair for a session and moves the session
+// on to the new refresh token id. the caller is responsible for persisting it
+const issueSessionTokens = (user, session) => {
+  const tokenId = randomUUID();
+  const accessToken = user.generateAccessToken(session._id);
+  const refreshToken = user.generateRefreshToken(session._id, tokenId);
+
+  session.tokenId = tokenId;
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  return { accessToken, refreshToken };
+};
 
-const generateAccessAndRefreshTokens = async (userId) => {
+const generateAccessAndRefreshTokens = async (userId, req) => {
   try {
     const user = await User.findById(userId);
 
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
-
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    // every login starts a new session (token family) for the device
+    const session = new Session({
+      user: user._id,
+      userAgent: req.get("user-agent"),
+      ip: req.ip,
+    });
+    const { accessToken, refreshToken } = issueSessionTokens(user, session);
+    await session.save();
 
     return { accessToken, refreshToken };
   } catch (error) {
@@ -28,6 +87,226 @@ const generateAccessAndRefreshTokens = async (userId) => {
   }
 };
 
+const sendVerificationMail = async (user) => {
+  const token = user.generateEmailVerificationToken();
+  const verificationLink = `${process.env.BASE_URL}/api/v1/users/verify-email/${token}`;
+
+  await sendMail(
+    user.email,
+    "verify your email address",
+    `please confirm your email address by opening the link below\n${verificationLink}`
+  );
+};
+
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+// the new address has to confirm before it is used. the old address is told
+// about the change and gets a link to undo it
+const cancelPendingEmailChanges = (userId) =>
+  EmailChange.updateMany(
+    { user: userId, status: "pending" },
+    { $set: { status: "cancelled" } }
+  );
+
+const startEmailChange = async (user, newEmail) => {
+  await cancelPendingEmailChanges(user._id);
+
+  const confirmToken = randomBytes(32).toString("hex");
+  const undoToken = randomBytes(32).toString("hex");
+
+  await EmailChange.create({
+    user: user._id,
+    oldEmail: user.email,
+    newEmail,
+    confirmTokenHash: sha256(confirmToken),
+    undoTokenHash: sha256(undoToken),
+    expiresAt: new Date(
+      Date.now() + EMAIL_CHANGE_UNDO_DAYS * 24 * 60 * 60 * 1000
+    ),
+  });
+
+  const confirmLink = `${process.env.BASE_URL}/api/v1/users/email-change/confirm/${confirmToken}`;
+  const undoLink = `${process.env.BASE_URL}/api/v1/users/email-change/undo/${undoToken}`;
+
+  await sendMail(
+    newEmail,
+    "confirm your new email address",
+    `open the link below within ${EMAIL_CHANGE_CONFIRM_HOURS} hours to use this address for your account\n${confirmLink}`
+  );
+  await sendMail(
+    user.email,
+    "your email address is being changed",
+    `someone asked to change the email of your account to ${newEmail}.\nif this was not you, undo the change here within ${EMAIL_CHANGE_UNDO_DAYS} days\n${undoLink}`
+  );
+};
+
+const sendAccountLockedMail = async (user, ip) => {
+  try {
+    await sendMail(
+      user.email,
+      "your account has been temporarily locked",
+      `we blocked sign in to your account for ${AUTH_THROTTLE.account.lockMinutes} minutes after ${AUTH_THROTTLE.account.maxAttempts} failed attempts (last one from ${ip}).\nif this was not you, consider changing your password.`
+    );
+  } catch (error) {
+    console.log("error while sending account locked mail ", error);
+  }
+};
+
+const sendLoggedInResponse = async (req, res, userId) => {
+  // logging in during the grace period cancels a pending account deletion
+  const { modifiedCount: deletionCancelled } = await User.updateOne(
+    { _id: userId, scheduledDeletionAt: { $ne: null } },
+    { $set: { scheduledDeletionAt: null } }
+  );
+
+  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
+    userId,
+    req
+  );
+  const loggedinUser = await User.findById(userId).select("-password");
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        {
+          user: loggedinUser,
+          accessToken,
+          refreshToken,
+        },
+        deletionCancelled
+          ? "user logged in successfully. account deletion cancelled"
+          : "user logged in successfully"
+      )
+    );
+};
+
+// last step of every first factor login (password or identity provider)
+const completeLogin = async (req, res, user) => {
+  // accounts with 2fa only get a short lived challenge token here, which is
+  // exchanged for the session cookies at /users/login/2fa
+  if (user.twoFactor?.enabled) {
+    const challengeToken = user.generateTwoFactorChallengeToken();
+
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { twoFactorRequired: true, challengeToken },
+          "two factor authentication required"
+        )
+      );
+  }
+
+  // generate access token and refresh token
+  return sendLoggedInResponse(req, res, user._id);
+};
+
+const generateUniqueUsername = async (preferredName) => {
+  const base =
+    preferredName
+      ?.toLowerCase()
+      .replace(/[^a-z0-9_.]/g, "")
+      .slice(0, 20) || "user";
+
+  let candidate = base;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    if (
+      !(await User.exists({ username: candidate })) &&
+      !(await UsernameHistory.isReserved(candidate))
+    ) {
+      return candidate;
+    }
+    candidate = `${base}${randomBytes(2).readUInt16BE(0)}`;
+  }
+
+  throw new ApiError(500, "could not generate a username");
+};
+
+// finds the user linked to the provider account, links an existing user with
+// the same (verified) email, or creates a new user
+const findOrCreateOidcUser = async (provider, claims) => {
+  const identity = { provider, subject: claims.sub };
+
+  const linkedUser = await User.findOne({
+    identities: { $elemMatch: identity },
+  });
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  const emailVerified =
+    claims.email_verified === true || claims.email_verified === "true";
+  if (!claims.email || !emailVerified) {
+    throw new ApiError(
+      403,
+      "identity provider did not return a verified email"
+    );
+  }
+
+  const email = claims.email.toLowerCase();
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    existingUser.identities.push(identity);
+    existingUser.emailVerified = true;
+    await existingUser.save({ validateBeforeSave: false });
+    return existingUser;
+  }
+
+  const username = await generateUniqueUsername(
+    claims.preferred_username || email.split("@")[0]
+  );
+  const fullname = claims.name || username;
+
+  // social accounts get an unusable random password. a real one can be set
+  // through the password reset flow
+  return User.create({
+    username,
+    email,
+    fullname,
+    avatar: claims.picture || placeholderAvatar(fullname),
+    password: randomBytes(32).toString("hex"),
+    emailVerified: true,
+    identities: [identity],
+  });
+};
+
+const oidcRedirectUri = (provider) =>
+  `${process.env.BASE_URL}/api/v1/users/oauth/${provider.name}/callback`;
+
+// disabling 2fa or replacing recovery codes needs the password and a second
+// factor again, a stolen session alone is not enough
+const reauthenticateWithSecondFactor = async (userId, body) => {
+  const { password, code, recoveryCode } = body;
+
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+
+  if (!user.twoFactor?.enabled) {
+    throw new ApiError(400, "two factor authentication is not enabled");
+  }
+  if (!password || !(await user.isPasswordCorrect(password))) {
+    throw new ApiError(401, "password is incorrect");
+  }
+  if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+    throw new ApiError(401, "two factor code is invalid");
+  }
+
+  return user;
+};
+
 /**
  * @swagger
  * /api/v1/users/register:
@@ -81,6 +360,8 @@ const generateAccessAndRefreshTokens = async (userId) => {
  *                       type: string
  *                     coverimage:
  *                       type: string
+ *                     emailVerified:
+ *                       type: boolean
  *                 message:
  *                   type: string
  *                   example: User created successfully
@@ -120,6 +401,9 @@ const RegisterUser = asyncHandler(async (req, res) => {
   if (existedUser) {
     throw new ApiError(409, "User already exists");
   }
+  if (await UsernameHistory.isReserved(username)) {
+    throw new ApiError(409, "username is reserved");
+  }
 
   //   get avatar and coverimage localfile path
   const avatarLocalPath = req.files?.avatar[0]?.path;
@@ -139,9 +423,15 @@ const RegisterUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "avatar image is required");
   }
 
-  //   upload avatar and coverimage to cloudinary
-  const avatar = await uploadToCloudinary(avatarLocalPath);
-  const coverimage = await uploadToCloudinary(coverImageLocalPath);
+  //   upload avatar and coverimage to the configured storage
+  const avatar = await storeFile(avatarLocalPath, {
+    folder: "avatars",
+    resourceType: "image",
+  });
+  const coverimage = await storeFile(coverImageLocalPath, {
+    folder: "covers",
+    resourceType: "image",
+  });
 
   //   checks if avatar is uploaded
   if (!avatar) {
@@ -154,22 +444,116 @@ const RegisterUser = asyncHandler(async (req, res) => {
     password,
     fullname,
     avatar: avatar.url,
+    avatarAsset: avatar,
     coverimage: coverimage?.url || "",
+    coverimageAsset: coverimage,
   });
 
-  const createdUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+  const createdUser = await User.findById(user._id).select("-password");
 
   if (!createdUser) {
     throw new ApiError(500, "something went wrong while registering the user");
   }
 
+  // the account is usable right away, but stays restricted until the email is verified
+  try {
+    await sendVerificationMail(createdUser);
+  } catch (error) {
+    console.log("error while sending verification mail ", error);
+  }
+
   return res
     .status(201)
     .json(new ApiResponse(200, createdUser, "user created successfully"));
 });
 
+/**
+ * @swagger
+ * /api/v1/users/verify-email/{token}:
+ *   get:
+ *     summary: Verify the email address of an account
+ *     tags:
+ *       - users
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Signed token from the verification mail
+ *     responses:
+ *       '200':
+ *         description: Email verified successfully
+ *       '400':
+ *         description: Bad request, verification link is invalid or expired
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(
+      token,
+      process.env.EMAIL_VERIFICATION_TOKEN_SECRET
+    );
+  } catch (error) {
+    throw new ApiError(400, "verification link is invalid or expired");
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: decodedToken._id, email: decodedToken.email },
+    { $set: { emailVerified: true } },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(400, "verification link is invalid or expired");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "email verified successfully"));
+});
+
+/**
+ * @swagger
+ * /api/v1/users/verify-email/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Verification mail sent
+ *       '400':
+ *         description: Bad request, email is already verified
+ */
+const resendVerificationMail = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (user.emailVerified) {
+    throw new ApiError(400, "email is already verified");
+  }
+
+  try {
+    await sendVerificationMail(user);
+  } catch (error) {
+    throw new ApiError(500, "verification mail not sent", error);
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        `verification mail has been sent to ${user.email}`
+      )
+    );
+});
+
 /**
  * @swagger
  * /api/v1/users/login:
@@ -231,9 +615,9 @@ const RegisterUser = asyncHandler(async (req, res) => {
  *       '400':
  *         description: Bad request, provide either email or username or password is missing
  *       '401':
- *         description: Unauthorized, password is incorrect
- *       '404':
- *         description: Not found, user not found
+ *         description: Unauthorized, invalid credentials
+ *       '429':
+ *         description: Too many failed attempts, retry after the Retry-After header
  */
 const loginUser = asyncHandler(async (req, res) => {
   // get user data -> req.body
@@ -245,114 +629,58 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "provide either email or username");
   }
 
+  if (!email && !username) {
+    throw new ApiError(400, "email or username is required");
+  }
+
   if (!password) {
     throw new ApiError(400, "password is required");
   }
 
   // find user by email or username
-  const user = await User.findOne({
-    $or: [{ email }, { username }],
-  });
-
-  if (!user) {
-    throw new ApiError(404, "user not found");
-  }
-
-  // check for correct password
-  const isPasswordValid = await user.isPasswordCorrect(password);
-
-  if (!isPasswordValid) {
-    throw new ApiError(401, "password is incorrect");
-  }
-
-  // generate access token and refresh token
-
-  const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(
-    user._id
-  );
-  const loggedinUser = await User.findOne(user._id).select(
-    "-password -refreshToken"
+  const user = await User.findOne(
+    email
+      ? { email: email.toLowerCase() }
+      : { username: username.toLowerCase() }
   );
 
-  const options = {
-    httpOnly: true,
-    secure: true,
-  };
+  // failures are counted per account (or per unknown identifier) and per ip
+  const accountKey = throttleKey(
+    "login",
+    "account",
+    user?._id ?? email ?? username
+  );
+  const ipKey = throttleKey("login", "ip", req.ip);
+  await assertNotThrottled(res, [accountKey, ipKey]);
 
-  return res
-    .status(200)
-    .cookie("accessToken", accessToken, options)
-    .cookie("refreshToken", refreshToken, options)
-    .json(
-      new ApiResponse(
-        200,
-        {
-          user: loggedinUser,
-          accessToken,
-          refreshToken,
-        },
-        "user logged in successfully"
-      )
-    );
-});
+  // check for correct password. unknown users and wrong passwords get the same
+  // error so the response does not reveal which accounts exist
+  const isPasswordValid = user
+    ? await user.isPasswordCorrect(password)
+    : await bcrypt.compare(password, DUMMY_PASSWORD_HASH).then(() => false);
 
-/**
- * @swagger
- * /api/v1/users/logout:
- *   post:
- *     summary: Logout user
- *     tags:
- *       - users
- *     security:
- *       - BearerAuth: []
- *     responses:
- *       '200':
- *         description: User logged out successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: number
- *                   example: 200
- *                 data:
- *                   type: object
- *                   properties: {}
- *                 message:
- *                   type: string
- *                   example: User logged out successfully
- */
-const logoutUser = asyncHandler(async (req, res) => {
-  await User.findByIdAndUpdate(
-    req.user.id,
-    {
-      $set: {
-        refreshToken: null,
-      },
-    },
-    {
-      new: true,
+  if (!isPasswordValid) {
+    const [account] = await recordAttempt([
+      { key: accountKey, limits: AUTH_THROTTLE.account },
+      { key: ipKey, limits: AUTH_THROTTLE.ip },
+    ]);
+    if (user && account.locked) {
+      await sendAccountLockedMail(user, req.ip);
     }
-  );
 
-  const options = {
-    httpOnly: true,
-    secure: true,
-  };
+    throw new ApiError(401, "invalid credentials");
+  }
 
-  return res
-    .status(200)
-    .clearCookie("accessToken", options)
-    .clearCookie("refreshToken", options)
-    .json(new ApiResponse(200, {}, "user logged out successfully"));
+  await clearAttempts([accountKey]);
+
+  return completeLogin(req, res, user);
 });
 
 /**
  * @swagger
- * /api/v1/users/refresh-token:
+ * /api/v1/users/login/2fa:
  *   post:
- *     summary: Refresh access token
+ *     summary: Complete a login with a two factor code
  *     tags:
  *       - users
  *     requestBody:
@@ -362,86 +690,700 @@ const logoutUser = asyncHandler(async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               refreshToken:
+ *               challengeToken:
  *                 type: string
- *             required:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *             required:
+ *               - challengeToken
+ *     responses:
+ *       '200':
+ *         description: User logged in successfully
+ *       '400':
+ *         description: Bad request, code or recovery code is required
+ *       '401':
+ *         description: Unauthorized, challenge token or code is invalid
+ */
+const loginWithTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken) {
+    throw new ApiError(400, "challengeToken is required");
+  }
+  if (!code && !recoveryCode) {
+    throw new ApiError(400, "code or recoveryCode is required");
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(
+      challengeToken,
+      process.env.TWO_FACTOR_CHALLENGE_SECRET
+    );
+  } catch (error) {
+    throw new ApiError(401, "challenge token is invalid or expired");
+  }
+
+  const accountKey = throttleKey("login-2fa", "account", decodedToken._id);
+  const ipKey = throttleKey("login-2fa", "ip", req.ip);
+  await assertNotThrottled(res, [accountKey, ipKey]);
+
+  const user = await User.findById(decodedToken._id).select(
+    "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+
+  if (!user || !(await user.verifySecondFactor({ code, recoveryCode }))) {
+    const [account] = await recordAttempt([
+      { key: accountKey, limits: AUTH_THROTTLE.account },
+      { key: ipKey, limits: AUTH_THROTTLE.ip },
+    ]);
+    if (user && account.locked) {
+      await sendAccountLockedMail(user, req.ip);
+    }
+
+    throw new ApiError(401, "two factor code is invalid");
+  }
+  await user.save({ validateBeforeSave: false });
+  await clearAttempts([accountKey]);
+
+  return sendLoggedInResponse(req, res, user._id);
+});
+
+/**
+ * @swagger
+ * /api/v1/users/oauth/{provider}:
+ *   get:
+ *     summary: Start a login with an external identity provider
+ *     description: Redirects the browser to the provider's authorization endpoint (authorization code flow with PKCE).
+ *     tags:
+ *       - users
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Name of a provider listed in OIDC_PROVIDERS
+ *     responses:
+ *       '302':
+ *         description: Redirect to the identity provider
+ *       '404':
+ *         description: Not found, provider is not configured
+ */
+const startOidcLogin = asyncHandler(async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+
+  if (!provider) {
+    throw new ApiError(404, "login provider not found");
+  }
+
+  const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(
+    provider,
+    oidcRedirectUri(provider)
+  );
+
+  // the flow state lives in a signed cookie until the provider redirects back
+  const oidcState = jwt.sign(
+    { provider: provider.name, state, nonce, codeVerifier },
+    process.env.OIDC_STATE_SECRET,
+    { expiresIn: "10m" }
+  );
+
+  return res
+    .cookie("oidcState", oidcState, {
+      httpOnly: true,
+      secure: true,
+      sameSite: "lax",
+      maxAge: 10 * 60 * 1000,
+    })
+    .redirect(url);
+});
+
+/**
+ * @swagger
+ * /api/v1/users/oauth/{provider}/callback:
+ *   get:
+ *     summary: Finish a login with an external identity provider
+ *     tags:
+ *       - users
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: User logged in successfully, or a two factor challenge
+ *       '400':
+ *         description: Bad request, login was cancelled or state is invalid
+ *       '401':
+ *         description: Unauthorized, id token could not be validated
+ *       '403':
+ *         description: Forbidden, provider did not return a verified email
+ */
+const oidcCallback = asyncHandler(async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+
+  if (!provider) {
+    throw new ApiError(404, "login provider not found");
+  }
+
+  const { code, state, error } = req.query;
+  if (error) {
+    throw new ApiError(400, `login was not completed: ${error}`);
+  }
+
+  let oidcState;
+  try {
+    oidcState = jwt.verify(
+      req.cookies?.oidcState,
+      process.env.OIDC_STATE_SECRET
+    );
+  } catch (err) {
+    throw new ApiError(400, "login session expired. please try again");
+  }
+
+  res.clearCookie("oidcState", { httpOnly: true, secure: true });
+
+  if (
+    !code ||
+    oidcState.provider !== provider.name ||
+    oidcState.state !== state
+  ) {
+    throw new ApiError(400, "login state is invalid");
+  }
+
+  let claims;
+  try {
+    const tokens = await exchangeAuthorizationCode(provider, {
+      code,
+      codeVerifier: oidcState.codeVerifier,
+      redirectUri: oidcRedirectUri(provider),
+    });
+    claims = await validateIdToken(provider, tokens.id_token, {
+      nonce: oidcState.nonce,
+    });
+  } catch (err) {
+    throw new ApiError(401, err.message);
+  }
+
+  const user = await findOrCreateOidcUser(provider.name, claims);
+
+  return completeLogin(req, res, user);
+});
+
+/**
+ * @swagger
+ * /api/v1/users/logout:
+ *   post:
+ *     summary: Logout user
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: User logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties: {}
+ *                 message:
+ *                   type: string
+ *                   example: User logged out successfully
+ */
+const logoutUser = asyncHandler(async (req, res) => {
+  await Session.revoke({ _id: req.session._id }, "logout");
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(new ApiResponse(200, {}, "user logged out successfully"));
+});
+
+/**
+ * @swagger
+ * /api/v1/users/refresh-token:
+ *   post:
+ *     summary: Refresh access token
+ *     tags:
+ *       - users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *             required:
  *               - refreshToken
  *     responses:
  *       '200':
- *         description: Token refreshed successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: number
- *                   example: 200
- *                 data:
- *                   type: object
- *                   properties:
- *                     accessToken:
- *                       type: string
- *                     refreshToken:
- *                       type: string
- *                 message:
- *                   type: string
- *                   example: Token refreshed successfully
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *                   example: Token refreshed successfully
+ *       '400':
+ *         description: Bad request, unauthorized access
+ *       '401':
+ *         description: Unauthorized, refresh token is mismatch or user not found
+ *       '500':
+ *         description: Internal server error
+ */
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const incomingRefreshToken =
+    req.cookies.refreshToken || req.body.refreshToken;
+
+  if (!incomingRefreshToken) {
+    throw new ApiError(400, "unauthorized access");
+  }
+
+  let decodedRefreshToken;
+  try {
+    decodedRefreshToken = jwt.verify(
+      incomingRefreshToken,
+      process.env.REFRESH_TOKEN_SECRET
+    );
+  } catch (error) {
+    throw new ApiError(401, "refresh token is invalid or expired");
+  }
+
+  const session = await Session.findOne({
+    _id: decodedRefreshToken.sid,
+    user: decodedRefreshToken._id,
+  });
+
+  if (!session || session.revokedAt) {
+    throw new ApiError(401, "session has been revoked");
+  }
+
+  // a refresh token that was already rotated came back. someone else holds a
+  // copy of it, so the whole token family is revoked
+  if (session.tokenId !== decodedRefreshToken.jti) {
+    await Session.revoke({ _id: session._id }, "refresh token reuse");
+    throw new ApiError(401, "refresh token reuse detected. please login again");
+  }
+
+  const user = await User.findById(decodedRefreshToken._id);
+
+  if (!user) {
+    throw new ApiError(401, "unauthorized access");
+  }
+
+  const { accessToken, refreshToken } = issueSessionTokens(user, session);
+
+  // only rotate if no concurrent request rotated (or revoked) the session first
+  const { modifiedCount } = await Session.updateOne(
+    { _id: session._id, tokenId: decodedRefreshToken.jti, revokedAt: null },
+    {
+      $set: {
+        tokenId: session.tokenId,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        ip: req.ip,
+      },
+    }
+  );
+
+  if (!modifiedCount) {
+    await Session.revoke({ _id: session._id }, "refresh token reuse");
+    throw new ApiError(401, "refresh token reuse detected. please login again");
+  }
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, options)
+    .cookie("refreshToken", refreshToken, options)
+    .json(
+      new ApiResponse(
+        200,
+        {
+          accessToken,
+          refreshToken,
+        },
+        "token refreshed successfully"
+      )
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/users/sessions:
+ *   get:
+ *     summary: List the devices the user is logged in on
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Sessions fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       userAgent:
+ *                         type: string
+ *                       ip:
+ *                         type: string
+ *                       lastUsedAt:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                       current:
+ *                         type: boolean
+ *                 message:
+ *                   type: string
+ *                   example: sessions fetched successfully
+ *       '401':
+ *         description: Unauthorized, user not authenticated
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastUsedAt createdAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  const currentSessionId = req.session._id.toString();
+  sessions.forEach((session) => {
+    session.current = session._id.toString() === currentSessionId;
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, sessions, "sessions fetched successfully"));
+});
+
+/**
+ * @swagger
+ * /api/v1/users/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a logged in device
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Id of the session to revoke
+ *     responses:
+ *       '200':
+ *         description: Session revoked successfully
+ *       '400':
+ *         description: Bad request, sessionId is not valid
+ *       '404':
+ *         description: Not found, session not found
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new ApiError(400, "sessionId is not valid");
+  }
+
+  const { modifiedCount } = await Session.revoke(
+    { _id: sessionId, user: req.user._id },
+    "revoked by user"
+  );
+
+  if (!modifiedCount) {
+    throw new ApiError(404, "session not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "session revoked successfully"));
+});
+
+/**
+ * @swagger
+ * /api/v1/users/2fa/setup:
+ *   post:
+ *     summary: Start two factor enrollment
+ *     description: Generates a new TOTP secret. It is only activated once a code from it is confirmed.
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: TOTP secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUri:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, two factor authentication is already enabled
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, "two factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  const otpauthUri = buildOtpauthUri(
+    secret,
+    user.email,
+    process.env.TWO_FACTOR_ISSUER || "js-backend"
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { secret, otpauthUri },
+        "scan the qr code and confirm with a code from your app"
+      )
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/users/2fa/confirm:
+ *   post:
+ *     summary: Confirm two factor enrollment
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *             required:
+ *               - code
+ *     responses:
+ *       '200':
+ *         description: Two factor authentication enabled, recovery codes returned once
  *       '400':
- *         description: Bad request, unauthorized access
- *       '401':
- *         description: Unauthorized, refresh token is mismatch or user not found
- *       '500':
- *         description: Internal server error
+ *         description: Bad request, no enrollment in progress or code is invalid
  */
-const refreshAccessToken = asyncHandler(async (req, res) => {
-  const incomingRefreshToken =
-    req.cookies.refreshToken || req.body.refreshToken;
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
 
-  if (!incomingRefreshToken) {
-    throw new ApiError(400, "unauthorized access");
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.pendingSecret +twoFactor.recoveryCodes"
+  );
+
+  if (user.twoFactor?.enabled) {
+    throw new ApiError(400, "two factor authentication is already enabled");
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new ApiError(400, "two factor setup has not been started");
   }
 
-  try {
-    const decodedRefreshToken = jwt.verify(
-      incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new ApiError(400, "two factor code is invalid");
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  const recoveryCodes = await user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes },
+        "two factor authentication enabled successfully"
+      )
     );
-    const user = await User.findById(decodedRefreshToken._id);
+});
 
-    if (!user) {
-      throw new ApiError(401, "unauthorized access");
-    }
+/**
+ * @swagger
+ * /api/v1/users/2fa/disable:
+ *   post:
+ *     summary: Disable two factor authentication
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *             required:
+ *               - password
+ *     responses:
+ *       '200':
+ *         description: Two factor authentication disabled
+ *       '400':
+ *         description: Bad request, two factor authentication is not enabled
+ *       '401':
+ *         description: Unauthorized, password or code is invalid
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await reauthenticateWithSecondFactor(req.user._id, req.body);
 
-    if (incomingRefreshToken !== user?.refreshToken) {
-      throw new ApiError(401, "refresh Token is mismatch");
-    }
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
 
-    const { accessToken, newRefreshToken } =
-      await generateAccessAndRefreshTokens(user._id);
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "two factor authentication disabled successfully"
+      )
+    );
+});
 
-    const options = {
-      httpOnly: true,
-      secure: true,
-    };
+/**
+ * @swagger
+ * /api/v1/users/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate two factor recovery codes
+ *     description: Invalidates every previous recovery code.
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *             required:
+ *               - password
+ *     responses:
+ *       '200':
+ *         description: New recovery codes returned once
+ *       '400':
+ *         description: Bad request, two factor authentication is not enabled
+ *       '401':
+ *         description: Unauthorized, password or code is invalid
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await reauthenticateWithSecondFactor(req.user._id, req.body);
 
-    return res
-      .status(200)
-      .cookie("accessToken", accessToken, options)
-      .cookie("refreshToken", newRefreshToken, options)
-      .json(
-        new ApiResponse(
-          200,
-          {
-            accessToken,
-            refreshToken: newRefreshToken,
-          },
-          "token refreshed successfully"
-        )
-      );
-  } catch (error) {
-    throw new ApiError(500, error.message);
-  }
+  const recoveryCodes = await user.generateRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { recoveryCodes },
+        "recovery codes regenerated successfully"
+      )
+    );
 });
 
 /**
@@ -496,7 +1438,7 @@ const updatePassword = asyncHandler(async (req, res) => {
   const isPasswordValid = await user.isPasswordCorrect(oldPassword);
 
   if (!isPasswordValid) {
-    throw new ApiError("invalid old password");
+    throw new ApiError(400, "invalid old password");
   }
 
   user.password = newPassword;
@@ -553,88 +1495,288 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 
   return res
     .status(200)
-    .json(new ApiResponse(200, user, "user fetched successfully"));
+    .json(new ApiResponse(200, user, "user fetched successfully"));
+});
+
+/**
+ * @swagger
+ * /api/v1/users/update-account:
+ *   put:
+ *     summary: Update account details
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 description: The new address must be confirmed before it is used
+ *               password:
+ *                 type: string
+ *                 description: Current password, required when changing email
+ *             anyOf:
+ *               - required:
+ *                   - username
+ *               - required:
+ *                   - email
+ *     responses:
+ *       '200':
+ *         description: Account details updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     username:
+ *                       type: string
+ *                     email:
+ *                       type: string
+ *                     fullname:
+ *                       type: string
+ *                     avatar:
+ *                       type: string
+ *                     coverimage:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *                   example: Account details updated successfully
+ *       '400':
+ *         description: Bad request, username or email is required
+ *       '401':
+ *         description: Unauthorized, user not authenticated or password is incorrect
+ *       '409':
+ *         description: Conflict, username or email is already taken, or the username is reserved
+ */
+const updateAccountDetails = asyncHandler(async (req, res) => {
+  const { username, email, password } = req.body;
+
+  if (!username && !email) {
+    throw new ApiError(400, "username or email is required");
+  }
+
+  const user = await User.findById(req.user?._id);
+  const newUsername = username?.trim().toLowerCase();
+  const newEmail = email?.trim().toLowerCase();
+  const emailChanged = !!newEmail && newEmail !== user.email;
+  const usernameChanged = !!newUsername && newUsername !== user.username;
+
+  // check everything before changing anything
+  if (emailChanged) {
+    if (!password || !(await user.isPasswordCorrect(password))) {
+      throw new ApiError(401, "current password is required to change email");
+    }
+    if (await User.exists({ email: newEmail })) {
+      throw new ApiError(409, "email is already taken");
+    }
+  }
+
+  if (usernameChanged) {
+    if (await User.exists({ username: newUsername })) {
+      throw new ApiError(409, "username is already taken");
+    }
+    if (await UsernameHistory.isReserved(newUsername, user._id)) {
+      throw new ApiError(409, "username is reserved");
+    }
+  }
+
+  // the confirmation mail is what fails most often, so it goes out before
+  // the username changes. a link that did go out stops working on an error
+  let message = "account details updated successfully";
+  if (emailChanged) {
+    try {
+      await startEmailChange(user, newEmail);
+    } catch (error) {
+      await cancelPendingEmailChanges(user._id);
+      throw new ApiError(500, "email change confirmation not sent", error);
+    }
+    message = `confirm the new address from the link sent to ${newEmail}`;
+  }
+
+  if (usernameChanged) {
+    const previousUsername = user.username;
+    user.username = newUsername;
+    try {
+      await user.save({ validateBeforeSave: false });
+    } catch (error) {
+      if (emailChanged) {
+        await cancelPendingEmailChanges(user._id);
+      }
+      if (isDuplicateKeyError(error)) {
+        throw new ApiError(409, "username is already taken");
+      }
+      throw error;
+    }
+
+    // old channel links keep working, and the old name stays reserved for a while.
+    // taking back one of your own old names drops it from the history
+    await UsernameHistory.deleteMany({ user: user._id, username: newUsername });
+    await UsernameHistory.create({
+      user: user._id,
+      username: previousUsername,
+      reservedUntil: new Date(
+        Date.now() + USERNAME_RELEASE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000
+      ),
+    });
+  }
+
+  const updatedUser = await User.findById(user._id).select("-password");
+
+  return res.status(200).json(new ApiResponse(200, updatedUser, message));
+});
+
+/**
+ * @swagger
+ * /api/v1/users/email-change/confirm/{token}:
+ *   get:
+ *     summary: Confirm a new email address
+ *     tags:
+ *       - users
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Token from the mail sent to the new address
+ *     responses:
+ *       '200':
+ *         description: Email changed successfully
+ *       '404':
+ *         description: Not found, link is invalid or expired
+ *       '409':
+ *         description: Conflict, email is already taken
+ */
+const confirmEmailChange = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const emailChange = await EmailChange.findOne({
+    confirmTokenHash: sha256(token),
+    status: "pending",
+    createdAt: {
+      $gt: new Date(Date.now() - EMAIL_CHANGE_CONFIRM_HOURS * 60 * 60 * 1000),
+    },
+  });
+
+  const user = emailChange && (await User.findById(emailChange.user));
+
+  // the link is stale if the email changed some other way in the meantime
+  if (!user || user.email !== emailChange.oldEmail) {
+    throw new ApiError(404, "confirmation link is invalid or expired");
+  }
+
+  if (await User.exists({ email: emailChange.newEmail })) {
+    throw new ApiError(409, "email is already taken");
+  }
+
+  user.email = emailChange.newEmail;
+  user.emailVerified = true;
+  try {
+    await user.save({ validateBeforeSave: false });
+  } catch (error) {
+    if (isDuplicateKeyError(error)) {
+      throw new ApiError(409, "email is already taken");
+    }
+    throw error;
+  }
+
+  emailChange.status = "confirmed";
+  emailChange.confirmedAt = new Date();
+  await emailChange.save();
+
+  const updatedUser = await User.findById(user._id).select("-password");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedUser, "email changed successfully"));
 });
 
 /**
  * @swagger
- * /api/v1/users/update-account:
- *   put:
- *     summary: Update account details
+ * /api/v1/users/email-change/undo/{token}:
+ *   get:
+ *     summary: Undo an email change from the old address
+ *     description: Cancels a pending change or switches a confirmed change back, and logs out every device.
  *     tags:
  *       - users
- *     security:
- *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *               email:
- *                 type: string
- *             anyOf:
- *               - required:
- *                   - username
- *               - required:
- *                   - email
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Token from the notice sent to the old address
  *     responses:
  *       '200':
- *         description: Account details updated successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: number
- *                   example: 200
- *                 data:
- *                   type: object
- *                   properties:
- *                     _id:
- *                       type: string
- *                     username:
- *                       type: string
- *                     email:
- *                       type: string
- *                     fullname:
- *                       type: string
- *                     avatar:
- *                       type: string
- *                     coverimage:
- *                       type: string
- *                 message:
- *                   type: string
- *                   example: Account details updated successfully
- *       '400':
- *         description: Bad request, username or email is required
- *       '401':
- *         description: Unauthorized, user not authenticated
+ *         description: Email change undone
+ *       '404':
+ *         description: Not found, link is invalid or expired
+ *       '409':
+ *         description: Conflict, the old email is now used by another account
  */
-const updateAccountDetails = asyncHandler(async (req, res) => {
-  const { username, email } = req.body;
+const undoEmailChange = asyncHandler(async (req, res) => {
+  const { token } = req.params;
 
-  if (!username && !email) {
-    throw new ApiError(404, "username or email is required");
+  const emailChange = await EmailChange.findOne({
+    undoTokenHash: sha256(token),
+    status: { $in: ["pending", "confirmed"] },
+  });
+
+  if (!emailChange) {
+    throw new ApiError(404, "undo link is invalid or expired");
+  }
+
+  if (emailChange.status === "confirmed") {
+    const user = await User.findById(emailChange.user);
+
+    if (user && user.email === emailChange.newEmail) {
+      user.email = emailChange.oldEmail;
+      user.emailVerified = true;
+      try {
+        await user.save({ validateBeforeSave: false });
+      } catch (error) {
+        if (isDuplicateKeyError(error)) {
+          throw new ApiError(
+            409,
+            "the old email is now used by another account"
+          );
+        }
+        throw error;
+      }
+    }
   }
-  const user = await User.findByIdAndUpdate(
-    req.user?._id,
-    {
-      $set: {
-        username,
-        email,
-      },
-    },
-    { new: true }
-  ).select("-password");
+
+  emailChange.status =
+    emailChange.status === "confirmed" ? "reverted" : "cancelled";
+  await emailChange.save();
+
+  // whoever started the change knew the password, so every device is logged out
+  await Session.revoke({ user: emailChange.user }, "email change undone");
 
   return res
     .status(200)
-    .json(new ApiResponse(200, user, "account details updated successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "email change undone. all devices have been logged out, consider changing your password"
+      )
+    );
 });
 
 /**
@@ -693,23 +1835,26 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
 const updateAvatar = asyncHandler(async (req, res) => {
   const avatarLocalPath = req.file.path;
   if (!avatarLocalPath) {
-    throw new ApiError(40, "avatar is missing");
+    throw new ApiError(400, "avatar is missing");
   }
 
-  const avatar = await uploadToCloudinary(avatarLocalPath);
-  console.log(avatar);
+  const avatar = await storeFile(avatarLocalPath, {
+    folder: "avatars",
+    resourceType: "image",
+  });
 
-  if (!avatar.url) {
+  if (!avatar?.url) {
     throw new ApiError(400, "API error. file not uploaded");
   }
 
-  await deleteFromCloudinary(req.user.avatar);
+  await deleteStoredFile(assetOf(req.user.avatarAsset, req.user.avatar));
 
   const user = await User.findByIdAndUpdate(
     req.user?._id,
     {
       $set: {
         avatar: avatar.url,
+        avatarAsset: avatar,
       },
     },
     { new: true }
@@ -779,19 +1924,25 @@ const updateCoverPhoto = asyncHandler(async (req, res) => {
     throw new ApiError(400, "cover image is missing");
   }
 
-  const coverImage = await uploadToCloudinary(coverImageLocalPath);
+  const coverImage = await storeFile(coverImageLocalPath, {
+    folder: "covers",
+    resourceType: "image",
+  });
 
-  if (!coverImage.url) {
+  if (!coverImage?.url) {
     throw new ApiError(400, "API error. file not uploaded");
   }
 
-  await deleteFromCloudinary(req.user.coverimage);
+  await deleteStoredFile(
+    assetOf(req.user.coverimageAsset, req.user.coverimage)
+  );
 
   const user = await User.findByIdAndUpdate(
     req.user?._id,
     {
       $set: {
         coverimage: coverImage.url,
+        coverimageAsset: coverImage,
       },
     },
     { new: true }
@@ -844,6 +1995,16 @@ const updateCoverPhoto = asyncHandler(async (req, res) => {
  *                       type: number
  *                     isSubscribed:
  *                       type: boolean
+ *                     redirect:
+ *                       type: object
+ *                       description: Only present when the channel was found by a previous username
+ *                       properties:
+ *                         from:
+ *                           type: string
+ *                         to:
+ *                           type: string
+ *                         url:
+ *                           type: string
  *                 message:
  *                   type: string
  *                   example: Channel profile fetched successfully
@@ -859,11 +2020,39 @@ const getChannelProfile = asyncHandler(async (req, res) => {
     throw new ApiError(400, "username is required");
   }
 
-  // first find channel by username
+  // first find channel by username, then fall back to the most recent user
+  // that gave this name up, so links to a renamed channel keep working
+  const requestedUsername = username.trim().toLowerCase();
+  let channelOwner = await User.findOne({ username: requestedUsername }).select(
+    "_id"
+  );
+  let redirect = null;
+
+  if (!channelOwner) {
+    const previousOwner = await UsernameHistory.findOne({
+      username: requestedUsername,
+    }).sort({ releasedAt: -1 });
+
+    channelOwner =
+      previousOwner &&
+      (await User.findById(previousOwner.user).select("_id username"));
+
+    if (channelOwner) {
+      redirect = {
+        from: requestedUsername,
+        to: channelOwner.username,
+        url: `/api/v1/users/channel/${channelOwner.username}`,
+      };
+    }
+  }
+
+  if (!channelOwner) {
+    throw new ApiError(404, "channel not found");
+  }
 
   const channel = await User.aggregate([
     {
-      $match: { username: username?.toLowerCase() },
+      $match: { _id: channelOwner._id },
     },
     {
       $lookup: {
@@ -914,25 +2103,330 @@ const getChannelProfile = asyncHandler(async (req, res) => {
   if (!channel?.length) {
     throw new ApiError(404, "channel not found");
   }
+
+  if (redirect) {
+    channel[0].redirect = redirect;
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        channel[0],
+        redirect
+          ? `channel has moved to ${redirect.to}`
+          : "channel profile fetched successfully"
+      )
+    );
+});
+
+// joins the watched video (with its channel) to watch history entries.
+// entries of videos that were made private or deleted since drop out
+const watchedVideoStages = (user) => [
+  {
+    $lookup: {
+      from: "videos",
+      localField: "video",
+      foreignField: "_id",
+      as: "video",
+      pipeline: [
+        { $match: { deletedAt: null, ...Video.visibleToFilter(user) } },
+        {
+          $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [{ $project: { username: 1, fullname: 1, avatar: 1 } }],
+          },
+        },
+        {
+          $project: {
+            title: 1,
+            thumbnail: 1,
+            duration: 1,
+            views: 1,
+            createdAt: 1,
+            owner: { $first: "$owner" },
+          },
+        },
+      ],
+    },
+  },
+  { $unwind: "$video" },
+];
+
+/**
+ * @swagger
+ * /api/v1/users/watch-history:
+ *   get:
+ *     summary: Get user's watch history
+ *     description: Most recently watched first, one entry per video.
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       '200':
+ *         description: Watch history fetched successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     paused:
+ *                       type: boolean
+ *                       description: Whether recording the history is paused
+ *                     totalCount:
+ *                       type: number
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           position:
+ *                             type: number
+ *                             description: Last playback position in seconds
+ *                           percent:
+ *                             type: number
+ *                           completed:
+ *                             type: boolean
+ *                           firstWatchedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastWatchedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           video:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               title:
+ *                                 type: string
+ *                               thumbnail:
+ *                                 type: string
+ *                               duration:
+ *                                 type: number
+ *                               owner:
+ *                                 type: object
+ *                                 properties:
+ *                                   username:
+ *                                     type: string
+ *                                   fullname:
+ *                                     type: string
+ *                                   avatar:
+ *                                     type: string
+ *                 message:
+ *                   type: string
+ *                   example: Watch history fetched successfully
+ */
+const getWatchHistory = asyncHandler(async (req, res) => {
+  const pageNumber = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 20, 1),
+    100
+  );
+
+  const results = await WatchEvent.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(req.user._id) } },
+    { $sort: { lastWatchedAt: -1, _id: -1 } },
+    ...watchedVideoStages(req.user),
+    {
+      $facet: {
+        history: [
+          { $skip: pageSize * (pageNumber - 1) },
+          { $limit: pageSize },
+          { $project: { user: 0, __v: 0 } },
+        ],
+        totalCount: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        paused: !!req.user.watchHistoryPaused,
+        history: results[0]?.history || [],
+        totalCount: results[0]?.totalCount[0]?.count || 0,
+      },
+      "watch history fetched successfully"
+    )
+  );
+});
+
+/**
+ * @swagger
+ * /api/v1/users/watch-history/{videoId}:
+ *   delete:
+ *     summary: Remove a video from the watch history
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       '200':
+ *         description: Entry removed
+ *       '400':
+ *         description: Bad request, videoId is not valid
+ *       '404':
+ *         description: Not found, the video is not in the watch history
+ */
+const removeWatchHistoryEntry = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!mongoose.isValidObjectId(videoId)) {
+    throw new ApiError(400, "videoId is not valid");
+  }
+
+  const result = await WatchEvent.deleteOne({
+    user: req.user._id,
+    video: videoId,
+  });
+  if (!result.deletedCount) {
+    throw new ApiError(404, "video is not in the watch history");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "video removed from watch history"));
+});
+
+/**
+ * @swagger
+ * /api/v1/users/watch-history:
+ *   delete:
+ *     summary: Clear the whole watch history
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Watch history cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     removed:
+ *                       type: number
+ */
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  const result = await WatchEvent.deleteMany({ user: req.user._id });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { removed: result.deletedCount },
+        "watch history cleared"
+      )
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/users/watch-history/settings:
+ *   patch:
+ *     summary: Pause or resume recording the watch history
+ *     description: While paused, watched videos are not added to the history and positions are not updated. Views are still counted.
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paused:
+ *                 type: boolean
+ *             required:
+ *               - paused
+ *     responses:
+ *       '200':
+ *         description: Setting saved
+ *       '400':
+ *         description: Bad request, paused must be a boolean
+ */
+const updateWatchHistorySettings = asyncHandler(async (req, res) => {
+  const { paused } = req.body;
+
+  if (typeof paused !== "boolean") {
+    throw new ApiError(400, "paused must be true or false");
+  }
+
+  await User.updateOne(
+    { _id: req.user._id },
+    { $set: { watchHistoryPaused: paused } }
+  );
+
   return res
     .status(200)
     .json(
-      new ApiResponse(200, channel[0], "channel profile fetched successfully")
+      new ApiResponse(
+        200,
+        { paused },
+        paused ? "watch history paused" : "watch history resumed"
+      )
     );
 });
 
 /**
  * @swagger
- * /api/v1/users/watch-history:
+ * /api/v1/users/continue-watching:
  *   get:
- *     summary: Get user's watch history
+ *     summary: Videos the user started but did not finish
+ *     description: Most recently watched first. position is where playback should resume.
  *     tags:
  *       - users
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: 20 by default
  *     responses:
  *       '200':
- *         description: Watch history fetched successfully
+ *         description: Continue watching list fetched
  *         content:
  *           application/json:
  *             schema:
@@ -942,29 +2436,34 @@ const getChannelProfile = asyncHandler(async (req, res) => {
  *                   type: number
  *                   example: 200
  *                 data:
- *                   type: object
- *                   properties:
- *                     _id:
- *                       type: string
- *                     username:
- *                       type: string
- *                     email:
- *                       type: string
- *                     fullname:
- *                       type: string
- *                     avatar:
- *                       type: string
- *                     watchHistory:
- *                       type: array
- *                       items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       position:
+ *                         type: number
+ *                         description: Last playback position in seconds
+ *                       percent:
+ *                         type: number
+ *                       completed:
+ *                         type: boolean
+ *                       firstWatchedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastWatchedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       video:
  *                         type: object
  *                         properties:
  *                           _id:
  *                             type: string
  *                           title:
  *                             type: string
- *                           description:
+ *                           thumbnail:
  *                             type: string
+ *                           duration:
+ *                             type: number
  *                           owner:
  *                             type: object
  *                             properties:
@@ -976,58 +2475,191 @@ const getChannelProfile = asyncHandler(async (req, res) => {
  *                                 type: string
  *                 message:
  *                   type: string
- *                   example: Watch history fetched successfully
- *       '404':
- *         description: Not found, user not found
  */
-const getWatchHistory = asyncHandler(async (req, res) => {
-  const user = await User.aggregate([
-    {
-      $match: { _id: new mongoose.Types.ObjectId(req.user?._id) },
-    },
+const getContinueWatching = asyncHandler(async (req, res) => {
+  const listLimit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 20, 1),
+    50
+  );
+
+  const entries = await WatchEvent.aggregate([
     {
-      $lookup: {
-        from: "videos",
-        localField: "watchhistory",
-        foreignField: "_id",
-        as: "watchHistory",
-        pipeline: [
-          {
-            $lookup: {
-              from: "users",
-              localField: "owner",
-              foreignField: "_id",
-              as: "owner",
-              pipeline: [
-                {
-                  $project: {
-                    username: 1,
-                    fullname: 1,
-                    avatar: 1,
-                  },
-                },
-              ],
-            },
-          },
-          {
-            $addFields: {
-              owner: {
-                $first: "$owner",
-              },
-            },
-          },
-        ],
+      $match: {
+        user: new mongoose.Types.ObjectId(req.user._id),
+        completed: false,
+        position: { $gte: CONTINUE_WATCHING_MIN_SECONDS },
       },
     },
+    { $sort: { lastWatchedAt: -1, _id: -1 } },
+    ...watchedVideoStages(req.user),
+    { $limit: listLimit },
+    { $project: { user: 0, __v: 0 } },
   ]);
 
-  if (!user) {
-    throw new ApiError(404, "user not found");
+  return res
+    .status(200)
+    .json(new ApiResponse(200, entries, "continue watching fetched"));
+});
+
+/**
+ * @swagger
+ * /api/v1/users/magic-link:
+ *   post:
+ *     summary: Send a passwordless sign in link
+ *     description: Mails a single use link that signs in the browser that requested it.
+ *     tags:
+ *       - users
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *             required:
+ *               - email
+ *     responses:
+ *       '200':
+ *         description: Sign in link sent if the account exists
+ *       '400':
+ *         description: Bad request, email is required
+ *       '429':
+ *         description: Too many requests, retry after the Retry-After header
+ */
+const requestMagicLink = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new ApiError(400, "email is required");
+  }
+
+  const accountKey = throttleKey("magic-link", "account", email);
+  const ipKey = throttleKey("magic-link", "ip", req.ip);
+  await assertNotThrottled(res, [accountKey, ipKey]);
+  await recordAttempt([
+    { key: accountKey, limits: AUTH_THROTTLE.account },
+    { key: ipKey, limits: AUTH_THROTTLE.ip },
+  ]);
+
+  // the link only works in a browser that carries this nonce, so a forwarded
+  // mail is useless anywhere else
+  const browserNonce = randomBytes(32).toString("hex");
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+
+  // same response whether or not the account exists
+  if (user) {
+    const token = randomBytes(32).toString("hex");
+    const magicLink = await magicLinkToken.create({
+      userId: user._id,
+      tokenHash: sha256(token),
+      browserHash: sha256(browserNonce),
+    });
+
+    const signInLink = `${process.env.BASE_URL}/api/v1/users/magic-link/${token}`;
+    try {
+      await sendMail(
+        user.email,
+        "your sign in link",
+        `use the link below to sign in. it expires in ${MAGIC_LINK_TTL_MINUTES} minutes and only works in the browser you requested it from\n${signInLink}`
+      );
+    } catch (error) {
+      // an error here would tell that the account exists, the user just
+      // gets no mail and can ask again
+      console.log("error while sending sign in mail ", error);
+      await magicLinkToken.deleteOne({ _id: magicLink._id });
+    }
   }
 
   return res
     .status(200)
-    .json(new ApiResponse(200, user, "watch history fetched successfully"));
+    .cookie("magicLinkNonce", browserNonce, {
+      httpOnly: true,
+      secure: true,
+      sameSite: "lax",
+      maxAge: MAGIC_LINK_TTL_MINUTES * 60 * 1000,
+    })
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        `if an account exists for ${email}, a sign in link has been sent`
+      )
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/users/magic-link/{token}:
+ *   get:
+ *     summary: Sign in with a magic link
+ *     description: Issues the same access and refresh cookies as a password login. Must be opened in the browser that requested the link.
+ *     tags:
+ *       - users
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       '200':
+ *         description: User logged in successfully, or a two factor challenge
+ *       '403':
+ *         description: Forbidden, link was requested from another browser
+ *       '404':
+ *         description: Not found, link is invalid, used or expired
+ *       '429':
+ *         description: Too many invalid links, retry after the Retry-After header
+ */
+const loginWithMagicLink = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const browserNonce = req.cookies?.magicLinkNonce;
+
+  const ipKey = throttleKey("magic-link-login", "ip", req.ip);
+  await assertNotThrottled(res, [ipKey]);
+
+  const pendingLink = await magicLinkToken.findOne({
+    tokenHash: sha256(token),
+    createdAt: {
+      $gt: new Date(Date.now() - MAGIC_LINK_TTL_MINUTES * 60 * 1000),
+    },
+  });
+
+  if (!pendingLink) {
+    await recordAttempt([{ key: ipKey, limits: AUTH_THROTTLE.ip }]);
+    throw new ApiError(404, "sign in link is invalid or expired");
+  }
+
+  if (!browserNonce || sha256(browserNonce) !== pendingLink.browserHash) {
+    await recordAttempt([{ key: ipKey, limits: AUTH_THROTTLE.ip }]);
+    throw new ApiError(
+      403,
+      "open the sign in link in the browser you requested it from"
+    );
+  }
+
+  // single use, whoever deletes it first wins
+  const usedLink = await magicLinkToken.findOneAndDelete({
+    _id: pendingLink._id,
+  });
+  const user = usedLink && (await User.findById(usedLink.userId));
+
+  if (!user) {
+    throw new ApiError(404, "sign in link is invalid or expired");
+  }
+
+  // following the link proves the user owns the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  res.clearCookie("magicLinkNonce", { httpOnly: true, secure: true });
+
+  return completeLogin(req, res, user);
 });
 
 /**
@@ -1060,53 +2692,63 @@ const getWatchHistory = asyncHandler(async (req, res) => {
  *                   type: number
  *                   example: 200
  *                 data:
- *                   type: string
- *                   example: "Password reset mail has been sent"
+ *                   type: object
  *                 message:
  *                   type: string
- *                   example: "Password reset mail has been sent to <user_email>"
+ *                   example: "if an account exists for <email>, a password reset mail has been sent"
  *       '400':
  *         description: Bad request, email required
- *       '404':
- *         description: Not found, user not found
+ *       '429':
+ *         description: Too many requests, retry after the Retry-After header
  */
 const passwordResetMail = asyncHandler(async (req, res) => {
   const { email } = req.body;
-  console.log(req.body);
 
   if (!email) {
     throw new ApiError(404, "email required");
   }
 
-  try {
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json(new ApiResponse(404, {}, "user not found"));
-    }
+  // every request counts, this also stops the endpoint being used to flood an inbox
+  const accountKey = throttleKey("reset-mail", "account", email);
+  const ipKey = throttleKey("reset-mail", "ip", req.ip);
+  await assertNotThrottled(res, [accountKey, ipKey]);
+  await recordAttempt([
+    { key: accountKey, limits: AUTH_THROTTLE.account },
+    { key: ipKey, limits: AUTH_THROTTLE.ip },
+  ]);
 
-    const token = randomBytes(32).toString("hex");
-    console.log("token", token);
+  const user = await User.findOne({ email: email.toLowerCase() });
 
+  // same response whether or not the account exists
+  if (user) {
+    const token = randomBytes(32).toString("hex");
     const resetLink = `${process.env.BASE_URL}/password-reset/${user._id}/${token}`;
-    console.log("resetLink", resetLink);
-
-    await tokenReset.create({ userId: user._id, token });
 
-    console.log(process.env);
-    await sendMail(user.email, "password reset link", resetLink);
+    const resetToken = await tokenReset.create({ userId: user._id, token });
 
-    return res
-      .status(200)
-      .json(
-        new ApiResponse(
-          200,
-          `password reset mail has been send to ${user.email}`
-        )
+    try {
+      await sendMail(
+        user.email,
+        "password reset link",
+        `you have requested a password for your account\n${resetLink}`
       );
-  } catch (error) {
-    console.log(error);
-    throw new ApiError(400, "Api error", error);
+    } catch (error) {
+      // an error here would tell that the account exists, the user just
+      // gets no mail and can ask again
+      console.log("error while sending password reset mail ", error);
+      await tokenReset.deleteOne({ _id: resetToken._id });
+    }
   }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        `if an account exists for ${email}, a password reset mail has been sent`
+      )
+    );
 });
 
 /**
@@ -1159,6 +2801,8 @@ const passwordResetMail = asyncHandler(async (req, res) => {
  *         description: Bad request, API error occurred
  *       '404':
  *         description: Not found, user or token not found
+ *       '429':
+ *         description: Too many invalid tokens, retry after the Retry-After header
  */
 const resetPassword = asyncHandler(async (req, res) => {
   const { userId, token } = req.params;
@@ -1169,14 +2813,22 @@ const resetPassword = asyncHandler(async (req, res) => {
       .status(404)
       .json(new ApiResponse(404, {}, "userId or token is required"));
   }
+  const accountKey = throttleKey("reset-password", "account", userId);
+  const ipKey = throttleKey("reset-password", "ip", req.ip);
+  await assertNotThrottled(res, [accountKey, ipKey]);
+
   try {
-    const user = await User.findOne({ _id: userId });
-    if (!user) {
-      return res.status(404).json(new ApiResponse(404, {}, "user not found"));
-    }
+    const user = mongoose.isValidObjectId(userId)
+      ? await User.findOne({ _id: userId })
+      : null;
+    const resetToken =
+      user && (await tokenReset.findOne({ userId: userId, token }));
 
-    const resetToken = await tokenReset.findOne({ userId: userId, token });
     if (!resetToken) {
+      await recordAttempt([
+        { key: accountKey, limits: AUTH_THROTTLE.account },
+        { key: ipKey, limits: AUTH_THROTTLE.ip },
+      ]);
       return res
         .status(404)
         .json(new ApiResponse(404, {}, "token not found or invalid token"));
@@ -1185,6 +2837,7 @@ const resetPassword = asyncHandler(async (req, res) => {
     user.password = password;
     await user.save({ validateBeforeSave: false });
     await tokenReset.deleteOne({ userId: userId, token });
+    await clearAttempts([accountKey, throttleKey("login", "account", userId)]);
 
     return res
       .status(200)
@@ -1194,18 +2847,184 @@ const resetPassword = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/users/me:
+ *   delete:
+ *     summary: Delete the current account
+ *     description: Schedules the account and all of its content for deletion after a grace period. Logging in again before then cancels the deletion.
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *             required:
+ *               - password
+ *     responses:
+ *       '200':
+ *         description: Account scheduled for deletion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scheduledDeletionAt:
+ *                       type: string
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, password is required
+ *       '401':
+ *         description: Unauthorized, password is incorrect
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    throw new ApiError(400, "password is required");
+  }
+
+  const user = await User.findById(req.user._id);
+  if (!(await user.isPasswordCorrect(password))) {
+    throw new ApiError(401, "password is incorrect");
+  }
+
+  user.scheduledDeletionAt = new Date(
+    Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+  await user.save({ validateBeforeSave: false });
+
+  // log out every device. logging in again cancels the deletion
+  await Session.revoke({ user: user._id }, "account deletion");
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(
+      new ApiResponse(
+        200,
+        { scheduledDeletionAt: user.scheduledDeletionAt },
+        `account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. login again to cancel`
+      )
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{userId}/role:
+ *   patch:
+ *     summary: Change the role of a user (admin only)
+ *     tags:
+ *       - users
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *             required:
+ *               - role
+ *     responses:
+ *       '200':
+ *         description: Role updated successfully
+ *       '400':
+ *         description: Bad request, userId or role is not valid
+ *       '403':
+ *         description: Forbidden, only admins can change roles
+ *       '404':
+ *         description: Not found, user not found
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "userId is not valid");
+  }
+  if (!USER_ROLES.includes(role)) {
+    throw new ApiError(400, `role must be one of ${USER_ROLES.join(", ")}`);
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { role } },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "user not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "role updated successfully"));
+});
+
 export {
   RegisterUser,
+  verifyEmail,
+  resendVerificationMail,
   loginUser,
+  loginWithTwoFactor,
+  startOidcLogin,
+  oidcCallback,
   logoutUser,
   refreshAccessToken,
+  getSessions,
+  revokeSession,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   updatePassword,
   getCurrentUser,
   updateAccountDetails,
+  confirmEmailChange,
+  undoEmailChange,
   updateAvatar,
   updateCoverPhoto,
   getChannelProfile,
   getWatchHistory,
+  removeWatchHistoryEntry,
+  clearWatchHistory,
+  updateWatchHistorySettings,
+  getContinueWatching,
   passwordResetMail,
   resetPassword,
+  requestMagicLink,
+  loginWithMagicLink,
+  deleteAccount,
+  updateUserRole,
 };
@@ -3,24 +3,76 @@ import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { TrendingScore } from "../models/trendingScore.model.js";
+import { Caption } from "../models/caption.model.js";
 import {
-  uploadToCloudinary,
-  deleteFromCloudinary,
-} from "../utils/cloudinary.js";
+  storeFile,
+  deleteStoredFile,
+  assetOf,
+} from "../utils/storage/index.js";
+import {
+  resolveVisibility,
+  resolveTags,
+  resolveCategory,
+  normalizeTag,
+  publishVideoFile,
+} from "../utils/videoPublishing.js";
+import {
+  escapeRegex,
+  parseSearchText,
+  buildSearchMatch,
+  buildSearchSort,
+} from "../utils/videoSearch.js";
+import {
+  getRelatedVideoIds,
+  invalidateRelatedVideos,
+} from "../utils/relatedVideos.js";
+import {
+  SEARCH_SUGGESTION_LIMIT,
+  VIDEO_CATEGORIES,
+  POPULAR_TAGS_LIMIT,
+  TRENDING,
+  RELATED_VIDEOS,
+} from "../constants.js";
 
-const extractPublicId = (fileUrl) => {
-  const regex = /\/([^/]+)\.(jpg|mp4)$/;
-  const match = fileUrl.match(regex);
-  const publicId = match ? match[1] : null;
+// runs a video listing pipeline one page at a time. the pipeline starts from
+// Video unless another model is given
+const paginateVideos = async (
+  pipeline,
+  { page = 1, limit = 10 },
+  Model = Video
+) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 100);
+
+  const results = await Model.aggregate([
+    ...pipeline,
+    // aggregations do not leave out fields that are not selected by default
+    { $project: { captionText: 0 } },
+    {
+      $facet: {
+        paginatedResults: [
+          { $skip: pageSize * (pageNumber - 1) },
+          { $limit: pageSize },
+        ],
+        totalCount: [{ $count: "count" }],
+      },
+    },
+  ]);
 
-  return publicId;
+  return {
+    paginatedResults: results[0]?.paginatedResults || [],
+    totalCount: results[0]?.totalCount[0]?.count || 0,
+  };
 };
 
 /**
  * @swagger
  * /api/v1/video/:
  *   get:
- *     summary: Get all videos
+ *     summary: Get all videos, or search them
+ *     description: Lists public videos. With a query the videos are searched by the words in their title, tags and description and ranked by relevance. All filters can be combined with or without a query.
  *     tags:
  *       - video
  *     parameters:
@@ -35,23 +87,56 @@ const extractPublicId = (fileUrl) => {
  *         schema:
  *           type: integer
  *           minimum: 1
+ *           maximum: 100
  *         description: Number of videos per page
  *       - in: query
  *         name: query
  *         schema:
  *           type: string
- *         description: Search query for title or description
+ *         description: Search words. "quoted phrases" must match exactly, -word excludes videos with that word
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Slug of a category from /api/v1/video/categories
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: string
+ *           enum: [short, medium, long]
+ *         description: Under 4 minutes, 4 to 20 minutes or over 20 minutes
+ *       - in: query
+ *         name: uploadedAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: uploadedBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *         description: Id or username of the channel
+ *       - in: query
+ *         name: minViews
+ *         schema:
+ *           type: integer
+ *           minimum: 0
  *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
- *         description: Field to sort by (e.g., "createdAt", "views")
+ *           enum: [relevance, createdAt, views, duration, title]
+ *         description: Field to sort by. Defaults to relevance for searches and createdAt otherwise
  *       - in: query
  *         name: sortType
  *         schema:
  *           type: string
  *           enum: [asc, desc]
- *         description: Sorting order (ascending or descending)
+ *         description: Sorting order (ascending or descending), desc by default
  *     responses:
  *       '200':
  *         description: Videos retrieved successfully
@@ -75,55 +160,618 @@ const extractPublicId = (fileUrl) => {
  *                 message:
  *                   type: string
  *                   example: Videos retrieved successfully
+ *       '400':
+ *         description: Bad request, invalid filter or sort
+ *       '404':
+ *         description: Not found, channel not found
  */
 const getAllVideos = asyncHandler(async (req, res) => {
-  // this functions get all videos that logged in searched for.
-
-  const { page = 1, limit = 10, query, sortBy, sortType } = req.query;
-  let aggregationPipeline = [];
-
-  // matching query parameters with video title or description
-  if (query) {
-    aggregationPipeline.push({
-      $match: {
-        $or: [
-          { title: { $regex: query, $options: "i" } },
-          { description: { $regex: query, $options: "i" } },
-        ],
-      },
-    });
+  // only public videos are listed, once they are processed
+  const aggregationPipeline = [{ $match: await buildSearchMatch(req.query) }];
+
+  if (parseSearchText(req.query.query)) {
+    aggregationPipeline.push({ $addFields: { score: { $meta: "textScore" } } });
   }
 
-  // setting sorting options
-  if (sortBy && sortType) {
-    let sort = {};
-    sort[sortBy] = sortType === "desc" ? -1 : 1;
-    aggregationPipeline.push({ $sort: sort });
+  aggregationPipeline.push({ $sort: buildSearchSort(req.query) });
+
+  const results = await paginateVideos(aggregationPipeline, req.query);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, results, "videos retrieved successfully"));
+});
+
+/**
+ * @swagger
+ * /api/v1/video/search/suggest:
+ *   get:
+ *     summary: Autocomplete for the search box
+ *     description: Titles of public videos and channels whose username or name start with the typed text.
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The text typed so far
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *         description: Suggestions of each kind, 5 by default
+ *     responses:
+ *       '200':
+ *         description: Suggestions fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     videos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                     channels:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           username:
+ *                             type: string
+ *                           fullname:
+ *                             type: string
+ *                           avatar:
+ *                             type: string
+ *                 message:
+ *                   type: string
+ */
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+  const prefix = parseSearchText(req.query.q);
+  const suggestionLimit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 5, 1),
+    SEARCH_SUGGESTION_LIMIT
+  );
+
+  if (!prefix) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, { videos: [], channels: [] }, "no suggestions")
+      );
   }
 
-  // adding pagination
-  aggregationPipeline.push({
-    $facet: {
-      paginatedResults: [{ $skip: limit * (page - 1) }, { $limit: limit }],
-      totalCount: [{ $count: "count" }],
-    },
-  });
+  const startsWith = new RegExp(`^${escapeRegex(prefix)}`, "i");
 
-  const results = await Video.aggregate(aggregationPipeline);
-  const paginatedResults = results[0]?.paginatedResults;
-  const totalCount = results[0].totalCount[0]?.count;
+  const [videos, channels] = await Promise.all([
+    Video.find({ ...Video.listedFilter(), title: startsWith })
+      .sort({ views: -1 })
+      .limit(suggestionLimit)
+      .select("title"),
+    // usernames are stored lowercase, a case sensitive prefix can use the index
+    User.find({
+      $or: [
+        {
+          username: new RegExp(`^${escapeRegex(prefix.toLowerCase())}`),
+        },
+        { fullname: startsWith },
+      ],
+    })
+      .limit(suggestionLimit)
+      .select("username fullname avatar"),
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { videos, channels }, "suggestions fetched"));
+});
+
+/**
+ * @swagger
+ * /api/v1/video/trending:
+ *   get:
+ *     summary: Trending public videos
+ *     description: Ranked by the latest snapshot of the trending job, which scores videos every 15 minutes by their views, likes, comments and the new subscribers of their channel in the window. Recent engagement counts more than older engagement.
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           enum: [24h, 7d, 30d]
+ *         description: 24h by default
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only videos of this category
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *     responses:
+ *       '200':
+ *         description: Trending videos retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     window:
+ *                       type: string
+ *                     computedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the snapshot was made, null before the first one
+ *                     paginatedResults:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Video'
+ *                           - type: object
+ *                             properties:
+ *                               trending:
+ *                                 type: object
+ *                                 properties:
+ *                                   rank:
+ *                                     type: number
+ *                                   score:
+ *                                     type: number
+ *                                   signals:
+ *                                     type: object
+ *                                     properties:
+ *                                       views:
+ *                                         type: number
+ *                                       likes:
+ *                                         type: number
+ *                                       comments:
+ *                                         type: number
+ *                                       subscribers:
+ *                                         type: number
+ *                     totalCount:
+ *                       type: number
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, unknown window or category
+ */
+const getTrendingVideos = asyncHandler(async (req, res) => {
+  const window = req.query.window || TRENDING.defaultWindow;
+  if (!Object.hasOwn(TRENDING.windows, window)) {
+    throw new ApiError(
+      400,
+      `window must be one of ${Object.keys(TRENDING.windows).join(", ")}`
+    );
+  }
+  const category = req.query.category
+    ? resolveCategory(req.query.category)
+    : null;
+
+  const latest = await TrendingScore.findOne({ window })
+    .sort({ computedAt: -1 })
+    .select("computedAt")
+    .lean();
+
+  let results = { paginatedResults: [], totalCount: 0 };
+  if (latest) {
+    const match = { window, computedAt: latest.computedAt };
+    if (category) match.category = category;
+
+    // a video may have been hidden or deleted since the snapshot was made
+    results = await paginateVideos(
+      [
+        { $match: match },
+        { $sort: { rank: 1 } },
+        {
+          $lookup: {
+            from: "videos",
+            localField: "video",
+            foreignField: "_id",
+            as: "video",
+            pipeline: [
+              { $match: { ...Video.listedFilter(), deletedAt: null } },
+            ],
+          },
+        },
+        { $unwind: "$video" },
+        {
+          $replaceRoot: {
+            newRoot: {
+              $mergeObjects: [
+                "$video",
+                {
+                  trending: {
+                    rank: "$rank",
+                    score: "$score",
+                    signals: "$signals",
+                  },
+                },
+              ],
+            },
+          },
+        },
+      ],
+      req.query,
+      TrendingScore
+    );
+  }
 
   return res
     .status(200)
     .json(
       new ApiResponse(
         200,
-        { paginatedResults, totalCount },
+        { window, computedAt: latest?.computedAt ?? null, ...results },
+        "trending videos retrieved successfully"
+      )
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/video/categories:
+ *   get:
+ *     summary: List the video categories
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       '200':
+ *         description: Categories with the number of public videos in each
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       slug:
+ *                         type: string
+ *                         example: science-technology
+ *                       name:
+ *                         type: string
+ *                         example: Science & Technology
+ *                       videoCount:
+ *                         type: number
+ *                 message:
+ *                   type: string
+ */
+const getVideoCategories = asyncHandler(async (req, res) => {
+  const counts = await Video.aggregate([
+    { $match: { ...Video.listedFilter(), category: { $ne: null } } },
+    { $group: { _id: "$category", videoCount: { $sum: 1 } } },
+  ]);
+  const countBySlug = new Map(
+    counts.map((count) => [count._id, count.videoCount])
+  );
+
+  const categories = VIDEO_CATEGORIES.map((category) => ({
+    ...category,
+    videoCount: countBySlug.get(category.slug) || 0,
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, categories, "categories fetched"));
+});
+
+/**
+ * @swagger
+ * /api/v1/video/category/{slug}:
+ *   get:
+ *     summary: Browse the public videos of a category
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category slug, e.g. music
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, views, duration, title]
+ *         description: createdAt by default
+ *       - in: query
+ *         name: sortType
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: desc by default
+ *     responses:
+ *       '200':
+ *         description: Videos retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     paginatedResults:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Video'
+ *                     totalCount:
+ *                       type: number
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, invalid sort
+ *       '404':
+ *         description: Not found, category not found
+ */
+const getVideosByCategory = asyncHandler(async (req, res) => {
+  const category = VIDEO_CATEGORIES.find(
+    (entry) => entry.slug === req.params.slug?.toLowerCase()
+  );
+  if (!category) {
+    throw new ApiError(404, "category not found");
+  }
+
+  const results = await paginateVideos(
+    [
+      { $match: { ...Video.listedFilter(), category: category.slug } },
+      { $sort: buildSearchSort(req.query) },
+    ],
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { category, ...results },
         "videos retrieved successfully"
       )
     );
 });
 
+/**
+ * @swagger
+ * /api/v1/video/tag/{tag}:
+ *   get:
+ *     summary: Browse the public videos with a tag
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The tag, it is normalized the same way as when videos are tagged
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, views, duration, title]
+ *         description: createdAt by default
+ *       - in: query
+ *         name: sortType
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: desc by default
+ *     responses:
+ *       '200':
+ *         description: Videos retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     paginatedResults:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Video'
+ *                     totalCount:
+ *                       type: number
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, invalid tag or sort
+ */
+const getVideosByTag = asyncHandler(async (req, res) => {
+  const tag = normalizeTag(req.params.tag ?? "");
+  if (!tag) {
+    throw new ApiError(400, "tag is not valid");
+  }
+
+  const results = await paginateVideos(
+    [
+      { $match: { ...Video.listedFilter(), tags: tag } },
+      { $sort: buildSearchSort(req.query) },
+    ],
+    req.query
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { tag, ...results }, "videos retrieved successfully")
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/video/tags/popular:
+ *   get:
+ *     summary: The most used tags of public videos
+ *     description: Ranked by the number of videos with the tag, then by the views of those videos.
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: 20 by default
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only count videos of this category
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only count videos uploaded in the last days
+ *     responses:
+ *       '200':
+ *         description: Popular tags fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       tag:
+ *                         type: string
+ *                       videoCount:
+ *                         type: number
+ *                       views:
+ *                         type: number
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, unknown category or invalid days
+ */
+const getPopularTags = asyncHandler(async (req, res) => {
+  const { category, days } = req.query;
+  const tagLimit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 20, 1),
+    POPULAR_TAGS_LIMIT
+  );
+
+  const match = { ...Video.listedFilter(), "tags.0": { $exists: true } };
+  if (category) {
+    match.category = resolveCategory(category);
+  }
+  if (days !== undefined) {
+    const window = Number(days);
+    if (!Number.isInteger(window) || window < 1) {
+      throw new ApiError(400, "days must be a positive integer");
+    }
+    match.createdAt = {
+      $gte: new Date(Date.now() - window * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  const popularTags = await Video.aggregate([
+    { $match: match },
+    { $unwind: "$tags" },
+    {
+      $group: {
+        _id: "$tags",
+        videoCount: { $sum: 1 },
+        views: { $sum: "$views" },
+      },
+    },
+    { $sort: { videoCount: -1, views: -1, _id: 1 } },
+    { $limit: tagLimit },
+    { $project: { _id: 0, tag: "$_id", videoCount: 1, views: 1 } },
+  ]);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, popularTags, "popular tags fetched"));
+});
+
 /**
  * @swagger
  * /api/v1/video/:
@@ -150,6 +798,24 @@ const getAllVideos = asyncHandler(async (req, res) => {
  *                 type: string
  *               description:
  *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, unlisted, private, scheduled]
+ *                 default: public
+ *                 description: unlisted videos are only reachable by link, private ones by the owner and allowedViewers
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required for scheduled videos, they become public at this time
+ *               allowedViewers:
+ *                 type: string
+ *                 description: Comma separated ids of users who may watch a private video
+ *               tags:
+ *                 type: string
+ *                 description: Comma separated tags, at most 15. They are stored lowercase without duplicates
+ *               category:
+ *                 type: string
+ *                 description: Slug of a category from /api/v1/video/categories
  *             required:
  *               - videofile
  *               - title
@@ -180,13 +846,27 @@ const getAllVideos = asyncHandler(async (req, res) => {
  *                       type: string
  *                     duration:
  *                       type: number
- *                     ispublished:
- *                       type: boolean
+ *                     visibility:
+ *                       type: string
+ *                       enum: [public, unlisted, private, scheduled]
+ *                     publishAt:
+ *                       type: string
+ *                       format: date-time
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     category:
+ *                       type: string
+ *                     processingStatus:
+ *                       type: string
+ *                       enum: [queued, processing, ready, failed]
+ *                       description: The video is listed once processing is ready
  *                 message:
  *                   type: string
  *                   example: Video uploaded successfully
  *       '400':
- *         description: Bad request, title, description, or video missing
+ *         description: Bad request, title, description, or video missing, or invalid visibility settings, tags or category
  */
 const publishVideo = asyncHandler(async (req, res) => {
   // getting user, video path and other req params
@@ -202,48 +882,42 @@ const publishVideo = asyncHandler(async (req, res) => {
     thumbnailLocalPath = req.files?.thumbnail[0]?.path;
   }
 
-  const { title, description } = req.body;
+  const {
+    title,
+    description,
+    visibility,
+    publishAt,
+    allowedViewers,
+    tags,
+    category,
+  } = req.body;
 
   //   validating inputs
   if (!title || !description) {
     throw new ApiError(400, "title and description are required");
   }
 
+  const visibilityFields = resolveVisibility({
+    visibility: visibility || "public",
+    publishAt,
+    allowedViewers,
+  });
+
   if (!videoLocalPath) {
     throw new ApiError(400, "video is missing");
   }
 
-  //   upload video to cloudinary
-  const uploadedVideo = await uploadToCloudinary(videoLocalPath);
-
-  if (!uploadedVideo) {
-    throw new ApiError(400, "API error. file not uploaded");
-  }
-
-  var thumbnail = "";
-
-  if (!thumbnailLocalPath) {
-    thumbnail = uploadedVideo.url.replace(".mp4", ".jpg");
-  } else {
-    const thumbnailFile = await uploadToCloudinary(thumbnailLocalPath);
-    thumbnail = thumbnailFile.url;
-  }
-
-  //   create video model and saves to mongo db
-  const video = await Video.create({
-    videofile: uploadedVideo.url,
-    thumbnail: thumbnail,
+  const video = await publishVideoFile({
     owner: user._id,
+    videoLocalPath,
+    thumbnailLocalPath,
     title,
     description,
-    duration: uploadedVideo.duration,
-    ispublished: true,
+    visibility: visibilityFields,
+    tags: resolveTags(tags),
+    category: resolveCategory(category),
   });
 
-  if (!video) {
-    throw new ApiError("something went wrong when uploading video");
-  }
-
   return res
     .status(200)
     .json(new ApiResponse(200, video, "video uploaded - TEST RUN"));
@@ -254,6 +928,7 @@ const publishVideo = asyncHandler(async (req, res) => {
  * /api/v1/video/{videoId}:
  *   get:
  *     summary: Get video by ID
+ *     description: Only reads the video. Views are counted through /api/v1/video/{videoId}/watch.
  *     tags:
  *       - video
  *     parameters:
@@ -295,6 +970,26 @@ const publishVideo = asyncHandler(async (req, res) => {
  *                       type: number
  *                     views:
  *                       type: number
+ *                     visibility:
+ *                       type: string
+ *                       enum: [public, unlisted, private, scheduled]
+ *                     captions:
+ *                       type: array
+ *                       description: The caption tracks, as listed by /api/v1/video/{videoId}/captions
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           language:
+ *                             type: string
+ *                           label:
+ *                             type: string
+ *                           kind:
+ *                             type: string
+ *                             enum: [subtitles, captions]
+ *                           url:
+ *                             type: string
  *                 message:
  *                   type: string
  *                   example: Video fetched
@@ -311,28 +1006,134 @@ const getVideoById = asyncHandler(async (req, res) => {
     throw new ApiError(400, "videoId is required");
   }
 
-  const video = await Video.findById({ _id: videoId });
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "videoId is not valid");
+  }
 
-  if (!user.watchhistory.includes(videoId)) {
-    user.watchhistory += [videoId];
-    video.views += 1;
+  const video = await Video.findById({ _id: videoId });
+  // private and scheduled videos look the same as missing ones to others
+  if (!video?.isVisibleTo(user)) {
+    throw new ApiError(404, "video not found");
   }
 
-  try {
-    await video.save();
-    await user.save({ validateBeforeSave: false });
+  const captions = await Caption.tracksOf(video._id);
+
+  // views and watch history are recorded by the player through /watch,
+  // loading the metadata does not count
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { ...video.toObject(), captions }, "video fetched")
+    );
+});
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/related:
+ *   get:
+ *     summary: Related videos to play next
+ *     description: Other public videos ranked by the tags they share with the video, being from the same channel, the words their titles share and how many viewers of the video also watched them. The list is cached for 6 hours and made again when the video is edited.
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: 20 by default
+ *     responses:
+ *       '200':
+ *         description: Related videos fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Video'
+ *                       - type: object
+ *                         properties:
+ *                           related:
+ *                             type: object
+ *                             properties:
+ *                               score:
+ *                                 type: number
+ *                               reasons:
+ *                                 type: array
+ *                                 items:
+ *                                   type: string
+ *                                   enum: [tags, channel, title, coWatch]
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, invalid videoId
+ *       '404':
+ *         description: Not found, video not found
+ */
+const getRelatedVideos = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const relatedLimit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || 20, 1),
+    RELATED_VIDEOS.cacheSize
+  );
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "videoId is not valid");
+  }
 
-    return res.status(200).json(new ApiResponse(200, video, "video fetched"));
-  } catch (error) {
-    throw new ApiError(400, "something went wrong", error);
+  const video = await Video.findById(videoId).select(
+    "title tags owner visibility allowedViewers"
+  );
+  if (!video?.isVisibleTo(req.user)) {
+    throw new ApiError(404, "video not found");
   }
+
+  // the cached list is longer than a page, so related videos that were
+  // hidden since can be skipped
+  const related = await getRelatedVideoIds(video);
+  const videos = await Video.find({
+    ...Video.listedFilter(),
+    _id: { $in: related.map((entry) => entry.video) },
+  }).lean();
+  const videosById = new Map(
+    videos.map((relatedVideo) => [relatedVideo._id.toString(), relatedVideo])
+  );
+
+  const relatedVideos = related
+    .filter((entry) => videosById.has(entry.video.toString()))
+    .slice(0, relatedLimit)
+    .map(({ video: relatedId, score, reasons }) => ({
+      ...videosById.get(relatedId.toString()),
+      related: { score, reasons },
+    }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, relatedVideos, "related videos fetched"));
 });
 
 /**
  * @swagger
  * /api/v1/video/{videoId}:
  *   delete:
- *     summary: Delete a video by ID
+ *     summary: Move a video to the trash
+ *     description: The video can be restored from the trash for 30 days, after that it is deleted together with its files.
  *     tags:
  *       - video
  *     parameters:
@@ -357,10 +1158,10 @@ const getVideoById = asyncHandler(async (req, res) => {
  *                   example: 200
  *                 data:
  *                   type: string
- *                   example: Video deleted successfully
+ *                   example: Video moved to trash
  *                 message:
  *                   type: string
- *                   example: Video deleted successfully
+ *                   example: Video moved to trash
  *       '400':
  *         description: Bad request, videoId is required
  *       '404':
@@ -378,37 +1179,10 @@ const deleteVideo = asyncHandler(async (req, res) => {
     throw new ApiError(404, "video not found");
   }
 
-  // get video thumbnail and videourl
-  const thumbnailId = extractPublicId(video.thumbnail);
-  const videofileId = extractPublicId(video.videofile);
-
-  let deletedThumbnail;
-  let deletedVideo;
-
-  // check if thumbnail and video file have same public id, means video start frame and thumbnail are same
-  if (thumbnailId === videofileId) {
-    deletedVideo = await deleteFromCloudinary(videofileId, "video");
-    if (deletedVideo.result !== "ok") {
-      throw new ApiError(400, "API error. file not properly deleted");
-    }
-  } else {
-    deletedVideo = await deleteFromCloudinary(videofileId, "video");
-    deletedThumbnail = await deleteFromCloudinary(thumbnailId, "image");
-
-    if (deletedVideo.result !== "ok" || deletedThumbnail.result !== "ok") {
-      throw new ApiError(400, "API error. files not properly deleted");
-    }
-  }
-
-  // delete video from mongo db
-  const deletedVideoDoc = await Video.findByIdAndDelete({ _id: videoId });
-  if (!deletedVideoDoc) {
-    throw new ApiError(400, "API error. video not deleted");
-  }
+  // the files stay until the trash purge job deletes the video for good
+  await video.softDelete(req.user);
 
-  return res
-    .status(200)
-    .json(new ApiResponse(200, "video deleted successfully"));
+  return res.status(200).json(new ApiResponse(200, "video moved to trash"));
 });
 
 /**
@@ -439,6 +1213,33 @@ const deleteVideo = asyncHandler(async (req, res) => {
  *         name: thumbnail
  *         type: file
  *         description: New thumbnail for the video
+ *       - in: formData
+ *         name: visibility
+ *         schema:
+ *           type: string
+ *           enum: [public, unlisted, private, scheduled]
+ *         description: New visibility, replaces publishAt and allowedViewers
+ *       - in: formData
+ *         name: publishAt
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Publish time of a scheduled video
+ *       - in: formData
+ *         name: allowedViewers
+ *         schema:
+ *           type: string
+ *         description: Comma separated ids of users who may watch a private video
+ *       - in: formData
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma separated tags, replace the current ones. An empty value removes all tags
+ *       - in: formData
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Slug of a category, an empty value removes the category
  *     security:
  *       - BearerAuth: []
  *     consumes:
@@ -473,34 +1274,56 @@ const deleteVideo = asyncHandler(async (req, res) => {
  *                       type: number
  *                     views:
  *                       type: number
+ *                     visibility:
+ *                       type: string
+ *                       enum: [public, unlisted, private, scheduled]
  *                 message:
  *                   type: string
  *                   example: Video updated successfully
  *       '400':
- *         description: Bad request, videoId is required or missing required fields
+ *         description: Bad request, videoId is required, missing required fields or invalid visibility settings, tags or category
  *       '404':
  *         description: Not found, video not found
  */
 const updateVideo = asyncHandler(async (req, res) => {
   const { videoId } = req.params;
-  const { title, description } = req.body;
+  const {
+    title,
+    description,
+    visibility,
+    publishAt,
+    allowedViewers,
+    tags,
+    category,
+  } = req.body;
 
   let thumbNailLocalPath;
   if (req.file && req.file.path) {
     thumbNailLocalPath = req.file.path;
   }
 
+  // tags and category can be sent empty to clear them
   if (
-    [title, description, thumbNailLocalPath].some(
-      (field) => field.trim() === ""
-    )
+    ![title, description, thumbNailLocalPath, visibility].some((field) =>
+      field?.trim()
+    ) &&
+    tags === undefined &&
+    category === undefined
   ) {
     throw new ApiError(
       400,
-      "atleast provide one of title, description or thumbnail"
+      "atleast provide one of title, description, thumbnail, visibility, tags or category"
     );
   }
 
+  // checked before the thumbnail is stored
+  const visibilityFields = visibility
+    ? resolveVisibility({ visibility, publishAt, allowedViewers })
+    : null;
+  const newTags = tags !== undefined ? resolveTags(tags) : undefined;
+  const newCategory =
+    category !== undefined ? resolveCategory(category) : undefined;
+
   if (!videoId) {
     throw new ApiError(400, "videoId is required");
   }
@@ -511,20 +1334,57 @@ const updateVideo = asyncHandler(async (req, res) => {
   }
 
   if (thumbNailLocalPath) {
-    const oldThumbnail = video.thumbnail;
-    const newThumbnail = await uploadToCloudinary(thumbNailLocalPath);
+    const oldThumbnailAsset = assetOf(
+      video.thumbnailAsset,
+      video.thumbnail,
+      "image"
+    );
+    const newThumbnail = await storeFile(thumbNailLocalPath, {
+      folder: "thumbnails",
+      resourceType: "image",
+    });
+    if (!newThumbnail) {
+      throw new ApiError(400, "API error. file not uploaded");
+    }
+
     video.thumbnail = newThumbnail.url;
-    await deleteFromCloudinary(oldThumbnail);
+    video.thumbnailAsset = newThumbnail;
+    // a derived poster frame is part of the video file and stays
+    const videofileAsset = assetOf(
+      video.videofileAsset,
+      video.videofile,
+      "video"
+    );
+    if (oldThumbnailAsset?.key !== videofileAsset?.key) {
+      await deleteStoredFile(oldThumbnailAsset);
+    }
   }
 
   if (title) video.title = title;
   if (description) video.description = description;
+  if (visibilityFields) video.set(visibilityFields);
+  if (newTags !== undefined) video.tags = newTags;
+  if (newCategory !== undefined) video.category = newCategory;
 
   const updatedVideo = await video.save({ validateBeforeSave: false });
+  await invalidateRelatedVideos(video._id);
 
   return res
     .status(200)
     .json(new ApiResponse(200, updatedVideo, "video updated successfully"));
 });
 
-export { publishVideo, getVideoById, getAllVideos, deleteVideo, updateVideo };
+export {
+  publishVideo,
+  getVideoById,
+  getRelatedVideos,
+  getAllVideos,
+  getSearchSuggestions,
+  getTrendingVideos,
+  getVideoCategories,
+  getVideosByCategory,
+  getVideosByTag,
+  getPopularTags,
+  deleteVideo,
+  updateVideo,
+};
@@ -0,0 +1,222 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Video } from "../models/video.model.js";
+import { WatchSession } from "../models/watchSession.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
+import { View } from "../models/view.model.js";
+import { VIEW_TRACKING, WATCH_COMPLETED_PERCENT } from "../constants.js";
+
+const WATCH_EVENTS = ["play", "heartbeat", "pause", "end"];
+
+const sessionExpiry = () =>
+  new Date(Date.now() + VIEW_TRACKING.sessionTtlHours * 60 * 60 * 1000);
+
+// short videos count after watching part of them
+const minWatchSeconds = (video) =>
+  video.duration > 0
+    ? Math.min(
+        VIEW_TRACKING.minWatchSeconds,
+        video.duration * VIEW_TRACKING.minWatchRatio
+      )
+    : VIEW_TRACKING.minWatchSeconds;
+
+// a session counts at most once, and a viewer at most once per video in the
+// dedup window. returns whether a new view was recorded
+const countView = async (session) => {
+  const claimed = await WatchSession.updateOne(
+    { _id: session._id, viewCounted: false },
+    { $set: { viewCounted: true } }
+  );
+  session.viewCounted = true;
+  if (!claimed.modifiedCount) return false;
+
+  const recentView = await View.exists({
+    video: session.video,
+    viewer: session.viewer,
+    countedAt: {
+      $gte: new Date(
+        Date.now() - VIEW_TRACKING.dedupWindowHours * 60 * 60 * 1000
+      ),
+    },
+  });
+  if (recentView) return false;
+
+  await View.create({ video: session.video, viewer: session.viewer });
+  return true;
+};
+
+// keeps the user's watch history entry of the video up to date, unless they
+// paused their history. without a position only the time is updated, so a
+// player that does not report one does not lose the resume point
+const recordWatchProgress = async (user, video, position, event) => {
+  if (user.watchHistoryPaused) return;
+
+  const now = new Date();
+  const progress = { lastWatchedAt: now };
+
+  if (position !== undefined) {
+    const percent =
+      video.duration > 0 ? Math.min((position / video.duration) * 100, 100) : 0;
+    progress.position = position;
+    progress.percent = Math.round(percent * 10) / 10;
+    progress.completed = percent >= WATCH_COMPLETED_PERCENT;
+  }
+  if (event === "end") {
+    progress.completed = true;
+  }
+
+  await WatchEvent.updateOne(
+    { user: user._id, video: video._id },
+    { $set: progress, $setOnInsert: { firstWatchedAt: now } },
+    { upsert: true }
+  );
+};
+
+/**
+ * @swagger
+ * /api/v1/video/{videoId}/watch:
+ *   post:
+ *     summary: Report playback of a video
+ *     description: The player calls this without a sessionId when playback starts and then every heartbeatSeconds (from the response) while playing, plus on pause and end. The server measures the watched time from the heartbeats. A view is counted after 30 seconds of watching (half of shorter videos), once per viewer and video in 24 hours. Video.views is updated shortly after, not in this request.
+ *     tags:
+ *       - video
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: videoId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Video ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *                 description: The session from the first response, missing when playback starts
+ *               event:
+ *                 type: string
+ *                 enum: [play, heartbeat, pause, end]
+ *                 default: heartbeat
+ *               position:
+ *                 type: number
+ *                 description: Playback position in seconds, kept in the watch history for resuming
+ *     responses:
+ *       '200':
+ *         description: Heartbeat recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: number
+ *                   example: 200
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessionId:
+ *                       type: string
+ *                     heartbeatSeconds:
+ *                       type: number
+ *                       example: 15
+ *                     watchedSeconds:
+ *                       type: number
+ *                     viewCounted:
+ *                       type: boolean
+ *                       description: Whether the session reached the minimum watch time. A repeat view within 24 hours is not added again
+ *                 message:
+ *                   type: string
+ *       '400':
+ *         description: Bad request, invalid videoId, sessionId, event or position
+ *       '404':
+ *         description: Not found, video not found or the session expired
+ */
+const recordWatchHeartbeat = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { sessionId, event = "heartbeat", position } = req.body ?? {};
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "videoId is not valid");
+  }
+  if (!WATCH_EVENTS.includes(event)) {
+    throw new ApiError(400, `event must be one of ${WATCH_EVENTS.join(", ")}`);
+  }
+  if (
+    position !== undefined &&
+    (typeof position !== "number" || !(position >= 0))
+  ) {
+    throw new ApiError(400, "position must be a number of seconds");
+  }
+
+  const video = await Video.findById(videoId).select(
+    "owner visibility allowedViewers duration"
+  );
+  if (!video?.isVisibleTo(req.user)) {
+    throw new ApiError(404, "video not found");
+  }
+
+  const now = new Date();
+  let session;
+
+  if (sessionId) {
+    if (!isValidObjectId(sessionId)) {
+      throw new ApiError(400, "sessionId is not valid");
+    }
+    session = await WatchSession.findOne({
+      _id: sessionId,
+      video: video._id,
+      viewer: req.user._id,
+    });
+    if (!session) {
+      throw new ApiError(404, "watch session not found or expired");
+    }
+
+    // the time since the last heartbeat was watched if the video was playing.
+    // capped, a tab that slept in between does not add up hours
+    if (session.playing) {
+      const elapsed = (now - session.lastHeartbeatAt) / 1000;
+      session.watchedSeconds += Math.min(
+        Math.max(elapsed, 0),
+        VIEW_TRACKING.heartbeatSeconds * 2
+      );
+    }
+  } else {
+    session = new WatchSession({ video: video._id, viewer: req.user._id });
+  }
+
+  session.playing = event === "play" || event === "heartbeat";
+  session.lastHeartbeatAt = now;
+  session.expiresAt = sessionExpiry();
+  if (position !== undefined) session.position = position;
+  await session.save();
+  await recordWatchProgress(req.user, video, position, event);
+
+  if (
+    !session.viewCounted &&
+    session.watchedSeconds >= minWatchSeconds(video)
+  ) {
+    await countView(session);
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        sessionId: session._id,
+        heartbeatSeconds: VIEW_TRACKING.heartbeatSeconds,
+        watchedSeconds: Math.round(session.watchedSeconds),
+        viewCounted: session.viewCounted,
+      },
+      "watch progress recorded"
+    )
+  );
+});
+
+export { recordWatchHeartbeat };
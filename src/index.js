@@ -1,15 +1,38 @@
 import * as dotenv from "dotenv";
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { assertStorageConfigured } from "./utils/storage/index.js";
+import { runMigrations } from "./migrations/index.js";
+import { startAccountDeletionJob } from "./jobs/accountDeletion.job.js";
+import { startDataExportJob } from "./jobs/dataExport.job.js";
+import { startUploadCleanupJob } from "./jobs/uploadCleanup.job.js";
+import { startVideoProcessingJob } from "./jobs/videoProcessing.job.js";
+import { startVideoSchedulerJob } from "./jobs/videoScheduler.job.js";
+import { startTrashPurgeJob } from "./jobs/trashPurge.job.js";
+import { startViewAggregationJob } from "./jobs/viewAggregation.job.js";
+import { startTrendingJob } from "./jobs/trending.job.js";
 dotenv.config({ path: "./.env" });
 
+assertStorageConfigured();
 
 connectDB()
+  .then(() => runMigrations())
   .then(() => {
     app.listen(process.env.PORT || 8000, () => {
       console.log(`APP IS RUNNING ON PORT ${process.env.PORT}`);
     });
+
+    // background jobs
+    startAccountDeletionJob();
+    startDataExportJob();
+    startUploadCleanupJob();
+    startVideoProcessingJob();
+    startVideoSchedulerJob();
+    startTrashPurgeJob();
+    startViewAggregationJob();
+    startTrendingJob();
   })
   .catch((error) => {
-    console.log("MONGODB CONNECTION FAILED ", error);
+    console.log("APP STARTUP FAILED ", error);
+    process.exit(1);
   });
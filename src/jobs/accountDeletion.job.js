@@ -0,0 +1,138 @@
+import fs from "fs";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Session } from "../models/session.model.js";
+import { tokenReset } from "../models/resetTokenSchema.model.js";
+import { magicLinkToken } from "../models/magicLinkToken.model.js";
+import { EmailChange } from "../models/emailChange.model.js";
+import { UsernameHistory } from "../models/usernameHistory.model.js";
+import { DataExport } from "../models/dataExport.model.js";
+import { Upload } from "../models/upload.model.js";
+import { View } from "../models/view.model.js";
+import { WatchSession } from "../models/watchSession.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
+import { Caption } from "../models/caption.model.js";
+import { TrendingScore } from "../models/trendingScore.model.js";
+import { RelatedVideos } from "../models/relatedVideos.model.js";
+import { deleteStoredFile, assetOf } from "../utils/storage/index.js";
+
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// removes the user and everything they created, plus what other users
+// attached to that content (comments and likes on their videos etc.)
+const purgeUserAccount = async (user) => {
+  const userId = user._id;
+
+  // trashed content goes as well
+  const videos = await Video.find({ owner: userId }).setOptions({
+    withDeleted: true,
+  });
+  for (const video of videos) {
+    await video.deleteStoredFiles();
+  }
+  const videoIds = videos.map((video) => video._id);
+
+  const [comments, tweets] = await Promise.all([
+    Comment.find({ $or: [{ owner: userId }, { video: { $in: videoIds } }] })
+      .select("_id")
+      .lean(),
+    Tweet.find({ owner: userId })
+      .setOptions({ withDeleted: true })
+      .select("_id")
+      .lean(),
+  ]);
+  const commentIds = comments.map((comment) => comment._id);
+  const tweetIds = tweets.map((tweet) => tweet._id);
+
+  await Like.deleteMany({
+    $or: [
+      { likedBy: userId },
+      { video: { $in: videoIds } },
+      { comment: { $in: commentIds } },
+      { tweet: { $in: tweetIds } },
+    ],
+  });
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await Tweet.deleteMany({ _id: { $in: tweetIds } });
+  await Playlist.deleteMany({ owner: userId });
+  await Playlist.updateMany(
+    { videos: { $in: videoIds } },
+    { $pull: { videos: { $in: videoIds } } },
+    { withDeleted: true }
+  );
+  await WatchEvent.deleteMany({
+    $or: [{ user: userId }, { video: { $in: videoIds } }],
+  });
+  await View.deleteMany({
+    $or: [{ viewer: userId }, { video: { $in: videoIds } }],
+  });
+  await WatchSession.deleteMany({
+    $or: [{ viewer: userId }, { video: { $in: videoIds } }],
+  });
+  await Subscription.deleteMany({
+    $or: [{ subscriber: userId }, { channel: userId }],
+  });
+  await Caption.deleteMany({ video: { $in: videoIds } });
+  await TrendingScore.deleteMany({ video: { $in: videoIds } });
+  // caches that list the videos are worked out again on the next request
+  await RelatedVideos.deleteMany({
+    $or: [{ video: { $in: videoIds } }, { "related.video": { $in: videoIds } }],
+  });
+  await Video.deleteMany({ _id: { $in: videoIds } });
+  await tokenReset.deleteMany({ userId });
+  await magicLinkToken.deleteMany({ userId });
+  await EmailChange.deleteMany({ user: userId });
+  await UsernameHistory.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+
+  const dataExports = await DataExport.find({ user: userId });
+  for (const dataExport of dataExports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+  }
+  await DataExport.deleteMany({ user: userId });
+
+  const uploads = await Upload.find({ user: userId });
+  for (const upload of uploads) {
+    await fs.promises.rm(upload.filePath, { force: true });
+  }
+  await Upload.deleteMany({ user: userId });
+
+  await deleteStoredFile(assetOf(user.avatarAsset, user.avatar));
+  await deleteStoredFile(assetOf(user.coverimageAsset, user.coverimage));
+
+  await User.deleteOne({ _id: userId });
+};
+
+const purgeScheduledAccounts = async () => {
+  const users = await User.find({
+    scheduledDeletionAt: { $ne: null, $lte: new Date() },
+  });
+
+  for (const user of users) {
+    try {
+      await purgeUserAccount(user);
+      console.log(`account ${user._id} purged`);
+    } catch (error) {
+      console.log(`error while purging account ${user._id} `, error);
+    }
+  }
+};
+
+const startAccountDeletionJob = () => {
+  const run = () =>
+    purgeScheduledAccounts().catch((error) =>
+      console.log("account deletion job failed ", error)
+    );
+
+  run();
+  return setInterval(run, PURGE_INTERVAL);
+};
+
+export { purgeUserAccount, purgeScheduledAccounts, startAccountDeletionJob };
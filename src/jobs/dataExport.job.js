@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import archiver from "archiver";
+import { DataExport } from "../models/dataExport.model.js";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
+import { sendMail } from "../utils/emailConfig.js";
+import { DATA_EXPORT_DIR, DATA_EXPORT_TTL_HOURS } from "../constants.js";
+
+const EXPORT_JOB_INTERVAL = 60 * 1000;
+// an export still processing after this was lost to a restart or crash
+const STALE_PROCESSING_AFTER = 60 * 60 * 1000;
+const VIDEO_FIELDS = "title description videofile thumbnail owner createdAt";
+
+// one json file per area of the account, keyed by file name in the archive
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).select("-password").lean();
+
+  const [
+    videos,
+    watchHistory,
+    likes,
+    comments,
+    tweets,
+    playlists,
+    subscribedTo,
+    subscribers,
+  ] = await Promise.all([
+    // what is in the trash is still the user's data
+    Video.find({ owner: userId }).setOptions({ withDeleted: true }).lean(),
+    WatchEvent.find({ user: userId })
+      .sort({ lastWatchedAt: -1 })
+      .populate("video", VIDEO_FIELDS)
+      .lean(),
+    Like.find({ likedBy: userId, video: { $ne: null } })
+      .populate("video", VIDEO_FIELDS)
+      .lean(),
+    Comment.find({ owner: userId }).lean(),
+    Tweet.find({ owner: userId }).setOptions({ withDeleted: true }).lean(),
+    Playlist.find({ owner: userId }).setOptions({ withDeleted: true }).lean(),
+    Subscription.find({ subscriber: userId })
+      .populate("channel", "username fullname")
+      .lean(),
+    Subscription.find({ channel: userId })
+      .populate("subscriber", "username fullname")
+      .lean(),
+  ]);
+
+  return {
+    "profile.json": user,
+    "videos.json": videos,
+    "watch_history.json": watchHistory.map((entry) => ({
+      firstWatchedAt: entry.firstWatchedAt,
+      lastWatchedAt: entry.lastWatchedAt,
+      position: entry.position,
+      percent: entry.percent,
+      completed: entry.completed,
+      video: entry.video,
+    })),
+    "liked_videos.json": likes.map((like) => ({
+      likedAt: like.createdAt,
+      video: like.video,
+    })),
+    "comments.json": comments,
+    "tweets.json": tweets,
+    "playlists.json": playlists,
+    "subscriptions.json": {
+      subscribedTo: subscribedTo.map((subscription) => ({
+        subscribedAt: subscription.createdAt,
+        channel: subscription.channel,
+      })),
+      subscribers: subscribers.map((subscription) => ({
+        subscribedAt: subscription.createdAt,
+        subscriber: subscription.subscriber,
+      })),
+    },
+  };
+};
+
+const writeArchive = async (filePath, files) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver("zip", { zlib: { level: 9 } });
+
+  const written = new Promise((resolve, reject) => {
+    output.on("close", resolve);
+    output.on("error", reject);
+    archive.on("error", reject);
+  });
+
+  archive.pipe(output);
+  for (const [name, data] of Object.entries(files)) {
+    archive.append(JSON.stringify(data, null, 2), { name });
+  }
+  await archive.finalize();
+  await written;
+
+  return archive.pointer();
+};
+
+const notifyExportReady = async (dataExport) => {
+  const user = await User.findById(dataExport.user);
+  if (!user) return;
+
+  await sendMail(
+    user.email,
+    "your data export is ready",
+    `the copy of your data you requested is ready. download it here before ${dataExport.expiresAt.toUTCString()}\n${dataExport.getDownloadLink()}`
+  );
+};
+
+const processDataExport = async (exportId) => {
+  // claim the export so a second worker (or the interval) does not build it twice
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "pending" },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  try {
+    const data = await collectUserData(dataExport.user);
+    const generatedAt = new Date();
+
+    const manifest = {
+      exportId: dataExport._id,
+      userId: dataExport.user,
+      generatedAt,
+      format: "json",
+      files: Object.entries(data).map(([name, content]) => ({
+        name,
+        records: Array.isArray(content) ? content.length : 1,
+      })),
+    };
+
+    const filePath = path.join(DATA_EXPORT_DIR, `${dataExport._id}.zip`);
+    const size = await writeArchive(filePath, {
+      "manifest.json": manifest,
+      ...data,
+    });
+
+    dataExport.status = "ready";
+    dataExport.filePath = filePath;
+    dataExport.size = size;
+    dataExport.completedAt = generatedAt;
+    dataExport.expiresAt = new Date(
+      generatedAt.getTime() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000
+    );
+    await dataExport.save();
+  } catch (error) {
+    console.log(`error while building data export ${exportId} `, error);
+    dataExport.status = "failed";
+    dataExport.error = error.message;
+    await dataExport.save();
+    return;
+  }
+
+  try {
+    await notifyExportReady(dataExport);
+  } catch (error) {
+    console.log("error while sending data export mail ", error);
+  }
+};
+
+const removeExpiredExports = async () => {
+  const expiredExports = await DataExport.find({
+    expiresAt: { $lte: new Date() },
+  });
+
+  for (const dataExport of expiredExports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+    await dataExport.deleteOne();
+  }
+};
+
+// nothing else writes to an export while it is built, so updatedAt is when
+// it was claimed
+const requeueStaleExports = () =>
+  DataExport.updateMany(
+    {
+      status: "processing",
+      updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_AFTER) },
+    },
+    { $set: { status: "pending" } }
+  );
+
+const startDataExportJob = () => {
+  // picks up exports that were requested while the server was restarting
+  const run = async () => {
+    try {
+      await requeueStaleExports();
+      const pendingExports = await DataExport.find({ status: "pending" })
+        .select("_id")
+        .lean();
+      for (const { _id } of pendingExports) {
+        await processDataExport(_id);
+      }
+      await removeExpiredExports();
+    } catch (error) {
+      console.log("data export job failed ", error);
+    }
+  };
+
+  run();
+  return setInterval(run, EXPORT_JOB_INTERVAL);
+};
+
+export { processDataExport, startDataExportJob };
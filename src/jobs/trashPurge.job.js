@@ -0,0 +1,93 @@
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { View } from "../models/view.model.js";
+import { WatchSession } from "../models/watchSession.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
+import { Caption } from "../models/caption.model.js";
+import { TRASH_RETENTION_DAYS } from "../constants.js";
+
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+// the date until which an item deleted at deletedAt can be restored
+const trashPurgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// deletes a video for good: its files, what other users attached to it and
+// the references to it
+const purgeVideo = async (video) => {
+  if (!(await video.deleteStoredFiles())) {
+    // tried again on the next run rather than leaving files nobody owns
+    throw new Error(`files of video ${video._id} were not deleted`);
+  }
+
+  const comments = await Comment.find({ video: video._id })
+    .select("_id")
+    .lean();
+  const commentIds = comments.map((comment) => comment._id);
+
+  await Like.deleteMany({
+    $or: [{ video: video._id }, { comment: { $in: commentIds } }],
+  });
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await View.deleteMany({ video: video._id });
+  await WatchSession.deleteMany({ video: video._id });
+  await WatchEvent.deleteMany({ video: video._id });
+  await Caption.deleteMany({ video: video._id });
+  await Playlist.updateMany(
+    { videos: video._id },
+    { $pull: { videos: video._id } },
+    { withDeleted: true }
+  );
+  await Video.deleteOne({ _id: video._id });
+};
+
+const purgeTweet = async (tweet) => {
+  await Like.deleteMany({ tweet: tweet._id });
+  await Tweet.deleteOne({ _id: tweet._id });
+};
+
+const purgePlaylist = (playlist) => Playlist.deleteOne({ _id: playlist._id });
+
+const purgers = [
+  [Video, purgeVideo],
+  [Tweet, purgeTweet],
+  [Playlist, purgePlaylist],
+];
+
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(
+    Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  for (const [Model, purge] of purgers) {
+    const expired = await Model.find({
+      deletedAt: { $ne: null, $lte: cutoff },
+    });
+
+    for (const item of expired) {
+      try {
+        await purge(item);
+      } catch (error) {
+        console.log(
+          `error while purging ${Model.modelName.toLowerCase()} ${item._id} `,
+          error
+        );
+      }
+    }
+  }
+};
+
+const startTrashPurgeJob = () => {
+  const run = () =>
+    purgeExpiredTrash().catch((error) =>
+      console.log("trash purge job failed ", error)
+    );
+
+  run();
+  return setInterval(run, PURGE_INTERVAL);
+};
+
+export { trashPurgeDate, purgeExpiredTrash, startTrashPurgeJob };
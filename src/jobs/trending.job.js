@@ -0,0 +1,184 @@
+import { Video } from "../models/video.model.js";
+import { View } from "../models/view.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { TrendingScore } from "../models/trendingScore.model.js";
+import { TRENDING } from "../constants.js";
+
+// the defaults from constants with TRENDING_WEIGHTS applied. read on every
+// run, the environment is only loaded after the imports
+const trendingWeights = () => {
+  const weights = { ...TRENDING.weights };
+
+  for (const entry of (process.env.TRENDING_WEIGHTS || "").split(",")) {
+    if (!entry.trim()) continue;
+
+    const [signal, value] = entry.split(":").map((part) => part.trim());
+    const weight = Number(value);
+    if (!(signal in weights) || !(weight >= 0)) {
+      console.log(`ignoring invalid trending weight "${entry.trim()}"`);
+      continue;
+    }
+    weights[signal] = weight;
+  }
+  return weights;
+};
+
+// counts what happened since `since` per video (or channel), and the same
+// with every event halved for each half life it is old
+const engagementSince = (Model, { groupBy, dateField, match = {} }, window) =>
+  Model.aggregate([
+    { $match: { ...match, [dateField]: { $gte: window.since } } },
+    {
+      $group: {
+        _id: `$${groupBy}`,
+        count: { $sum: 1 },
+        decayed: {
+          $sum: {
+            $pow: [
+              0.5,
+              {
+                $divide: [
+                  { $subtract: [window.now, `$${dateField}`] },
+                  window.halfLifeHours * 60 * 60 * 1000,
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+const byId = (rows) => new Map(rows.map((row) => [row._id.toString(), row]));
+
+const computeSnapshot = async (name, { hours, halfLifeHours }, weights) => {
+  const now = new Date();
+  const window = {
+    now,
+    since: new Date(now.getTime() - hours * 60 * 60 * 1000),
+    halfLifeHours,
+  };
+
+  const [views, likes, comments, subscribers] = await Promise.all([
+    engagementSince(
+      View,
+      { groupBy: "video", dateField: "countedAt" },
+      window
+    ).then(byId),
+    engagementSince(
+      Like,
+      {
+        groupBy: "video",
+        dateField: "createdAt",
+        match: { video: { $ne: null } },
+      },
+      window
+    ).then(byId),
+    engagementSince(
+      Comment,
+      {
+        groupBy: "video",
+        dateField: "createdAt",
+        match: { video: { $ne: null } },
+      },
+      window
+    ).then(byId),
+    engagementSince(
+      Subscription,
+      { groupBy: "channel", dateField: "createdAt" },
+      window
+    ).then(byId),
+  ]);
+
+  // only videos that were watched, liked or commented on in the window can
+  // trend. new subscribers alone do not put a channel's old videos there
+  const candidateIds = new Set([
+    ...views.keys(),
+    ...likes.keys(),
+    ...comments.keys(),
+  ]);
+  const videos = await Video.find({
+    _id: { $in: [...candidateIds] },
+    ...Video.listedFilter(),
+  })
+    .select("owner category")
+    .lean();
+
+  // a channel's new subscribers are shared by its videos that trend
+  const videosPerChannel = new Map();
+  for (const video of videos) {
+    const channelId = video.owner.toString();
+    videosPerChannel.set(channelId, (videosPerChannel.get(channelId) || 0) + 1);
+  }
+
+  const scored = videos.map((video) => {
+    const videoId = video._id.toString();
+    const channelId = video.owner.toString();
+    const gained = subscribers.get(channelId);
+
+    const score =
+      weights.views * (views.get(videoId)?.decayed || 0) +
+      weights.likes * (likes.get(videoId)?.decayed || 0) +
+      weights.comments * (comments.get(videoId)?.decayed || 0) +
+      (weights.subscribers * (gained?.decayed || 0)) /
+        videosPerChannel.get(channelId);
+
+    return {
+      window: name,
+      computedAt: now,
+      video: video._id,
+      category: video.category ?? null,
+      score,
+      signals: {
+        views: views.get(videoId)?.count || 0,
+        likes: likes.get(videoId)?.count || 0,
+        comments: comments.get(videoId)?.count || 0,
+        subscribers: gained?.count || 0,
+      },
+    };
+  });
+
+  // ties go to the newer video, so the order is the same on every run
+  scored.sort(
+    (a, b) =>
+      b.score - a.score || b.video.toString().localeCompare(a.video.toString())
+  );
+
+  // the overall top plus the top of every category, so filtering a snapshot
+  // by category still has enough videos
+  const categoryRanks = new Map();
+  const rows = scored.filter((row, index) => {
+    row.rank = index + 1;
+    const categoryRank = (categoryRanks.get(row.category) || 0) + 1;
+    categoryRanks.set(row.category, categoryRank);
+    return (
+      row.rank <= TRENDING.snapshotSize || categoryRank <= TRENDING.snapshotSize
+    );
+  });
+
+  if (rows.length) {
+    await TrendingScore.insertMany(rows);
+  }
+};
+
+const computeTrending = async () => {
+  const weights = trendingWeights();
+
+  for (const [name, window] of Object.entries(TRENDING.windows)) {
+    await computeSnapshot(name, window, weights);
+  }
+};
+
+const startTrendingJob = () => {
+  const run = () =>
+    computeTrending().catch((error) =>
+      console.log("trending job failed ", error)
+    );
+
+  run();
+  return setInterval(run, TRENDING.intervalMinutes * 60 * 1000);
+};
+
+export { computeTrending, startTrendingJob };
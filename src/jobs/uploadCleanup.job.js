@@ -0,0 +1,58 @@
+import fs from "fs";
+import { Upload } from "../models/upload.model.js";
+import { UPLOAD_EXPIRY_HOURS } from "../constants.js";
+
+const CLEANUP_INTERVAL = 15 * 60 * 1000;
+// an upload still being published after this was lost to a restart or crash
+const STALE_PROCESSING_AFTER = 2 * 60 * 60 * 1000;
+
+// unfinished uploads past their expiry, and finished ones once their status
+// no longer needs to be readable. uploads being published are left alone
+const removeExpiredUploads = async () => {
+  const expiredUploads = await Upload.find({
+    expiresAt: { $lte: new Date() },
+    status: { $ne: "processing" },
+  });
+
+  for (const upload of expiredUploads) {
+    await fs.promises.rm(upload.filePath, { force: true });
+    await upload.deleteOne();
+  }
+};
+
+// the upload is not saved while it is published, so updatedAt is when its
+// last byte arrived. it may already have become a video, publishing it again
+// could create a second one, so it is failed instead
+const failStaleUploads = async () => {
+  const staleUploads = await Upload.find({
+    status: "processing",
+    updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_AFTER) },
+  });
+
+  for (const upload of staleUploads) {
+    await fs.promises.rm(upload.filePath, { force: true });
+    upload.status = "failed";
+    upload.error = "publishing the upload was interrupted, upload it again";
+    // the status stays readable for a while, like for any finished upload
+    upload.expiresAt = new Date(
+      Date.now() + UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000
+    );
+    await upload.save();
+  }
+};
+
+const startUploadCleanupJob = () => {
+  const run = async () => {
+    try {
+      await failStaleUploads();
+      await removeExpiredUploads();
+    } catch (error) {
+      console.log("upload cleanup job failed ", error);
+    }
+  };
+
+  run();
+  return setInterval(run, CLEANUP_INTERVAL);
+};
+
+export { failStaleUploads, removeExpiredUploads, startUploadCleanupJob };
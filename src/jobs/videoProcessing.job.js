@@ -0,0 +1,366 @@
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { Video } from "../models/video.model.js";
+import {
+  ffmpeg,
+  ffmpegAvailable,
+  probeVideo,
+  isMissingBinary,
+} from "../utils/ffmpeg.js";
+import { assetOf, getSignedUrl, storeFile } from "../utils/storage/index.js";
+import { localProvider } from "../utils/storage/local.provider.js";
+import {
+  VIDEO_RENDITIONS,
+  VIDEO_PROCESSING_DIR,
+  HLS_SEGMENT_SECONDS,
+  HLS_SEGMENT_NAME,
+  THUMBNAIL_CANDIDATE_POSITIONS,
+} from "../constants.js";
+
+const PROCESSING_JOB_INTERVAL = 60 * 1000;
+// a video in processing tells it is still being worked on this often. one
+// without a sign of life for a while was handled by a process that died
+const PROCESSING_HEARTBEAT_INTERVAL = 60 * 1000;
+const STALE_PROCESSING_AFTER = 10 * 60 * 1000;
+// the error of videos that failed for want of ffmpeg, they are queued again
+// once it is installed
+const FFMPEG_MISSING_ERROR =
+  "ffmpeg is not installed, the video was not processed";
+
+let queueRunning = false;
+let missingFfmpegLogged = false;
+
+// ffmpeg needs a file on disk. local media is used in place, anything else
+// is downloaded into the working directory first
+const sourceFile = async (video, workDir) => {
+  const asset = assetOf(video.videofileAsset, video.videofile, "video");
+
+  if (asset?.provider === localProvider.name) {
+    return localProvider.path(asset.key);
+  }
+
+  const response = await fetch(
+    asset ? await getSignedUrl(asset) : video.videofile
+  );
+  if (!response.ok) {
+    throw new Error(`video file could not be downloaded: ${response.status}`);
+  }
+
+  const filePath = path.join(workDir, "source");
+  await pipeline(
+    Readable.fromWeb(response.body),
+    fs.createWriteStream(filePath)
+  );
+  return filePath;
+};
+
+// h264 main profile, the level comes from the rendition
+const renditionCodecs = (rendition, hasAudio) => {
+  const level = Math.round(Number(rendition.level) * 10)
+    .toString(16)
+    .padStart(2, "0");
+  const codecs = [`avc1.4d40${level}`];
+  if (hasAudio) codecs.push("mp4a.40.2");
+  return codecs.join(",");
+};
+
+// renditions up to the source height. a source smaller than all of them
+// still gets the smallest one
+const pickRenditions = (sourceHeight) => {
+  const fitting = VIDEO_RENDITIONS.filter(
+    (rendition) => rendition.height <= sourceHeight
+  );
+  return fitting.length ? fitting : VIDEO_RENDITIONS.slice(0, 1);
+};
+
+const transcodeRendition = async (video, source, probe, rendition, workDir) => {
+  const outputDir = path.join(workDir, rendition.name);
+  await fs.promises.mkdir(outputDir, { recursive: true });
+
+  const maxrate = Math.round(rendition.videoBitrate * 1.07);
+  await ffmpeg([
+    "-i",
+    source,
+    "-map",
+    "0:v:0",
+    "-map",
+    "0:a:0?",
+    "-vf",
+    `scale=-2:${rendition.height}`,
+    "-c:v",
+    "libx264",
+    "-preset",
+    "veryfast",
+    "-profile:v",
+    "main",
+    "-level",
+    rendition.level,
+    "-b:v",
+    `${rendition.videoBitrate}k`,
+    "-maxrate",
+    `${maxrate}k`,
+    "-bufsize",
+    `${rendition.videoBitrate * 2}k`,
+    // a key frame at every segment boundary so all renditions switch cleanly
+    "-force_key_frames",
+    `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+    "-sc_threshold",
+    "0",
+    "-c:a",
+    "aac",
+    "-b:a",
+    `${rendition.audioBitrate}k`,
+    "-ac",
+    "2",
+    "-f",
+    "hls",
+    "-hls_time",
+    String(HLS_SEGMENT_SECONDS),
+    "-hls_playlist_type",
+    "vod",
+    "-hls_segment_filename",
+    path.join(outputDir, "segment_%04d.ts"),
+    path.join(outputDir, "index.m3u8"),
+  ]);
+
+  const segmentCount = (await fs.promises.readdir(outputDir)).filter((file) =>
+    file.endsWith(".ts")
+  ).length;
+
+  // the playlist goes last, a rendition is only usable once it is there
+  const keyPrefix = `hls/${video._id}/${rendition.name}`;
+  for (let index = 0; index < segmentCount; index++) {
+    const stored = await storeFile(
+      path.join(outputDir, HLS_SEGMENT_NAME(index)),
+      { key: `${keyPrefix}/${HLS_SEGMENT_NAME(index)}`, resourceType: "raw" }
+    );
+    if (!stored) {
+      throw new Error(`segment ${index} of ${rendition.name} was not stored`);
+    }
+  }
+  const playlist = await storeFile(path.join(outputDir, "index.m3u8"), {
+    key: `${keyPrefix}/index.m3u8`,
+    resourceType: "raw",
+  });
+  if (!playlist) {
+    throw new Error(`playlist of ${rendition.name} was not stored`);
+  }
+
+  return {
+    name: rendition.name,
+    width:
+      Math.round((probe.width * rendition.height) / probe.height / 2) * 2 ||
+      undefined,
+    height: rendition.height,
+    bandwidth: (maxrate + (probe.hasAudio ? rendition.audioBitrate : 0)) * 1000,
+    codecs: renditionCodecs(rendition, probe.hasAudio),
+    playlist,
+    segmentCount,
+  };
+};
+
+const extractThumbnails = async (source, probe, workDir) => {
+  const candidates = [];
+
+  for (const [index, position] of THUMBNAIL_CANDIDATE_POSITIONS.entries()) {
+    const time = Math.round(probe.duration * position * 100) / 100;
+    const framePath = path.join(workDir, `thumbnail_${index}.jpg`);
+
+    await ffmpeg([
+      "-ss",
+      String(time),
+      "-i",
+      source,
+      "-frames:v",
+      "1",
+      "-vf",
+      "scale=-2:min(720\\,ih)",
+      "-q:v",
+      "3",
+      framePath,
+    ]);
+
+    const stored = await storeFile(framePath, {
+      folder: "thumbnails",
+      resourceType: "image",
+    });
+    if (stored) {
+      candidates.push({ url: stored.url, asset: stored, time });
+    }
+  }
+
+  return candidates;
+};
+
+const processVideo = async (videoId) => {
+  // claim the video so the interval and a publish do not both pick it up
+  const video = await Video.findOneAndUpdate(
+    { _id: videoId, processingStatus: "queued" },
+    {
+      $set: {
+        processingStatus: "processing",
+        processingStartedAt: new Date(),
+        processingHeartbeatAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!video) return;
+
+  const workDir = path.join(VIDEO_PROCESSING_DIR, video._id.toString());
+  const heartbeat = setInterval(
+    () =>
+      Video.updateOne(
+        { _id: video._id, processingStatus: "processing" },
+        { $set: { processingHeartbeatAt: new Date() } }
+      ).catch((error) =>
+        console.log(
+          `error while updating heartbeat of video ${video._id} `,
+          error
+        )
+      ),
+    PROCESSING_HEARTBEAT_INTERVAL
+  );
+
+  try {
+    await fs.promises.mkdir(workDir, { recursive: true });
+    const source = await sourceFile(video, workDir);
+    const probe = await probeVideo(source);
+
+    // leftovers of an earlier attempt that died half way
+    await video.deleteProcessedFiles();
+
+    const renditions = [];
+    for (const rendition of pickRenditions(probe.height)) {
+      renditions.push(
+        await transcodeRendition(video, source, probe, rendition, workDir)
+      );
+    }
+    const thumbnailCandidates = await extractThumbnails(source, probe, workDir);
+
+    video.set({
+      duration: probe.duration,
+      width: probe.width,
+      height: probe.height,
+      videoCodec: probe.videoCodec,
+      audioCodec: probe.audioCodec,
+      renditions,
+      thumbnailCandidates,
+      processingStatus: "ready",
+      processingError: undefined,
+    });
+
+    // an uploaded thumbnail wins over the generated ones
+    const middleCandidate =
+      thumbnailCandidates[Math.floor(thumbnailCandidates.length / 2)];
+    if (!video.thumbnailAsset && middleCandidate) {
+      video.thumbnail = middleCandidate.url;
+      video.thumbnailAsset = middleCandidate.asset;
+    }
+  } catch (error) {
+    if (isMissingBinary(error)) {
+      // ffmpeg went away while the queue was running. the video fails like
+      // the rest of the queue will, the caller stops
+      video.processingStatus = "failed";
+      video.processingError = FFMPEG_MISSING_ERROR;
+      await video.save({ validateBeforeSave: false });
+      throw error;
+    }
+
+    console.log(`error while processing video ${video._id} `, error);
+    video.processingStatus = "failed";
+    video.processingError = error.message;
+  } finally {
+    clearInterval(heartbeat);
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+
+  await video.save({ validateBeforeSave: false });
+};
+
+// one video at a time, transcoding takes all the cpu it can get
+const processQueuedVideos = async () => {
+  if (queueRunning) return;
+  queueRunning = true;
+
+  try {
+    // an unprocessed video is never listed. without ffmpeg the owner sees
+    // it failed instead of waiting for nothing
+    if (!(await ffmpegAvailable())) {
+      if (!missingFfmpegLogged) {
+        console.log("ffmpeg is not installed, uploaded videos fail processing");
+        missingFfmpegLogged = true;
+      }
+      await Video.updateMany(
+        { processingStatus: "queued" },
+        {
+          $set: {
+            processingStatus: "failed",
+            processingError: FFMPEG_MISSING_ERROR,
+          },
+        }
+      );
+      return;
+    }
+    missingFfmpegLogged = false;
+
+    await Video.updateMany(
+      { processingStatus: "failed", processingError: FFMPEG_MISSING_ERROR },
+      { $set: { processingStatus: "queued" }, $unset: { processingError: 1 } }
+    );
+
+    let next;
+    while (
+      (next = await Video.findOne({ processingStatus: "queued" })
+        .sort({ createdAt: 1 })
+        .select("_id"))
+    ) {
+      await processVideo(next._id);
+    }
+  } finally {
+    queueRunning = false;
+  }
+};
+
+// a transcode can take hours, only the heartbeat tells whether it still runs.
+// videos claimed before there were heartbeats go by their start
+const requeueStaleVideos = () => {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_AFTER);
+
+  return Video.updateMany(
+    {
+      processingStatus: "processing",
+      $or: [
+        { processingHeartbeatAt: { $lt: staleBefore } },
+        {
+          processingHeartbeatAt: null,
+          processingStartedAt: { $lt: staleBefore },
+        },
+      ],
+    },
+    { $set: { processingStatus: "queued" } }
+  );
+};
+
+const startVideoProcessingJob = () => {
+  const run = async () => {
+    try {
+      await requeueStaleVideos();
+      await processQueuedVideos();
+    } catch (error) {
+      console.log("video processing job failed ", error);
+    }
+  };
+
+  run();
+  return setInterval(run, PROCESSING_JOB_INTERVAL);
+};
+
+export {
+  processVideo,
+  processQueuedVideos,
+  requeueStaleVideos,
+  startVideoProcessingJob,
+};
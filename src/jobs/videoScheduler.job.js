@@ -0,0 +1,22 @@
+import { Video } from "../models/video.model.js";
+
+const SCHEDULER_INTERVAL = 60 * 1000;
+
+// scheduled videos become public once their publish time has come
+const publishScheduledVideos = () =>
+  Video.updateMany(
+    { visibility: "scheduled", publishAt: { $lte: new Date() } },
+    { $set: { visibility: "public" } }
+  );
+
+const startVideoSchedulerJob = () => {
+  const run = () =>
+    publishScheduledVideos().catch((error) =>
+      console.log("video scheduler job failed ", error)
+    );
+
+  run();
+  return setInterval(run, SCHEDULER_INTERVAL);
+};
+
+export { publishScheduledVideos, startVideoSchedulerJob };
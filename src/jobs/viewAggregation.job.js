@@ -0,0 +1,54 @@
+import { Video } from "../models/video.model.js";
+import { View } from "../models/view.model.js";
+
+const AGGREGATION_INTERVAL = 30 * 1000;
+const AGGREGATION_BATCH_SIZE = 5000;
+
+// adds the views counted since the last run to Video.views, one update per
+// video instead of one per view. the views of a video are marked first and
+// only what was marked by this run is added, so two runs never add the same
+// view twice
+const aggregateViews = async () => {
+  let pending;
+
+  do {
+    pending = await View.find({ aggregated: false })
+      .limit(AGGREGATION_BATCH_SIZE)
+      .select("video")
+      .lean();
+
+    const viewIdsByVideo = new Map();
+    for (const view of pending) {
+      const videoId = view.video.toString();
+      if (!viewIdsByVideo.has(videoId)) viewIdsByVideo.set(videoId, []);
+      viewIdsByVideo.get(videoId).push(view._id);
+    }
+
+    for (const [videoId, viewIds] of viewIdsByVideo) {
+      const marked = await View.updateMany(
+        { _id: { $in: viewIds }, aggregated: false },
+        { $set: { aggregated: true } }
+      );
+      if (marked.modifiedCount) {
+        // trashed videos keep counting, they may be restored
+        await Video.updateOne(
+          { _id: videoId },
+          { $inc: { views: marked.modifiedCount } },
+          { withDeleted: true }
+        );
+      }
+    }
+  } while (pending.length === AGGREGATION_BATCH_SIZE);
+};
+
+const startViewAggregationJob = () => {
+  const run = () =>
+    aggregateViews().catch((error) =>
+      console.log("view aggregation job failed ", error)
+    );
+
+  run();
+  return setInterval(run, AGGREGATION_INTERVAL);
+};
+
+export { aggregateViews, startViewAggregationJob };
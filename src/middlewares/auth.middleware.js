@@ -1,4 +1,5 @@
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
 import jwt from "jsonwebtoken";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
@@ -16,18 +17,38 @@ const verifyJWT = asyncHandler(async (req, res, next) => {
 
     const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
     const user = await User.findById(decodedToken._id).select(
-      "-password -refreshToken"
+      "-password"
     );
 
     if (!user) {
       throw new ApiError(401, "Unauthorized Access");
     }
 
+    // access tokens die with the session (device) they were issued for
+    const session = await Session.findOne({
+      _id: decodedToken.sid,
+      user: user._id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      throw new ApiError(401, "session has been revoked");
+    }
+
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
-    throw new ApiError(500, error.message);
+    throw new ApiError(error.statusCode || 401, error.message);
+  }
+});
+
+// used after verifyJWT on routes that publish content
+const requireVerifiedEmail = asyncHandler(async (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    throw new ApiError(403, "verify your email address to continue");
   }
+  next();
 });
 
-export { verifyJWT };
+export { verifyJWT, requireVerifiedEmail };
@@ -1,15 +1,47 @@
 import multer from "multer";
+import path from "path";
+import { randomUUID } from "crypto";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { CAPTION_MAX_BYTES } from "../constants.js";
 
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
       cb(null, "./public/temp")
     },
     filename: function (req, file, cb) {
-      
-      cb(null, file.originalname)
+      // never the original name, two uploads of "video.mp4" would overwrite each other
+      cb(null, `${randomUUID()}${path.extname(file.originalname).toLowerCase()}`)
     }
   })
   
 export const upload = multer({ 
     storage, 
-})
\ No newline at end of file
+})
+
+// caption files are small text files. multer stops reading at the limit and
+// removes what it saved, the error is answered like the others
+const captionUpload = multer({
+    storage,
+    limits: { fileSize: CAPTION_MAX_BYTES },
+})
+
+export const uploadCaption = (field) =>
+  asyncHandler(async (req, res, next) => {
+    try {
+      await new Promise((resolve, reject) =>
+        captionUpload.single(field)(req, res, (error) =>
+          error ? reject(error) : resolve()
+        )
+      )
+    } catch (error) {
+      if (error.code === "LIMIT_FILE_SIZE") {
+        throw new ApiError(
+          400,
+          `caption files can be at most ${CAPTION_MAX_BYTES / 1024} KB`
+        )
+      }
+      throw error
+    }
+    next()
+  })
@@ -0,0 +1,66 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+
+// who may perform an action on a piece of content. "owner" is the user in the
+// document's owner field, everything else is a role. admins may do everything
+const policies = {
+  create: ["user", "moderator"],
+  update: ["owner"],
+  delete: ["owner", "moderator"],
+};
+
+const isAllowed = (allowed, user, resource) => {
+  if (user.role === "admin") return true;
+  if (allowed.includes(user.role)) return true;
+
+  return (
+    allowed.includes("owner") &&
+    !!resource?.owner &&
+    resource.owner.toString() === user._id.toString()
+  );
+};
+
+// used after verifyJWT. for update/delete the document is loaded from the id in
+// req.params[idField] (or req.body[idField]) and exposed as req.resource
+const authorize = (Model, action, idField) =>
+  asyncHandler(async (req, res, next) => {
+    const allowed = policies[action];
+    if (!allowed) {
+      throw new ApiError(500, `no policy defined for ${action}`);
+    }
+
+    let resource;
+    if (idField) {
+      const id = req.params[idField] ?? req.body?.[idField];
+
+      if (!isValidObjectId(id)) {
+        throw new ApiError(400, `${idField} is not valid`);
+      }
+
+      resource = await Model.findById(id);
+      if (!resource) {
+        throw new ApiError(404, `${Model.modelName.toLowerCase()} not found`);
+      }
+    }
+
+    if (!isAllowed(allowed, req.user, resource)) {
+      throw new ApiError(
+        403,
+        `you are not allowed to ${action} this ${Model.modelName.toLowerCase()}`
+      );
+    }
+
+    req.resource = resource;
+    next();
+  });
+
+const requireRole = (...roles) =>
+  asyncHandler(async (req, res, next) => {
+    if (req.user?.role !== "admin" && !roles.includes(req.user?.role)) {
+      throw new ApiError(403, "you are not allowed to perform this action");
+    }
+    next();
+  });
+
+export { authorize, requireRole };
@@ -0,0 +1,44 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { TUS_VERSION, UPLOAD_QUOTA } from "../constants.js";
+
+const TUS_EXTENSIONS = "creation,expiration,termination";
+
+// headers tus clients read, browsers only hand them over when exposed
+const TUS_EXPOSED_HEADERS = [
+  "Location",
+  "Tus-Resumable",
+  "Tus-Version",
+  "Tus-Extension",
+  "Tus-Max-Size",
+  "Upload-Offset",
+  "Upload-Length",
+  "Upload-Expires",
+  "Upload-Metadata",
+];
+
+// clients discover the server with an OPTIONS request, which the cors
+// middleware answers on its own. this runs before it to add the tus headers
+const tusOptions = (req, res, next) => {
+  res.set({
+    "Tus-Resumable": TUS_VERSION,
+    "Tus-Version": TUS_VERSION,
+    "Tus-Extension": TUS_EXTENSIONS,
+    "Tus-Max-Size": String(UPLOAD_QUOTA.maxFileSize),
+  });
+  next();
+};
+
+// every other tus request has to name the protocol version it speaks
+const requireTusResumable = asyncHandler(async (req, res, next) => {
+  res.set("Tus-Resumable", TUS_VERSION);
+
+  if (req.get("Tus-Resumable") !== TUS_VERSION) {
+    res.set("Tus-Version", TUS_VERSION);
+    throw new ApiError(412, `only tus version ${TUS_VERSION} is supported`);
+  }
+
+  next();
+});
+
+export { tusOptions, requireTusResumable, TUS_EXPOSED_HEADERS };
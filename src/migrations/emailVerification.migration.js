@@ -0,0 +1,12 @@
+import { User } from "../models/user.model.js";
+
+// accounts from before email verification have no emailVerified. they
+// signed up without being asked to verify, so they must not be locked out
+// of publishing now
+const migrateLegacyEmailVerification = () =>
+  User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+export { migrateLegacyEmailVerification };
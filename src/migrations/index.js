@@ -0,0 +1,30 @@
+import { Migration } from "../models/migration.model.js";
+import { migrateLegacyEmailVerification } from "./emailVerification.migration.js";
+import { migrateLocalVideoUrls } from "./localVideoUrl.migration.js";
+import { migrateLegacyVisibility } from "./videoVisibility.migration.js";
+import { migrateLegacyWatchHistory } from "./watchHistory.migration.js";
+import { migrateTextIndex } from "./videoTextIndex.migration.js";
+
+// data migrations in the order they are applied. each one runs once, at the
+// first startup that knows it, and is recorded in the migrations collection.
+// new ones go at the end and a name never changes once released
+const MIGRATIONS = [
+  ["legacy-email-verification", migrateLegacyEmailVerification],
+  ["local-video-stream-urls", migrateLocalVideoUrls],
+  ["legacy-video-visibility", migrateLegacyVisibility],
+  ["legacy-watch-history", migrateLegacyWatchHistory],
+  ["caption-text-search-index", migrateTextIndex],
+];
+
+// called at startup, before the app takes requests and the jobs start
+const runMigrations = async () => {
+  for (const [name, migrate] of MIGRATIONS) {
+    if (await Migration.exists({ name })) continue;
+
+    await migrate();
+    await Migration.create({ name });
+    console.log(`migration ${name} applied`);
+  }
+};
+
+export { runMigrations };
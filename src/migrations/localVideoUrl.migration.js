@@ -0,0 +1,19 @@
+import { Video } from "../models/video.model.js";
+
+// local video files used to be handed out by their /media url, which only
+// works with a signature now. those videos get their stream url instead
+const migrateLocalVideoUrls = async () => {
+  const videos = Video.collection.find(
+    { "videofileAsset.provider": "local" },
+    { projection: { _id: 1 } }
+  );
+
+  for await (const video of videos) {
+    await Video.collection.updateOne(
+      { _id: video._id },
+      { $set: { videofile: Video.streamUrl(video._id) } }
+    );
+  }
+};
+
+export { migrateLocalVideoUrls };
@@ -0,0 +1,16 @@
+import { Video } from "../models/video.model.js";
+
+// the search index from before captions were searchable has no captionText.
+// a collection can only have one text index, so the old one has to be
+// dropped before the new one is built
+const migrateTextIndex = async () => {
+  // a new database has no videos collection yet
+  const indexes = await Video.collection.indexes().catch(() => []);
+  const textIndex = indexes.find((index) => index.name === "video_text_search");
+  if (textIndex && !textIndex.weights?.captionText) {
+    await Video.collection.dropIndex(textIndex.name);
+    await Video.createIndexes();
+  }
+};
+
+export { migrateTextIndex };
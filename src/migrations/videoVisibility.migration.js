@@ -0,0 +1,15 @@
+import { Video } from "../models/video.model.js";
+
+// videos from before visibility existed only had ispublished
+const migrateLegacyVisibility = async () => {
+  await Video.collection.updateMany(
+    { visibility: { $exists: false }, ispublished: false },
+    { $set: { visibility: "private" }, $unset: { ispublished: "" } }
+  );
+  await Video.collection.updateMany(
+    { visibility: { $exists: false } },
+    { $set: { visibility: "public" }, $unset: { ispublished: "" } }
+  );
+};
+
+export { migrateLegacyVisibility };
@@ -0,0 +1,51 @@
+import { isValidObjectId } from "mongoose";
+import { User } from "../models/user.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
+
+// the watch history used to be an array of video ids on the user, without
+// any times. each id becomes an entry watched when the user was last updated
+const migrateLegacyWatchHistory = async () => {
+  const users = User.collection.find(
+    { watchhistory: { $exists: true, $nin: [[], null] } },
+    { projection: { watchhistory: 1, updatedAt: 1 } }
+  );
+
+  for await (const user of users) {
+    const watchedAt = user.updatedAt || new Date();
+    // the old getVideoById could leave strings of comma joined ids behind
+    const videoIds = [user.watchhistory]
+      .flat()
+      .flatMap((entry) =>
+        typeof entry === "string" ? entry.split(",") : [entry]
+      )
+      .filter(isValidObjectId);
+
+    if (videoIds.length) {
+      await WatchEvent.bulkWrite(
+        videoIds.map((videoId) => ({
+          updateOne: {
+            filter: { user: user._id, video: videoId },
+            update: {
+              $setOnInsert: {
+                firstWatchedAt: watchedAt,
+                lastWatchedAt: watchedAt,
+              },
+            },
+            upsert: true,
+          },
+        }))
+      );
+    }
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $unset: { watchhistory: "" } }
+    );
+  }
+
+  await User.collection.updateMany(
+    { watchhistory: { $exists: true } },
+    { $unset: { watchhistory: "" } }
+  );
+};
+
+export { migrateLegacyWatchHistory };
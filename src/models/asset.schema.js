@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+import { STORAGE_PROVIDERS } from "../constants.js";
+
+// where a stored file lives: the storage provider and the object id on it.
+// embedded next to the url of every uploaded file
+export const assetSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: STORAGE_PROVIDERS,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    resourceType: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// failed (or rate limited) authentication attempts per throttle key, e.g.
+// "login:account:<userId>" or "login:ip:<ip>"
+const authAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    blockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // failures are forgotten once nothing happened on the key for a while
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthAttempt = mongoose.model("AuthAttempt", authAttemptSchema);
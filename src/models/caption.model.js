@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import { CAPTION_KINDS, CAPTION_LABEL_MAX_LENGTH } from "../constants.js";
+
+// a caption track of a video. the file is small enough to keep in the
+// document, normalized to WebVTT on upload
+const captionSchema = new mongoose.Schema(
+  {
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+      index: true,
+    },
+    // BCP 47 language tag, e.g. en or pt-BR
+    language: {
+      type: String,
+      required: true,
+    },
+    // shown in the player's track menu, e.g. "English (auto)"
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: CAPTION_LABEL_MAX_LENGTH,
+    },
+    kind: {
+      type: String,
+      enum: CAPTION_KINDS,
+      default: "subtitles",
+    },
+    content: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // the cue text without timings and markup, for the search index
+    text: {
+      type: String,
+      default: "",
+      select: false,
+    },
+    cueCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// one track per language and kind
+captionSchema.index({ video: 1, language: 1, kind: 1 }, { unique: true });
+
+// a track as listed to clients, without its content. url is where players
+// load it from, the src of a <track> element
+captionSchema.methods.toTrack = function () {
+  return {
+    _id: this._id,
+    language: this.language,
+    label: this.label,
+    kind: this.kind,
+    cueCount: this.cueCount,
+    url: `${process.env.BASE_URL}/api/v1/video/${this.video}/captions/${this._id}`,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+captionSchema.statics.tracksOf = async function (videoId) {
+  const captions = await this.find({ video: videoId }).sort({
+    language: 1,
+    kind: 1,
+  });
+  return captions.map((caption) => caption.toTrack());
+};
+
+export const Caption = mongoose.model("Caption", captionSchema);
@@ -20,4 +20,7 @@ const commentSchema = new mongoose.Schema(
 );
 commentSchema.plugin(mongooseAggregatePaginate);
 
+// the trending job reads the comments of the last days
+commentSchema.index({ createdAt: 1 });
+
 export const Comment = mongoose.model("Comment", commentSchema);
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed"],
+      default: "pending",
+    },
+    filePath: {
+      type: String, // archive on local disk, never served statically
+    },
+    size: {
+      type: Number,
+    },
+    error: {
+      type: String,
+    },
+    completedAt: {
+      type: Date,
+    },
+    // the archive is deleted (and the download link stops working) after this
+    expiresAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// the link works without a login (it is sent by mail) but only until the
+// archive expires
+dataExportSchema.methods.getDownloadLink = function () {
+  const token = jwt.sign(
+    {
+      _id: this._id,
+      user: this.user,
+    },
+    process.env.DATA_EXPORT_DOWNLOAD_SECRET,
+    {
+      expiresIn: Math.max(
+        1,
+        Math.floor((this.expiresAt.getTime() - Date.now()) / 1000)
+      ),
+    }
+  );
+
+  return `${process.env.BASE_URL}/api/v1/users/me/export/${this._id}/download?token=${token}`;
+};
+
+export const DataExport = mongoose.model("DataExport", dataExportSchema);
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const emailChangeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    oldEmail: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    newEmail: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // sha256 of the tokens mailed to the new and the old address
+    confirmTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    undoTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "confirmed", "cancelled", "reverted"],
+      default: "pending",
+    },
+    confirmedAt: {
+      type: Date,
+    },
+    // the record (and with it the undo link) is removed after this
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+emailChangeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const EmailChange = mongoose.model("EmailChange", emailChangeSchema);
@@ -24,4 +24,7 @@ const likeSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// the trending job reads the likes of the last days
+likeSchema.index({ createdAt: 1 });
+
 export const Like = mongoose.model("Like", likeSchema);
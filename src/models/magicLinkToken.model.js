@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+import { MAGIC_LINK_TTL_MINUTES } from "../constants.js";
+
+const magicLinkTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // sha256 of the token in the mailed link
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // sha256 of the nonce cookie set on the browser that requested the link
+  browserHash: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    expires: MAGIC_LINK_TTL_MINUTES * 60,
+    default: Date.now,
+  },
+});
+
+export const magicLinkToken = mongoose.model(
+  "magicLinkToken",
+  magicLinkTokenSchema
+);
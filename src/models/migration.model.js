@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+// data migrations that have been applied (createdAt), see src/migrations
+const migrationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export const Migration = mongoose.model("Migration", migrationSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./softDelete.plugin.js";
 
 const playlistSchema = new mongoose.Schema(
   {
@@ -27,4 +28,6 @@ const playlistSchema = new mongoose.Schema(
   { timeseries: true }
 );
 
+playlistSchema.plugin(softDeletePlugin);
+
 export const Playlist = mongoose.model("Playlist", playlistSchema);
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// the cached related videos of a video, best first. only ids are kept, the
+// videos are read again on every request so hidden or deleted ones drop out
+const relatedVideosSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true,
+    unique: true,
+  },
+  related: [
+    {
+      _id: false,
+      video: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Video",
+      },
+      score: Number,
+      reasons: [String],
+    },
+  ],
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+relatedVideosSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RelatedVideos = mongoose.model(
+  "RelatedVideos",
+  relatedVideosSchema
+);
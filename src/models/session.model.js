@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// one session per logged in device/browser. every refresh token issued for a
+// session belongs to the same token family, and only the latest one (tokenId)
+// is accepted by /users/refresh-token
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenId: {
+      type: String,
+      required: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// sessions are removed by mongo once their last refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.statics.revoke = function (filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// soft deletion for content that goes to the trash first. deleted documents
+// keep a deletedAt date and are left out of every query on the model. a
+// query that needs them sets the withDeleted option, e.g.
+//   Video.find({ owner }).setOptions({ withDeleted: true })
+// lookups from other collections do not go through this and have to match
+// { deletedAt: null } themselves
+const FILTERED_QUERIES = [
+  "count",
+  "countDocuments",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    // a moderator's removal cannot be undone by the owner
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    const { withDeleted } = this.getOptions();
+    // the option is ours, it is not passed on to the driver
+    this.setOptions({ withDeleted: undefined });
+
+    if (withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  // merged into a leading $match, stages like a $text match have to stay first
+  schema.pre("aggregate", function () {
+    const pipeline = this.pipeline();
+    const firstMatch = pipeline[0]?.$match;
+
+    if (!firstMatch) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    } else if (firstMatch.deletedAt === undefined) {
+      firstMatch.deletedAt = null;
+    }
+  });
+
+  schema.methods.softDelete = function (deletedBy) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy?._id ?? deletedBy;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+export { softDeletePlugin };
@@ -14,4 +14,7 @@ const subsctriptionSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// the trending job reads the subscriptions of the last days
+subsctriptionSchema.index({ createdAt: 1 });
+
 export const Subscription = mongoose.model("Subscription", subsctriptionSchema);
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import { TRENDING } from "../constants.js";
+
+// a video's place in a trending snapshot. the trending job writes a snapshot
+// of every window on each run, all rows of a snapshot share computedAt
+const trendingScoreSchema = new mongoose.Schema({
+  window: {
+    type: String,
+    enum: Object.keys(TRENDING.windows),
+    required: true,
+  },
+  computedAt: {
+    type: Date,
+    required: true,
+  },
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true,
+  },
+  // copied from the video, so a category's trending list is one query
+  category: {
+    type: String,
+    default: null,
+  },
+  score: {
+    type: Number,
+    required: true,
+  },
+  // 1 is the top video of the window across all categories
+  rank: {
+    type: Number,
+    required: true,
+  },
+  // what happened in the window, before weights and decay
+  signals: {
+    views: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+    subscribers: { type: Number, default: 0 },
+  },
+});
+
+trendingScoreSchema.index({ window: 1, computedAt: -1, rank: 1 });
+trendingScoreSchema.index({ window: 1, computedAt: -1, category: 1, rank: 1 });
+trendingScoreSchema.index(
+  { computedAt: 1 },
+  { expireAfterSeconds: TRENDING.snapshotRetentionDays * 24 * 60 * 60 }
+);
+
+export const TrendingScore = mongoose.model(
+  "TrendingScore",
+  trendingScoreSchema
+);
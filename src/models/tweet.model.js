@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./softDelete.plugin.js";
 
 const tweetSchema = new mongoose.Schema(
   {
@@ -14,4 +15,6 @@ const tweetSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+tweetSchema.plugin(softDeletePlugin);
+
 export const Tweet = mongoose.model("Tweet", tweetSchema);
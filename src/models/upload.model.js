@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+// a resumable (tus) upload of a video file. offset is how many bytes of
+// length have been received so far
+const uploadSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    length: {
+      type: Number,
+      required: true,
+    },
+    offset: {
+      type: Number,
+      default: 0,
+    },
+    // Upload-Metadata as sent by the client, values decoded
+    metadata: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    filePath: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["uploading", "processing", "published", "failed"],
+      default: "uploading",
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+    },
+    error: {
+      type: String,
+    },
+    // the partial file and this row are removed after this
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export const Upload = mongoose.model("Upload", uploadSchema);
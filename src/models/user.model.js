@@ -1,6 +1,10 @@
   import mongoose from "mongoose";
   import bcrypt from "bcrypt";
   import jwt from "jsonwebtoken";
+  import { randomBytes } from "crypto";
+  import { verifyTotp } from "../utils/totp.js";
+  import { USER_ROLES } from "../constants.js";
+  import { assetSchema } from "./asset.schema.js";
 
   const userSchema = new mongoose.Schema(
     {
@@ -19,6 +23,15 @@
         lowercase: true,
         trim: true,
       },
+      emailVerified: {
+        type: Boolean,
+        default: false,
+      },
+      role: {
+        type: String,
+        enum: USER_ROLES,
+        default: "user",
+      },
       fullname: {
         type: String,
         required: true,
@@ -26,29 +39,84 @@
         index: true,
       },
       avatar: {
-        type: String, // cloudinary url
+        type: String, // url of the stored file
         required: true,
       },
+      // null for avatars we did not store ourselves (placeholder, oidc picture)
+      avatarAsset: {
+        type: assetSchema,
+        default: null,
+      },
       coverimage: {
-        type: String, // cloudinary url
+        type: String, // url of the stored file
+      },
+      coverimageAsset: {
+        type: assetSchema,
+        default: null,
+      },
+      // while paused nothing is added to the watch history (WatchEvent)
+      watchHistoryPaused: {
+        type: Boolean,
+        default: false,
       },
-      watchhistory: [
-        {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "Video",
-        },
-      ],
       password: {
         type: String,
         required: [true, "Password is required"],
       },
-      refreshToken: {
-        type: String,
+      // set while a deletion request is in its grace period
+      scheduledDeletionAt: {
+        type: Date,
+        default: null,
+      },
+      // external identity provider accounts linked to this user
+      identities: [
+        {
+          provider: {
+            type: String,
+            required: true,
+          },
+          subject: {
+            type: String,
+            required: true,
+          },
+          _id: false,
+        },
+      ],
+      // secrets are never selected unless asked for explicitly
+      twoFactor: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        secret: {
+          type: String,
+          select: false,
+        },
+        pendingSecret: {
+          type: String,
+          select: false,
+        },
+        recoveryCodes: {
+          type: [String], // bcrypt hashes
+          select: false,
+        },
+        lastUsedStep: {
+          type: Number,
+          select: false,
+        },
       },
     },
     { timestamps: true }
   );
 
+  userSchema.index(
+    { "identities.provider": 1, "identities.subject": 1 },
+    {
+      unique: true,
+      partialFilterExpression: { "identities.0": { $exists: true } },
+    }
+  );
+
   userSchema.pre("save", async function (next) {
     if (!this.isModified("password")) return next();
     this.password = await bcrypt.hash(this.password, 10);
@@ -59,13 +127,14 @@
     return await bcrypt.compare(password, this.password);
   };
 
-  userSchema.methods.generateAccessToken = function () {
+  userSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign(
       {
         _id: this._id,
         username: this.username,
         fullname: this.fullname,
         email: this.email,
+        sid: sessionId,
       },
       process.env.ACCESS_TOKEN_SECRET,
       {
@@ -74,16 +143,93 @@
     );
   };
 
-  userSchema.methods.generateRefreshToken = function () {
+  userSchema.methods.generateRefreshToken = function (sessionId, tokenId) {
     return jwt.sign(
       {
         _id: this._id,
+        sid: sessionId,
       },
       process.env.REFRESH_TOKEN_SECRET,
       {
         expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+        jwtid: tokenId,
+      }
+    );
+  };
+
+  // the email is part of the payload so a link stops working once the address changes
+  userSchema.methods.generateEmailVerificationToken = function () {
+    return jwt.sign(
+      {
+        _id: this._id,
+        email: this.email,
+      },
+      process.env.EMAIL_VERIFICATION_TOKEN_SECRET,
+      {
+        expiresIn: process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY,
+      }
+    );
+  };
+
+  userSchema.methods.generateTwoFactorChallengeToken = function () {
+    return jwt.sign(
+      {
+        _id: this._id,
+      },
+      process.env.TWO_FACTOR_CHALLENGE_SECRET,
+      {
+        expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY,
       }
     );
   };
 
+  // replaces the recovery codes and returns the plain codes. they are only
+  // shown to the user once
+  userSchema.methods.generateRecoveryCodes = async function (count = 10) {
+    const codes = Array.from({ length: count }, () => {
+      const code = randomBytes(5).toString("hex");
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    this.twoFactor.recoveryCodes = await Promise.all(
+      codes.map((code) => bcrypt.hash(code.replace("-", ""), 10))
+    );
+
+    return codes;
+  };
+
+  // needs the twoFactor secret, recoveryCodes and lastUsedStep selected.
+  // a code that verifies is burned, so the caller must save the user
+  userSchema.methods.verifySecondFactor = async function ({
+    code,
+    recoveryCode,
+  }) {
+    if (!this.twoFactor?.enabled) return false;
+
+    if (code) {
+      const step = verifyTotp(this.twoFactor.secret, code, {
+        afterStep: this.twoFactor.lastUsedStep ?? -1,
+      });
+      if (step === null) return false;
+
+      this.twoFactor.lastUsedStep = step;
+      return true;
+    }
+
+    if (recoveryCode) {
+      const normalizedCode = String(recoveryCode)
+        .toLowerCase()
+        .replace(/[^0-9a-f]/g, "");
+
+      for (const hash of this.twoFactor.recoveryCodes) {
+        if (await bcrypt.compare(normalizedCode, hash)) {
+          this.twoFactor.recoveryCodes.pull(hash);
+          return true;
+        }
+      }
+    }
+
+    return false;
+  };
+
   export const User = mongoose.model("User", userSchema);
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// previous usernames of a user. old channel links resolve through this, and
+// another user cannot claim the name until reservedUntil
+const usernameHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    username: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    releasedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reservedUntil: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+usernameHistorySchema.statics.isReserved = async function (
+  username,
+  exceptUserId
+) {
+  const filter = {
+    username: username.toLowerCase(),
+    reservedUntil: { $gt: new Date() },
+  };
+  if (exceptUserId) {
+    filter.user = { $ne: exceptUserId };
+  }
+
+  const reservation = await this.exists(filter);
+
+  return !!reservation;
+};
+
+export const UsernameHistory = mongoose.model(
+  "UsernameHistory",
+  usernameHistorySchema
+);
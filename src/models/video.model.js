@@ -1,5 +1,14 @@
 import mongoose from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { assetSchema } from "./asset.schema.js";
+import { softDeletePlugin } from "./softDelete.plugin.js";
+import { deleteStoredFile, assetOf } from "../utils/storage/index.js";
+import {
+  VIDEO_PROCESSING_STATUSES,
+  VIDEO_VISIBILITIES,
+  VIDEO_CATEGORIES,
+  HLS_SEGMENT_NAME,
+} from "../constants.js";
 
 const videoSchema = new mongoose.Schema(
   {
@@ -10,10 +19,51 @@ const videoSchema = new mongoose.Schema(
     thumbnail: {
       type: String,
     },
+    videofileAsset: {
+      type: assetSchema,
+      default: null,
+    },
+    // null when the thumbnail is derived from the video file
+    thumbnailAsset: {
+      type: assetSchema,
+      default: null,
+    },
     owner: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // hls renditions. segments are stored next to the playlist, under the
+    // same key prefix and provider
+    renditions: [
+      {
+        name: {
+          type: String,
+          required: true,
+        },
+        width: {
+          type: Number,
+        },
+        height: {
+          type: Number,
+        },
+        bandwidth: {
+          type: Number,
+        },
+        codecs: {
+          type: String,
+        },
+        playlist: {
+          type: assetSchema,
+          required: true,
+        },
+        // segments are named after HLS_SEGMENT_NAME, numbered from 0
+        segmentCount: {
+          type: Number,
+          default: 0,
+        },
+        _id: false,
+      },
+    ],
     title: {
       type: String,
       required: true,
@@ -26,6 +76,24 @@ const videoSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // normalized by resolveTags: lowercase, no duplicates, VIDEO_TAGS_MAX at most
+    tags: {
+      type: [String],
+      index: true,
+    },
+    category: {
+      type: String,
+      enum: [...VIDEO_CATEGORIES.map((category) => category.slug), null],
+      default: null,
+      index: true,
+    },
+    // the words of all caption tracks, kept for the search index. written by
+    // the caption controller, never sent to clients
+    captionText: {
+      type: String,
+      default: "",
+      select: false,
+    },
     duration: {
       type: Number,
       required: true,
@@ -34,14 +102,175 @@ const videoSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
-    ispublished: {
-      type: Boolean,
-      default: true,
+    // public: listed everywhere. unlisted: only reachable by link.
+    // private: the owner and allowedViewers. scheduled: private until
+    // publishAt, then the scheduler job makes it public
+    visibility: {
+      type: String,
+      enum: VIDEO_VISIBILITIES,
+      default: "public",
+      index: true,
+    },
+    allowedViewers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    publishAt: {
+      type: Date,
+    },
+    // set by the processing job (ffprobe/ffmpeg). videos are only listed once
+    // they are ready. rows from before processing existed have no status
+    processingStatus: {
+      type: String,
+      enum: VIDEO_PROCESSING_STATUSES,
+      default: "queued",
+      index: true,
+    },
+    processingError: {
+      type: String,
+    },
+    processingStartedAt: {
+      type: Date,
+    },
+    // kept current while the processing job works on the video
+    processingHeartbeatAt: {
+      type: Date,
+    },
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
     },
+    videoCodec: {
+      type: String,
+    },
+    audioCodec: {
+      type: String,
+    },
+    // frames picked from the video by the processing job
+    thumbnailCandidates: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        asset: {
+          type: assetSchema,
+        },
+        time: {
+          type: Number,
+        },
+        _id: false,
+      },
+    ],
   },
   { timestamps: true }
 );
 
 videoSchema.plugin(mongooseAggregatePaginate);
+videoSchema.plugin(softDeletePlugin);
+
+// full-text search over the words of a video, matches in the title count
+// the most and spoken words from the captions the least
+videoSchema.index(
+  { title: "text", tags: "text", description: "text", captionText: "text" },
+  {
+    name: "video_text_search",
+    weights: { title: 10, tags: 5, description: 1, captionText: 1 },
+  }
+);
+
+// videos that have been processed. rows from before processing existed
+// have no status
+videoSchema.statics.readyFilter = () => ({
+  processingStatus: { $in: ["ready", null] },
+});
+
+// videos that show up in listings and search: public and processed
+videoSchema.statics.listedFilter = function () {
+  return { visibility: "public", ...this.readyFilter() };
+};
+
+// the endpoint players get the video file from, which checks who is asking.
+// local video files are only served with a signed link, so for them this is
+// the videofile url the api hands out
+videoSchema.statics.streamUrl = (videoId) =>
+  `${process.env.BASE_URL}/api/v1/video/${videoId}/stream`;
+
+// videos the user may open, e.g. by link or from a playlist
+videoSchema.statics.visibleToFilter = (user) => {
+  if (user?.role === "admin") return {};
+
+  const userId = new mongoose.Types.ObjectId(user?._id);
+  return {
+    $or: [
+      { visibility: { $in: ["public", "unlisted"] } },
+      { owner: userId },
+      { visibility: "private", allowedViewers: userId },
+    ],
+  };
+};
+
+videoSchema.methods.isVisibleTo = function (user) {
+  if (user?.role === "admin") return true;
+  if (["public", "unlisted"].includes(this.visibility)) return true;
+
+  const userId = user?._id?.toString();
+  if (this.owner?.toString() === userId) return true;
+
+  return (
+    this.visibility === "private" &&
+    this.allowedViewers.some((viewer) => viewer.toString() === userId)
+  );
+};
+
+// every file an hls rendition is made of, playlist first
+const renditionAssets = (rendition) => {
+  const { provider, key, resourceType } = rendition.playlist;
+  const prefix = key.slice(0, key.lastIndexOf("/"));
+
+  const segments = Array.from(
+    { length: rendition.segmentCount || 0 },
+    (_, index) => ({
+      provider,
+      key: `${prefix}/${HLS_SEGMENT_NAME(index)}`,
+      resourceType,
+    })
+  );
+  return [rendition.playlist, ...segments];
+};
+
+// removes the hls renditions and thumbnail candidates made by processing
+videoSchema.methods.deleteProcessedFiles = async function () {
+  const assets = [
+    ...this.renditions.flatMap(renditionAssets),
+    ...this.thumbnailCandidates.map((candidate) => candidate.asset),
+  ];
+
+  let deletedAll = true;
+  for (const asset of assets) {
+    deletedAll = (await deleteStoredFile(asset)) && deletedAll;
+  }
+  return deletedAll;
+};
+
+// removes the video file, thumbnail and everything processing made from
+// storage. a poster frame derived from the video shares its key and goes away
+// with the video file
+videoSchema.methods.deleteStoredFiles = async function () {
+  const videofileAsset = assetOf(this.videofileAsset, this.videofile, "video");
+  const thumbnailAsset = assetOf(this.thumbnailAsset, this.thumbnail, "image");
+
+  const deletedVideofile = await deleteStoredFile(videofileAsset);
+  const deletedThumbnail =
+    thumbnailAsset?.key === videofileAsset?.key ||
+    (await deleteStoredFile(thumbnailAsset));
+  const deletedProcessed = await this.deleteProcessedFiles();
+
+  return deletedVideofile && deletedThumbnail && deletedProcessed;
+};
 
 export const Video = mongoose.model("Video", videoSchema);
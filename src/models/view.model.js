@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { VIEW_TRACKING } from "../constants.js";
+
+// a counted view. Video.views is not updated right away, the view
+// aggregation job adds up the views that are not aggregated yet
+const viewSchema = new mongoose.Schema({
+  video: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Video",
+    required: true,
+  },
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  countedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  aggregated: {
+    type: Boolean,
+    default: false,
+    index: true,
+  },
+});
+
+// the dedup lookup: the latest view of a viewer on a video
+viewSchema.index({ video: 1, viewer: 1, countedAt: -1 });
+viewSchema.index(
+  { countedAt: 1 },
+  { expireAfterSeconds: VIEW_TRACKING.retentionDays * 24 * 60 * 60 }
+);
+
+export const View = mongoose.model("View", viewSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// what a user watched of a video: one row per user and video, updated by the
+// player's heartbeats. this is the watch history
+const watchEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+      index: true,
+    },
+    // last playback position in seconds, where "continue watching" resumes
+    position: {
+      type: Number,
+      default: 0,
+    },
+    // position as a percentage of the video's duration
+    percent: {
+      type: Number,
+      default: 0,
+    },
+    completed: {
+      type: Boolean,
+      default: false,
+    },
+    firstWatchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastWatchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+watchEventSchema.index({ user: 1, video: 1 }, { unique: true });
+watchEventSchema.index({ user: 1, lastWatchedAt: -1 });
+
+export const WatchEvent = mongoose.model("WatchEvent", watchEventSchema);
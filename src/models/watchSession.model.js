@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// one playback of a video by a viewer, kept alive by the player's
+// heartbeats. watchedSeconds is measured by the server from the time between
+// heartbeats, not taken from the client
+const watchSessionSchema = new mongoose.Schema(
+  {
+    video: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+      index: true,
+    },
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    playing: {
+      type: Boolean,
+      default: true,
+    },
+    lastHeartbeatAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // playback position in seconds as reported by the player
+    position: {
+      type: Number,
+      default: 0,
+    },
+    watchedSeconds: {
+      type: Number,
+      default: 0,
+    },
+    viewCounted: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+watchSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const WatchSession = mongoose.model("WatchSession", watchSessionSchema);
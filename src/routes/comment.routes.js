@@ -5,12 +5,23 @@ import {
   deleteComment,
   getVideoComments,
 } from "../controllers/comment.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  verifyJWT,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import { authorize } from "../middlewares/permission.middleware.js";
+import { Comment } from "../models/comment.model.js";
 
 const commentRouter = Router();
 commentRouter.use(verifyJWT);
 
-commentRouter.route("/:videoId").post(addComment).get(getVideoComments);
-commentRouter.route("/c/").delete(deleteComment).patch(updateComment);
+commentRouter
+  .route("/:videoId")
+  .post(requireVerifiedEmail, authorize(Comment, "create"), addComment)
+  .get(getVideoComments);
+commentRouter
+  .route("/c/")
+  .delete(authorize(Comment, "delete", "commentId"), deleteComment)
+  .patch(authorize(Comment, "update", "commentId"), updateComment);
 
 export { commentRouter };
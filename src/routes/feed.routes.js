@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { getHomeFeed } from "../controllers/feed.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const feedRouter = Router();
+feedRouter.use(verifyJWT);
+
+feedRouter.route("/home").get(getHomeFeed);
+
+export { feedRouter };
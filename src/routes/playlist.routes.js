@@ -9,21 +9,27 @@ import {
   deletePlaylist,
 } from "../controllers/playlist.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { authorize } from "../middlewares/permission.middleware.js";
+import { Playlist } from "../models/playlist.model.js";
 
 const PlaylistRouter = Router();
 
 PlaylistRouter.use(verifyJWT);
-PlaylistRouter.route("/").post(createPlaylist);
+PlaylistRouter.route("/").post(authorize(Playlist, "create"), createPlaylist);
 
 PlaylistRouter.route("/user/:userId").get(getUserPlayList);
 
 PlaylistRouter.route("/:playlistId")
   .get(getPlaylistById)
-  .patch(updatePlaylist)
-  .delete(deletePlaylist);
+  .patch(authorize(Playlist, "update", "playlistId"), updatePlaylist)
+  .delete(authorize(Playlist, "delete", "playlistId"), deletePlaylist);
 
-PlaylistRouter.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
+PlaylistRouter.route("/add/:videoId/:playlistId").patch(
+  authorize(Playlist, "update", "playlistId"),
+  addVideoToPlaylist
+);
 PlaylistRouter.route("/remove/:videoId/:playlistId").patch(
+  authorize(Playlist, "update", "playlistId"),
   removeVideoFromPlaylist
 );
 
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { getTrash, restoreTrashItem } from "../controllers/trash.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const trashRouter = Router();
+trashRouter.use(verifyJWT);
+
+trashRouter.route("/").get(getTrash);
+trashRouter.route("/:type/:id/restore").post(restoreTrashItem);
+
+export { trashRouter };
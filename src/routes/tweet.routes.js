@@ -1,5 +1,10 @@
 import { Router } from "express";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  verifyJWT,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import { authorize } from "../middlewares/permission.middleware.js";
+import { Tweet } from "../models/tweet.model.js";
 import {
   createTweet,
   updateTweet,
@@ -10,8 +15,14 @@ import {
 const tweetRouter = Router();
 tweetRouter.use(verifyJWT);
 
-tweetRouter.route("/").post(createTweet).get(getAllTweets);
-tweetRouter.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
+tweetRouter
+  .route("/")
+  .post(requireVerifiedEmail, authorize(Tweet, "create"), createTweet)
+  .get(getAllTweets);
+tweetRouter
+  .route("/:tweetId")
+  .patch(authorize(Tweet, "update", "tweetId"), updateTweet)
+  .delete(authorize(Tweet, "delete", "tweetId"), deleteTweet);
 
 
 export { tweetRouter };
@@ -0,0 +1,37 @@
+import { Router } from "express";
+import {
+  createUpload,
+  getUploadOffset,
+  appendUploadChunk,
+  getUploadStatus,
+  terminateUpload,
+} from "../controllers/upload.controller.js";
+import {
+  verifyJWT,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import { authorize } from "../middlewares/permission.middleware.js";
+import { requireTusResumable } from "../middlewares/tus.middleware.js";
+import { Video } from "../models/video.model.js";
+
+const uploadRouter = Router();
+uploadRouter.use(verifyJWT);
+
+uploadRouter
+  .route("/")
+  .post(
+    requireTusResumable,
+    requireVerifiedEmail,
+    authorize(Video, "create"),
+    createUpload
+  );
+
+// head is registered before get, express would otherwise answer it with get
+uploadRouter
+  .route("/:uploadId")
+  .head(requireTusResumable, getUploadOffset)
+  .get(getUploadStatus)
+  .patch(requireTusResumable, appendUploadChunk)
+  .delete(requireTusResumable, terminateUpload);
+
+export { uploadRouter };
@@ -1,21 +1,48 @@
 import { Router } from "express";
 import {
   RegisterUser,
+  verifyEmail,
+  resendVerificationMail,
   loginUser,
+  loginWithTwoFactor,
+  startOidcLogin,
+  oidcCallback,
   logoutUser,
   refreshAccessToken,
+  getSessions,
+  revokeSession,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   updatePassword,
   getCurrentUser,
   updateAccountDetails,
+  confirmEmailChange,
+  undoEmailChange,
   updateAvatar,
   updateCoverPhoto,
   getChannelProfile,
   getWatchHistory,
+  removeWatchHistoryEntry,
+  clearWatchHistory,
+  updateWatchHistorySettings,
+  getContinueWatching,
   passwordResetMail,
   resetPassword,
+  requestMagicLink,
+  loginWithMagicLink,
+  deleteAccount,
+  updateUserRole,
 } from "../controllers/user.controller.js";
+import {
+  requestDataExport,
+  getDataExportStatus,
+  downloadDataExport,
+} from "../controllers/dataExport.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { requireRole } from "../middlewares/permission.middleware.js";
 
 const userRoutes = Router();
 
@@ -32,14 +59,37 @@ userRoutes.route("/register").post(
   ]),
   RegisterUser
 );
+userRoutes
+  .route("/verify-email/resend")
+  .post(verifyJWT, resendVerificationMail);
+userRoutes.route("/verify-email/:token").get(verifyEmail);
 userRoutes.route("/login").post(loginUser);
+userRoutes.route("/login/2fa").post(loginWithTwoFactor);
+userRoutes.route("/magic-link").post(requestMagicLink);
+userRoutes.route("/magic-link/:token").get(loginWithMagicLink);
+userRoutes.route("/oauth/:provider").get(startOidcLogin);
+userRoutes.route("/oauth/:provider/callback").get(oidcCallback);
 userRoutes.route("/logout").post(verifyJWT, logoutUser);
 userRoutes.route("/refresh-token").post(refreshAccessToken);
+userRoutes.route("/sessions").get(verifyJWT, getSessions);
+userRoutes.route("/sessions/:sessionId").delete(verifyJWT, revokeSession);
+userRoutes.route("/2fa/setup").post(verifyJWT, setupTwoFactor);
+userRoutes.route("/2fa/confirm").post(verifyJWT, confirmTwoFactor);
+userRoutes.route("/2fa/disable").post(verifyJWT, disableTwoFactor);
+userRoutes
+  .route("/2fa/recovery-codes")
+  .post(verifyJWT, regenerateRecoveryCodes);
 userRoutes.route("/update-password").post(verifyJWT, updatePassword);
 userRoutes.route("/current").get(verifyJWT, getCurrentUser);
+userRoutes.route("/me").delete(verifyJWT, deleteAccount);
+userRoutes.route("/me/export").post(verifyJWT, requestDataExport);
+userRoutes.route("/me/export/:exportId").get(verifyJWT, getDataExportStatus);
+userRoutes.route("/me/export/:exportId/download").get(downloadDataExport);
 userRoutes
   .route("/update-account")
   .patch(verifyJWT, updateAccountDetails);
+userRoutes.route("/email-change/confirm/:token").get(confirmEmailChange);
+userRoutes.route("/email-change/undo/:token").get(undoEmailChange);
 userRoutes
   .route("/update-avatar")
   .patch(verifyJWT, upload.single("avatar"), updateAvatar);
@@ -47,8 +97,21 @@ userRoutes
   .route("/update-cover-photo")
   .patch(verifyJWT, upload.single("coverimage"), updateCoverPhoto);
 userRoutes.route("/channel/:username").get(verifyJWT, getChannelProfile);
-userRoutes.route("/watch-history").get(verifyJWT, getWatchHistory);
+userRoutes
+  .route("/watch-history")
+  .get(verifyJWT, getWatchHistory)
+  .delete(verifyJWT, clearWatchHistory);
+userRoutes
+  .route("/watch-history/settings")
+  .patch(verifyJWT, updateWatchHistorySettings);
+userRoutes
+  .route("/watch-history/:videoId")
+  .delete(verifyJWT, removeWatchHistoryEntry);
+userRoutes.route("/continue-watching").get(verifyJWT, getContinueWatching);
 userRoutes.route("/reset-password").post(passwordResetMail);
 userRoutes.route("/reset-password/:userId/:token").post(resetPassword);
+userRoutes
+  .route("/:userId/role")
+  .patch(verifyJWT, requireRole("admin"), updateUserRole);
 
 export { userRoutes };
@@ -2,12 +2,37 @@ import { Router } from "express";
 import {
   publishVideo,
   getVideoById,
+  getRelatedVideos,
   getAllVideos,
+  getSearchSuggestions,
+  getTrendingVideos,
+  getVideoCategories,
+  getVideosByCategory,
+  getVideosByTag,
+  getPopularTags,
   deleteVideo,
   updateVideo,
 } from "../controllers/video.controller.js";
-import { upload } from "../middlewares/multer.middleware.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  streamVideo,
+  getMasterPlaylist,
+  getRenditionFile,
+} from "../controllers/stream.controller.js";
+import { recordWatchHeartbeat } from "../controllers/watch.controller.js";
+import {
+  getCaptions,
+  addCaption,
+  getCaptionFile,
+  updateCaption,
+  deleteCaption,
+} from "../controllers/caption.controller.js";
+import { upload, uploadCaption } from "../middlewares/multer.middleware.js";
+import {
+  verifyJWT,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import { authorize } from "../middlewares/permission.middleware.js";
+import { Video } from "../models/video.model.js";
 const videoRoutes = Router();
 videoRoutes.use(verifyJWT);
 
@@ -15,6 +40,8 @@ videoRoutes
   .route("/")
   .get(getAllVideos)
   .post(
+    requireVerifiedEmail,
+    authorize(Video, "create"),
     upload.fields([
       {
         name: "videofile",
@@ -28,10 +55,44 @@ videoRoutes
     publishVideo
   );
 
+videoRoutes.route("/search/suggest").get(getSearchSuggestions);
+videoRoutes.route("/trending").get(getTrendingVideos);
+videoRoutes.route("/categories").get(getVideoCategories);
+videoRoutes.route("/category/:slug").get(getVideosByCategory);
+videoRoutes.route("/tag/:tag").get(getVideosByTag);
+videoRoutes.route("/tags/popular").get(getPopularTags);
+
 videoRoutes
   .route("/:videoId")
   .get(getVideoById)
-  .delete(deleteVideo)
-  .patch(upload.single("thumbnail"), updateVideo);
+  .delete(authorize(Video, "delete", "videoId"), deleteVideo)
+  .patch(
+    authorize(Video, "update", "videoId"),
+    upload.single("thumbnail"),
+    updateVideo
+  );
+
+videoRoutes.route("/:videoId/related").get(getRelatedVideos);
+videoRoutes.route("/:videoId/watch").post(recordWatchHeartbeat);
+videoRoutes
+  .route("/:videoId/captions")
+  .get(getCaptions)
+  .post(
+    authorize(Video, "update", "videoId"),
+    uploadCaption("file"),
+    addCaption
+  );
+videoRoutes
+  .route("/:videoId/captions/:captionId")
+  .get(getCaptionFile)
+  .patch(
+    authorize(Video, "update", "videoId"),
+    uploadCaption("file"),
+    updateCaption
+  )
+  .delete(authorize(Video, "delete", "videoId"), deleteCaption);
+videoRoutes.route("/:videoId/stream").get(streamVideo);
+videoRoutes.route("/:videoId/stream/master.m3u8").get(getMasterPlaylist);
+videoRoutes.route("/:videoId/stream/:rendition/:file").get(getRenditionFile);
 
 export { videoRoutes };
@@ -3,7 +3,7 @@ const asyncHandler = (fn) => async (req, res, next)=>{
     try {
         await fn(req, res, next)
     } catch (error) {
-        res.status(error.code || 500).json({
+        res.status(error.statusCode || 500).json({
             sucess:false,
             message : error.message || "request failed"
         })
@@ -0,0 +1,83 @@
+import { AuthAttempt } from "../models/authAttempt.model.js";
+import { ApiError } from "./ApiError.js";
+import { AUTH_THROTTLE } from "../constants.js";
+
+const throttleKey = (scope, type, id) =>
+  `${scope}:${type}:${String(id).toLowerCase()}`;
+
+// throws 429 (with Retry-After) while any of the keys is backing off or locked
+const assertNotThrottled = async (res, keys) => {
+  const blocked = await AuthAttempt.find({
+    key: { $in: keys },
+    blockedUntil: { $gt: new Date() },
+  }).lean();
+
+  if (!blocked.length) return;
+
+  const blockedUntil = Math.max(
+    ...blocked.map((attempt) => attempt.blockedUntil.getTime())
+  );
+  const retryAfter = Math.ceil((blockedUntil - Date.now()) / 1000);
+
+  res.set("Retry-After", String(retryAfter));
+  throw new ApiError(
+    429,
+    `too many attempts. try again in ${retryAfter} seconds`
+  );
+};
+
+const backoffFor = (failures, limits) => {
+  if (failures >= limits.maxAttempts) {
+    return limits.lockMinutes * 60;
+  }
+  if (failures > limits.freeAttempts) {
+    return Math.min(
+      AUTH_THROTTLE.baseDelaySeconds *
+        2 ** (failures - limits.freeAttempts - 1),
+      AUTH_THROTTLE.maxDelaySeconds
+    );
+  }
+  return 0;
+};
+
+// counts one attempt against each { key, limits } and applies the backoff.
+// `locked` is only true for the attempt that crossed maxAttempts, so callers
+// can send a single alert per lock
+const recordAttempt = async (entries) => {
+  const now = Date.now();
+  const windowEnd = new Date(now + AUTH_THROTTLE.windowMinutes * 60 * 1000);
+
+  return Promise.all(
+    entries.map(async ({ key, limits }) => {
+      const attempt = await AuthAttempt.findOneAndUpdate(
+        { key },
+        { $inc: { failures: 1 }, $set: { expiresAt: windowEnd } },
+        { upsert: true, new: true }
+      );
+
+      const backoff = backoffFor(attempt.failures, limits);
+      if (backoff) {
+        const blockedUntil = new Date(now + backoff * 1000);
+        await AuthAttempt.updateOne(
+          { _id: attempt._id },
+          {
+            $set: {
+              blockedUntil,
+              expiresAt: blockedUntil > windowEnd ? blockedUntil : windowEnd,
+            },
+          }
+        );
+      }
+
+      return {
+        key,
+        failures: attempt.failures,
+        locked: attempt.failures === limits.maxAttempts,
+      };
+    })
+  );
+};
+
+const clearAttempts = (keys) => AuthAttempt.deleteMany({ key: { $in: keys } });
+
+export { throttleKey, assertNotThrottled, recordAttempt, clearAttempts };
@@ -0,0 +1,39 @@
+import { createHash } from "crypto";
+
+const AVATAR_COLORS = [
+  "#e57373",
+  "#f06292",
+  "#ba68c8",
+  "#7986cb",
+  "#4fc3f7",
+  "#4db6ac",
+  "#81c784",
+  "#ffb74d",
+];
+
+// svg avatar with the user's initials, for accounts created without an
+// uploaded avatar. the colour is derived from the name so it stays stable
+const placeholderAvatar = (name = "") => {
+  const initials =
+    name
+      .trim()
+      .split(/\s+/)
+      .slice(0, 2)
+      .map((part) => part[0]?.toUpperCase() || "")
+      .join("")
+      .replace(/[^A-Z0-9]/g, "") || "?";
+
+  const hash = createHash("md5").update(name).digest();
+  const color = AVATAR_COLORS[hash[0] % AVATAR_COLORS.length];
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128">` +
+    `<rect width="100%" height="100%" fill="${color}"/>` +
+    `<text x="50%" y="50%" dy=".35em" text-anchor="middle" ` +
+    `font-family="sans-serif" font-size="56" fill="#fff">${initials}</text>` +
+    `</svg>`;
+
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+};
+
+export { placeholderAvatar };
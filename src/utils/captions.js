@@ -0,0 +1,160 @@
+import { ApiError } from "./ApiError.js";
+
+// BCP 47 language tags as players expect them: en, pt-BR, zh-Hant
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+// hh:mm:ss.ttt, hours optional in WebVTT. SubRip uses a comma
+const TIMESTAMP = /^(?:(\d+):)?([0-5]\d):([0-5]\d)[.,](\d{3})$/;
+// blocks of a WebVTT file that are not cues. styles and regions are not kept
+const VTT_NON_CUE_BLOCK = /^(NOTE|STYLE|REGION)(\s|$)/;
+
+const normalizeLanguage = (language) => {
+  const tag = String(language ?? "")
+    .trim()
+    .replace(/_/g, "-");
+  if (!LANGUAGE_TAG.test(tag)) {
+    throw new ApiError(
+      400,
+      "language must be a language code like en or pt-BR"
+    );
+  }
+
+  return tag
+    .split("-")
+    .map((part, index) => {
+      if (index === 0) return part.toLowerCase();
+      if (part.length === 2) return part.toUpperCase();
+      if (part.length === 4) {
+        return part[0].toUpperCase() + part.slice(1).toLowerCase();
+      }
+      return part.toLowerCase();
+    })
+    .join("-");
+};
+
+// milliseconds, or null when it is not a timestamp
+const parseTimestamp = (value) => {
+  const match = TIMESTAMP.exec(value ?? "");
+  if (!match) return null;
+
+  const [, hours = "0", minutes, seconds, millis] = match;
+  return (
+    ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 +
+    Number(millis)
+  );
+};
+
+const formatTimestamp = (ms) => {
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor(ms / 60000) % 60;
+  const seconds = Math.floor(ms / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+};
+
+// SubRip text may carry font tags and ASS overrides like {\an8}, and does not
+// escape & and <. WebVTT only knows a few tags and needs both escaped
+const srtTextToVtt = (text) =>
+  text
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/<\/?font[^>]*>/gi, "")
+    .replace(/&(?![a-z]+;|#\d+;|#x[\da-f]+;)/gi, "&amp;")
+    .replace(/<(?!\/?[ibu]>)/gi, "&lt;")
+    .trim();
+
+// the cues of a SubRip or WebVTT file. throws a 400 naming the first broken
+// cue, so the uploader can fix it
+const parseCaptionFile = (input) => {
+  const source = String(input ?? "")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n");
+  if (!source.trim()) {
+    throw new ApiError(400, "the caption file is empty");
+  }
+
+  const isVtt = /^WEBVTT(?:[ \t][^\n]*)?(?:\n|$)/.test(source);
+  const blocks = source.trim().split(/\n[ \t]*\n+/);
+  // the header block of a WebVTT file
+  if (isVtt) blocks.shift();
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    if (isVtt && VTT_NON_CUE_BLOCK.test(lines[0])) continue;
+
+    const cueNumber = cues.length + 1;
+    // a cue starts with its timing line, or an identifier and then the
+    // timing line (the number of a SubRip cue)
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1 || timingIndex > 1) {
+      throw new ApiError(400, `cue ${cueNumber} has no timing line`);
+    }
+
+    const timing = lines[timingIndex].match(/^\s*(\S+)\s+-->\s+(\S+)(.*)$/);
+    const start = parseTimestamp(timing?.[1]);
+    const end = parseTimestamp(timing?.[2]);
+    if (start === null || end === null) {
+      throw new ApiError(400, `cue ${cueNumber} has an invalid timing line`);
+    }
+    if (end <= start) {
+      throw new ApiError(400, `cue ${cueNumber} ends before it starts`);
+    }
+
+    const text = lines
+      .slice(timingIndex + 1)
+      .join("\n")
+      .trim();
+    // cues without text show nothing, they are left out
+    if (!text) continue;
+
+    cues.push(
+      isVtt
+        ? {
+            id: timingIndex === 1 ? lines[0].trim() : "",
+            start,
+            end,
+            // the regions are gone, settings pointing to them would be invalid
+            settings: timing[3]
+              .trim()
+              .split(/\s+/)
+              .filter((setting) => setting && !setting.startsWith("region:"))
+              .join(" "),
+            text,
+          }
+        : { id: "", start, end, settings: "", text: srtTextToVtt(text) }
+    );
+  }
+
+  if (!cues.length) {
+    throw new ApiError(400, "the caption file has no cues");
+  }
+  return cues;
+};
+
+const toWebVtt = (cues) => {
+  const blocks = cues.map((cue) =>
+    [
+      cue.id,
+      `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${
+        cue.settings ? ` ${cue.settings}` : ""
+      }`,
+      cue.text,
+    ]
+      .filter(Boolean)
+      .join("\n")
+  );
+  return `WEBVTT\n\n${blocks.join("\n\n")}\n`;
+};
+
+// what is said in the cues, without markup, for the search index
+const captionPlainText = (cues) =>
+  cues
+    .map((cue) => cue.text.replace(/<[^>]*>/g, " "))
+    .join(" ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+
+export { normalizeLanguage, parseCaptionFile, toWebVtt, captionPlainText };
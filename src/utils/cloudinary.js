@@ -1,40 +0,0 @@
-import * as dotenv from "dotenv";
-dotenv.config();
-import { v2 as cloudinary } from "cloudinary";
-import fs from "fs";
-
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-const uploadToCloudinary = async (localFilePath) => {
-  try {
-    if (!localFilePath) return null;
-    //upload the file on cloudinary
-    const response = await cloudinary.uploader.upload(localFilePath, {
-      resource_type: "auto",
-    });
-    fs.unlinkSync(localFilePath);
-    return response;
-  } catch (error) {
-    fs.unlinkSync(localFilePath); // remove the locally saved temporary file as the upload operation got failed
-    return null;
-  }
-};
-
-const deleteFromCloudinary = async (publicId, resource_type = "image") => {
-  try {
-    const response = await cloudinary.uploader.destroy(publicId, {
-      resource_type,
-    });
-    console.log(response);
-
-    return response;
-  } catch (error) {
-    console.log("error while deleting file from cloudinary ", error);
-  }
-};
-
-export { uploadToCloudinary, deleteFromCloudinary };
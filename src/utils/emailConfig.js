@@ -10,16 +10,13 @@ const transport = createTransport({
   },
 });
 
-const sendMail = async (to, subject, resetLink) => {
+const sendMail = async (to, subject, text) => {
   try {
     const mailres = await transport.sendMail({
       from: process.env.EMAIL_FROM,
       to: to,
       subject: subject,
-      text: `
-                 you have requested a password for your account
-                 ${resetLink}
-             `,
+      text: text,
     });
     return mailres;
   } catch (error) {
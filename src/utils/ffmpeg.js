@@ -0,0 +1,73 @@
+import { spawn } from "child_process";
+
+// thin wrappers around the ffmpeg and ffprobe binaries. FFMPEG_PATH and
+// FFPROBE_PATH point to them when they are not on the PATH
+
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    // ffmpeg logs progress on stderr, only the end of it is worth keeping
+    child.stderr.on(
+      "data",
+      (chunk) => (stderr = (stderr + chunk).slice(-4000))
+    );
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code === 0) return resolve(stdout);
+      reject(new Error(`${command} exited with ${code}: ${stderr.trim()}`));
+    });
+  });
+
+const ffprobe = (args) => run(process.env.FFPROBE_PATH || "ffprobe", args);
+const ffmpeg = (args) =>
+  run(process.env.FFMPEG_PATH || "ffmpeg", ["-hide_banner", "-y", ...args]);
+
+// true when the error means the binary itself could not be started
+const isMissingBinary = (error) =>
+  error?.code === "ENOENT" && error?.syscall?.startsWith("spawn");
+
+// whether both binaries can be started at all
+const ffmpegAvailable = async () => {
+  try {
+    await ffmpeg(["-version"]);
+    await ffprobe(["-version"]);
+    return true;
+  } catch (error) {
+    if (isMissingBinary(error)) return false;
+    throw error;
+  }
+};
+
+const probeVideo = async (filePath) => {
+  const output = await ffprobe([
+    "-v",
+    "error",
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    filePath,
+  ]);
+  const { format = {}, streams = [] } = JSON.parse(output);
+
+  const videoStream = streams.find((stream) => stream.codec_type === "video");
+  const audioStream = streams.find((stream) => stream.codec_type === "audio");
+  if (!videoStream) {
+    throw new Error("file has no video stream");
+  }
+
+  return {
+    duration: Number(format.duration || videoStream.duration) || 0,
+    width: videoStream.width,
+    height: videoStream.height,
+    videoCodec: videoStream.codec_name,
+    audioCodec: audioStream?.codec_name,
+    hasAudio: !!audioStream,
+  };
+};
+
+export { ffmpeg, ffprobe, ffmpegAvailable, probeVideo, isMissingBinary };
@@ -0,0 +1,205 @@
+import { createHash, createPublicKey, randomBytes } from "crypto";
+import jwt from "jsonwebtoken";
+
+// OpenID Connect authorization code flow with PKCE. providers are plugged in
+// through env only:
+//   OIDC_PROVIDERS=google,keycloak
+//   OIDC_GOOGLE_ISSUER / OIDC_GOOGLE_CLIENT_ID / OIDC_GOOGLE_CLIENT_SECRET
+//   OIDC_GOOGLE_SCOPE (optional, defaults to "openid email profile")
+
+const METADATA_CACHE_TTL = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "ES256", "ES384"];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const getOidcProvider = (name) => {
+  const enabledProviders = (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((provider) => provider.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!name || !enabledProviders.includes(name.toLowerCase())) {
+    return null;
+  }
+
+  const envKey = name.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+  const provider = {
+    name: name.toLowerCase(),
+    issuer: process.env[`OIDC_${envKey}_ISSUER`]?.replace(/\/+$/, ""),
+    clientId: process.env[`OIDC_${envKey}_CLIENT_ID`],
+    clientSecret: process.env[`OIDC_${envKey}_CLIENT_SECRET`],
+    scope: process.env[`OIDC_${envKey}_SCOPE`] || "openid email profile",
+  };
+
+  if (!provider.issuer || !provider.clientId) {
+    throw new Error(`oidc provider ${name} is missing issuer or client id`);
+  }
+
+  return provider;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options?.headers },
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || response.status;
+    throw new Error(`oidc request to ${url} failed: ${reason}`);
+  }
+
+  return body;
+};
+
+const cached = async (cache, key, load, { refresh = false } = {}) => {
+  const entry = cache.get(key);
+  if (!refresh && entry && Date.now() - entry.fetchedAt < METADATA_CACHE_TTL) {
+    return entry.value;
+  }
+
+  const value = await load();
+  cache.set(key, { value, fetchedAt: Date.now() });
+  return value;
+};
+
+const discover = (provider) =>
+  cached(discoveryCache, provider.issuer, async () => {
+    const metadata = await fetchJson(
+      `${provider.issuer}/.well-known/openid-configuration`
+    );
+
+    // the issuer in the document must be the one we asked for (OIDC discovery 4.3)
+    if (metadata.issuer?.replace(/\/+$/, "") !== provider.issuer) {
+      throw new Error(`oidc issuer mismatch for ${provider.name}`);
+    }
+
+    return metadata;
+  });
+
+const getSigningKey = async (metadata, kid) => {
+  const findKey = (jwks) =>
+    jwks.keys?.find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+
+  let jwks = await cached(jwksCache, metadata.jwks_uri, () =>
+    fetchJson(metadata.jwks_uri)
+  );
+  let jwk = findKey(jwks);
+
+  // unknown kid usually means the provider rotated its keys
+  if (!jwk) {
+    jwks = await cached(
+      jwksCache,
+      metadata.jwks_uri,
+      () => fetchJson(metadata.jwks_uri),
+      { refresh: true }
+    );
+    jwk = findKey(jwks);
+  }
+
+  if (!jwk) {
+    throw new Error("no matching signing key for id token");
+  }
+
+  return createPublicKey({ key: jwk, format: "jwk" });
+};
+
+const base64Url = (buffer) => buffer.toString("base64url");
+
+// returns the url to send the browser to, plus the values that have to be
+// kept (in a cookie) until the callback comes back
+const createAuthorizationRequest = async (provider, redirectUri) => {
+  const metadata = await discover(provider);
+
+  const state = base64Url(randomBytes(32));
+  const nonce = base64Url(randomBytes(32));
+  const codeVerifier = base64Url(randomBytes(32));
+  const codeChallenge = base64Url(
+    createHash("sha256").update(codeVerifier).digest()
+  );
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+
+  return {
+    url: `${metadata.authorization_endpoint}?${params.toString()}`,
+    state,
+    nonce,
+    codeVerifier,
+  };
+};
+
+const exchangeAuthorizationCode = async (
+  provider,
+  { code, codeVerifier, redirectUri }
+) => {
+  const metadata = await discover(provider);
+
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) {
+    body.set("client_secret", provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+  });
+
+  if (!tokens.id_token) {
+    throw new Error("token response did not contain an id token");
+  }
+
+  return tokens;
+};
+
+// OIDC core 3.1.3.7: signature, issuer, audience, expiry and nonce
+const validateIdToken = async (provider, idToken, { nonce }) => {
+  const metadata = await discover(provider);
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error("id token is malformed");
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+  });
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1) {
+    if (claims.azp !== provider.clientId) {
+      throw new Error("id token authorized party mismatch");
+    }
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error("id token nonce mismatch");
+  }
+
+  return claims;
+};
+
+export {
+  getOidcProvider,
+  createAuthorizationRequest,
+  exchangeAuthorizationCode,
+  validateIdToken,
+};
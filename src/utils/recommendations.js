@@ -0,0 +1,130 @@
+import { HOME_FEED } from "../constants.js";
+
+const addTo = (map, key, weight) => map.set(key, (map.get(key) || 0) + weight);
+
+// scales the values of an affinity map to 0..1, the strongest interest is 1
+const normalize = (map) => {
+  const max = Math.max(0, ...map.values());
+  return new Map([...map].map(([key, value]) => [key, max ? value / max : 0]));
+};
+
+// the keys of the strongest interests, ties in key order so the same signals
+// always give the same candidates
+const topKeys = (map, count) =>
+  [...map]
+    .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+    .slice(0, count)
+    .map(([key]) => key);
+
+// what the user is interested in, from their subscriptions, the videos they
+// liked and their watch history entries ({ video, completed })
+const buildAffinity = ({
+  subscribedChannelIds = [],
+  likedVideos = [],
+  watchedVideos = [],
+}) => {
+  const tags = new Map();
+  const categories = new Map();
+  const channels = new Map();
+
+  const addVideo = (video, weight) => {
+    for (const tag of video.tags || []) addTo(tags, tag, weight);
+    if (video.category) addTo(categories, video.category, weight);
+    addTo(channels, video.owner.toString(), weight);
+  };
+
+  for (const video of likedVideos) {
+    addVideo(video, HOME_FEED.signalWeights.like);
+  }
+  for (const { video, completed } of watchedVideos) {
+    addVideo(
+      video,
+      completed
+        ? HOME_FEED.signalWeights.completedWatch
+        : HOME_FEED.signalWeights.watch
+    );
+  }
+
+  return {
+    subscribed: new Set(subscribedChannelIds.map((id) => id.toString())),
+    tags: normalize(tags),
+    categories: normalize(categories),
+    channels: normalize(channels),
+  };
+};
+
+// the parts of a candidate's score, each between 0 and 1
+const scoreParts = (video, affinity, now) => {
+  const owner = video.owner.toString();
+  const ageDays = Math.max(now - new Date(video.createdAt), 0) / 86400000;
+  const tagMatch = (video.tags || []).reduce(
+    (sum, tag) => sum + (affinity.tags.get(tag) || 0),
+    0
+  );
+
+  return {
+    subscription: affinity.subscribed.has(owner) ? 1 : 0,
+    channel: affinity.channels.get(owner) || 0,
+    tags: Math.min(tagMatch, 1),
+    category: affinity.categories.get(video.category) || 0,
+    freshness: 0.5 ** (ageDays / HOME_FEED.freshnessHalfLifeDays),
+    popularity: Math.min(Math.log10(1 + (video.views || 0)) / 6, 1),
+  };
+};
+
+// the interest that added the most to the score, shown as "because you ..."
+const INTEREST_PARTS = ["subscription", "channel", "tags", "category"];
+
+const scoreCandidate = (video, affinity, now) => {
+  const parts = scoreParts(video, affinity, now);
+
+  let score = 0;
+  let reason = "popular";
+  let strongest = 0;
+  for (const [part, value] of Object.entries(parts)) {
+    const weighted = HOME_FEED.weights[part] * value;
+    score += weighted;
+    if (INTEREST_PARTS.includes(part) && weighted > strongest) {
+      strongest = weighted;
+      reason = part;
+    }
+  }
+
+  return { video, score: Math.round(score * 1000) / 1000, reason };
+};
+
+// newer videos first on equal scores, so a ranking never depends on the
+// order the database returned the candidates in
+const byScore = (a, b) =>
+  b.score - a.score ||
+  b.video._id.toString().localeCompare(a.video._id.toString());
+
+// ranks the candidates and puts a trending video (already in trending order)
+// on every trendingEvery-th place. when one list runs out the other fills
+// the rest of the feed
+const rankFeed = ({
+  candidates,
+  affinity,
+  trending = [],
+  now = new Date(),
+}) => {
+  const ranked = candidates
+    .map((video) => scoreCandidate(video, affinity, now))
+    .sort(byScore);
+
+  const rankedIds = new Set(ranked.map(({ video }) => video._id.toString()));
+  const explore = trending
+    .filter((video) => !rankedIds.has(video._id.toString()))
+    .map((video) => ({ video, score: 0, reason: "trending" }));
+
+  const feed = [];
+  while (ranked.length || explore.length) {
+    const trendingSlot = (feed.length + 1) % HOME_FEED.trendingEvery === 0;
+    const source =
+      (trendingSlot && explore.length) || !ranked.length ? explore : ranked;
+    feed.push(source.shift());
+  }
+  return feed;
+};
+
+export { buildAffinity, topKeys, scoreCandidate, rankFeed };
@@ -0,0 +1,177 @@
+import { Video } from "../models/video.model.js";
+import { WatchEvent } from "../models/watchEvent.model.js";
+import { RelatedVideos } from "../models/relatedVideos.model.js";
+import { RELATED_VIDEOS } from "../constants.js";
+
+const TITLE_STOPWORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "with",
+  "how",
+  "what",
+  "you",
+  "your",
+  "this",
+  "that",
+  "from",
+  "are",
+  "was",
+  "not",
+]);
+
+// the words of a title that say something about it
+const titleTerms = (title) =>
+  new Set(
+    String(title ?? "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((term) => term.length > 2 && !TITLE_STOPWORDS.has(term))
+  );
+
+const countShared = (a, b) => [...a].filter((item) => b.has(item)).length;
+
+// how many of the recent viewers of the video also watched each other video
+const coWatchCounts = async (video) => {
+  const viewers = await WatchEvent.find({ video: video._id })
+    .sort({ lastWatchedAt: -1 })
+    .limit(RELATED_VIDEOS.coWatchViewers)
+    .select("user")
+    .lean();
+  if (!viewers.length) return new Map();
+
+  const counts = await WatchEvent.aggregate([
+    {
+      $match: {
+        user: { $in: viewers.map((viewer) => viewer.user) },
+        video: { $ne: video._id },
+      },
+    },
+    { $group: { _id: "$video", viewers: { $sum: 1 } } },
+    { $sort: { viewers: -1, _id: -1 } },
+    { $limit: RELATED_VIDEOS.candidateLimit },
+  ]);
+  return new Map(counts.map((entry) => [entry._id.toString(), entry.viewers]));
+};
+
+// public videos that share something with the video: its channel, a tag,
+// words of its title or viewers
+const findCandidates = async (video, terms, coWatched) => {
+  const filter = { ...Video.listedFilter(), _id: { $ne: video._id } };
+  const fields = "title tags owner views";
+  const limit = RELATED_VIDEOS.candidateLimit;
+
+  const lists = await Promise.all([
+    Video.find({ ...filter, owner: video.owner })
+      .sort({ views: -1, _id: -1 })
+      .limit(limit)
+      .select(fields)
+      .lean(),
+    video.tags?.length
+      ? Video.find({ ...filter, tags: { $in: video.tags } })
+          .sort({ views: -1, _id: -1 })
+          .limit(limit)
+          .select(fields)
+          .lean()
+      : [],
+    terms.size
+      ? Video.find({ ...filter, $text: { $search: [...terms].join(" ") } })
+          .sort({ score: { $meta: "textScore" }, _id: -1 })
+          .limit(limit)
+          .select(fields)
+          .lean()
+      : [],
+    coWatched.size
+      ? Video.find({ ...filter, _id: { $in: [...coWatched.keys()] } })
+          .select(fields)
+          .lean()
+      : [],
+  ]);
+
+  const candidates = new Map();
+  for (const candidate of lists.flat()) {
+    candidates.set(candidate._id.toString(), candidate);
+  }
+  return [...candidates.values()];
+};
+
+// scores the candidates against the video, best first. every part is
+// between 0 and 1 before its weight
+const rankRelatedVideos = async (video) => {
+  const terms = titleTerms(video.title);
+  const tags = new Set(video.tags || []);
+  const coWatched = await coWatchCounts(video);
+  const maxCoWatch = Math.max(0, ...coWatched.values());
+
+  const candidates = await findCandidates(video, terms, coWatched);
+
+  const scored = candidates.map((candidate) => {
+    const candidateTags = new Set(candidate.tags || []);
+    const sharedTags = countShared(tags, candidateTags);
+    const parts = {
+      tags: sharedTags
+        ? sharedTags / (tags.size + candidateTags.size - sharedTags)
+        : 0,
+      channel: candidate.owner.toString() === video.owner.toString() ? 1 : 0,
+      title: terms.size
+        ? countShared(terms, titleTerms(candidate.title)) / terms.size
+        : 0,
+      coWatch: maxCoWatch
+        ? (coWatched.get(candidate._id.toString()) || 0) / maxCoWatch
+        : 0,
+    };
+
+    const score = Object.entries(parts).reduce(
+      (sum, [part, value]) => sum + RELATED_VIDEOS.weights[part] * value,
+      0
+    );
+    return {
+      video: candidate._id,
+      score: Math.round(score * 1000) / 1000,
+      reasons: Object.keys(parts).filter((part) => parts[part] > 0),
+      views: candidate.views || 0,
+    };
+  });
+
+  return scored
+    .filter((entry) => entry.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        b.views - a.views ||
+        b.video.toString().localeCompare(a.video.toString())
+    )
+    .slice(0, RELATED_VIDEOS.cacheSize)
+    .map(({ views, ...entry }) => entry);
+};
+
+// the related videos of a video from the cache, ranked again when there is
+// no cached list or it expired
+const getRelatedVideoIds = async (video) => {
+  const cached = await RelatedVideos.findOne({
+    video: video._id,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (cached) return cached.related;
+
+  const related = await rankRelatedVideos(video);
+  await RelatedVideos.updateOne(
+    { video: video._id },
+    {
+      $set: {
+        related,
+        expiresAt: new Date(
+          Date.now() + RELATED_VIDEOS.cacheHours * 60 * 60 * 1000
+        ),
+      },
+    },
+    { upsert: true }
+  );
+  return related;
+};
+
+// called when the video's title or tags may have changed
+const invalidateRelatedVideos = (videoId) =>
+  RelatedVideos.deleteOne({ video: videoId });
+
+export { rankRelatedVideos, getRelatedVideoIds, invalidateRelatedVideos };
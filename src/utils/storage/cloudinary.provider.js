@@ -0,0 +1,81 @@
+import * as dotenv from "dotenv";
+dotenv.config();
+import { v2 as cloudinary } from "cloudinary";
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// the object id on cloudinary is the public id. destroy and the admin api
+// need the resource type as well, so it is kept on the asset too
+const cloudinaryProvider = {
+  name: "cloudinary",
+
+  async put(localFilePath, { folder, resourceType = "auto", key } = {}) {
+    const response = await cloudinary.uploader.upload(localFilePath, {
+      resource_type: resourceType,
+      // raw files keep their extension in the public id, media does not
+      ...(key
+        ? {
+            public_id:
+              resourceType === "raw" ? key : key.replace(/\.[^/.]+$/, ""),
+          }
+        : { folder }),
+    });
+
+    return {
+      key: response.public_id,
+      url: response.secure_url || response.url,
+      resourceType: response.resource_type,
+      size: response.bytes,
+      contentType: `${response.resource_type}/${response.format}`,
+      duration: response.duration,
+      // cloudinary renders a poster frame for videos at the same public id
+      thumbnailUrl:
+        response.resource_type === "video"
+          ? cloudinary.url(response.public_id, {
+              resource_type: "video",
+              format: "jpg",
+              secure: true,
+            })
+          : undefined,
+    };
+  },
+
+  async delete(key, { resourceType = "image" } = {}) {
+    const response = await cloudinary.uploader.destroy(key, {
+      resource_type: resourceType,
+      invalidate: true,
+    });
+
+    return response.result === "ok" || response.result === "not found";
+  },
+
+  async signedUrl(key, { resourceType = "image", expiresIn } = {}) {
+    return cloudinary.url(key, {
+      resource_type: resourceType,
+      secure: true,
+      sign_url: true,
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+    });
+  },
+
+  async metadata(key, { resourceType = "image" } = {}) {
+    const resource = await cloudinary.api.resource(key, {
+      resource_type: resourceType,
+    });
+
+    return {
+      size: resource.bytes,
+      contentType: `${resource.resource_type}/${resource.format}`,
+      updatedAt: new Date(resource.created_at),
+      width: resource.width,
+      height: resource.height,
+      duration: resource.duration,
+    };
+  },
+};
+
+export { cloudinaryProvider };
@@ -0,0 +1,20 @@
+import path from "path";
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime",
+  ".mkv": "video/x-matroska",
+};
+
+const contentTypeFor = (fileName) =>
+  CONTENT_TYPES[path.extname(fileName || "").toLowerCase()] ||
+  "application/octet-stream";
+
+export { contentTypeFor };
@@ -0,0 +1,115 @@
+import fs from "fs";
+import { cloudinaryProvider } from "./cloudinary.provider.js";
+import { localProvider, signingSecret } from "./local.provider.js";
+import { s3Provider } from "./s3.provider.js";
+import { SIGNED_URL_TTL_SECONDS } from "../../constants.js";
+
+// every provider implements the same interface:
+//   put(localFilePath, { folder, resourceType, key }) -> { key, url, resourceType, size, contentType, ... }
+//     (key picks the object id instead of a random one in folder)
+//   delete(key, { resourceType }) -> true when the object is gone
+//   signedUrl(key, { resourceType, expiresIn }) -> time limited url
+//   metadata(key, { resourceType }) -> { size, contentType, updatedAt, ... }
+// documents keep { provider, key, resourceType } of each file they own so the
+// file can be reached again without looking at its url
+const providers = {
+  [localProvider.name]: localProvider,
+  [cloudinaryProvider.name]: cloudinaryProvider,
+  [s3Provider.name]: s3Provider,
+};
+
+// uploads go to STORAGE_DRIVER. without it, cloudinary is used when it is
+// configured and the local disk otherwise (offline development, CI)
+const defaultProviderName = () =>
+  process.env.STORAGE_DRIVER ||
+  (process.env.CLOUDINARY_NAME ? cloudinaryProvider.name : localProvider.name);
+
+const getStorageProvider = (name = defaultProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`unknown storage provider ${name}`);
+  }
+  return provider;
+};
+
+// called at startup, so a missing setting of the upload driver fails there
+// instead of on the first upload
+const assertStorageConfigured = () => {
+  const provider = getStorageProvider();
+  if (provider.name === localProvider.name) {
+    signingSecret();
+  }
+};
+
+// stores a file multer saved to public/temp and removes the temp file either
+// way. returns null when the upload failed, like the old cloudinary helper
+const storeFile = async (localFilePath, { folder, resourceType, key } = {}) => {
+  if (!localFilePath) return null;
+
+  const provider = getStorageProvider();
+  try {
+    const stored = await provider.put(localFilePath, {
+      folder,
+      resourceType,
+      key,
+    });
+    return { provider: provider.name, ...stored };
+  } catch (error) {
+    console.log(`error while storing file on ${provider.name} `, error);
+    return null;
+  } finally {
+    await fs.promises.rm(localFilePath, { force: true });
+  }
+};
+
+const deleteStoredFile = async (asset) => {
+  if (!asset?.provider || !asset?.key) return true;
+
+  try {
+    return await getStorageProvider(asset.provider).delete(asset.key, {
+      resourceType: asset.resourceType,
+    });
+  } catch (error) {
+    console.log(
+      `error while deleting ${asset.key} from ${asset.provider} `,
+      error
+    );
+    return false;
+  }
+};
+
+const getSignedUrl = (asset, { expiresIn = SIGNED_URL_TTL_SECONDS } = {}) =>
+  getStorageProvider(asset.provider).signedUrl(asset.key, {
+    resourceType: asset.resourceType,
+    expiresIn,
+  });
+
+const getFileMetadata = (asset) =>
+  getStorageProvider(asset.provider).metadata(asset.key, {
+    resourceType: asset.resourceType,
+  });
+
+// documents created before assets were recorded only have a cloudinary url.
+// this recovers the public id from it (any folder and file extension)
+const legacyCloudinaryAsset = (fileUrl, resourceType = "image") => {
+  const match = fileUrl?.match(
+    /res\.cloudinary\.com\/[^/]+\/[^/]+\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i
+  );
+  if (!match) return null;
+
+  return { provider: cloudinaryProvider.name, key: match[1], resourceType };
+};
+
+// the recorded asset of a file, falling back to its legacy url
+const assetOf = (asset, fileUrl, resourceType) =>
+  asset?.key ? asset : legacyCloudinaryAsset(fileUrl, resourceType);
+
+export {
+  getStorageProvider,
+  assertStorageConfigured,
+  storeFile,
+  deleteStoredFile,
+  getSignedUrl,
+  getFileMetadata,
+  assetOf,
+};
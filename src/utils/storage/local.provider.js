@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import { createHmac, randomUUID, timingSafeEqual } from "crypto";
+import { LOCAL_STORAGE_DIR } from "../../constants.js";
+import { contentTypeFor } from "./contentType.js";
+
+// keeps media on the local disk under LOCAL_STORAGE_DIR and serves it from
+// /media (see app.js). meant for development, CI and single box deployments
+
+const resolveKey = (key) => {
+  const root = path.resolve(LOCAL_STORAGE_DIR);
+  const filePath = path.resolve(root, key);
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`invalid storage key ${key}`);
+  }
+  return filePath;
+};
+
+const publicUrl = (key) => `${process.env.BASE_URL}/media/${key}`;
+
+// without a secret anyone could sign links to private media
+const signingSecret = () => {
+  if (!process.env.STORAGE_SIGNING_SECRET) {
+    throw new Error("local storage needs STORAGE_SIGNING_SECRET to sign urls");
+  }
+  return process.env.STORAGE_SIGNING_SECRET;
+};
+
+const sign = (key, expires) =>
+  createHmac("sha256", signingSecret())
+    .update(`${key}:${expires}`)
+    .digest("base64url");
+
+const verifyLocalSignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expires));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+};
+
+const localProvider = {
+  name: "local",
+
+  async put(localFilePath, { folder = "misc", key: fixedKey } = {}) {
+    const extension = path.extname(localFilePath).toLowerCase();
+    const key = fixedKey || `${folder}/${randomUUID()}${extension}`;
+    const filePath = resolveKey(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(localFilePath, filePath);
+    const stats = await fs.promises.stat(filePath);
+    const contentType = contentTypeFor(localFilePath);
+
+    return {
+      key,
+      url: publicUrl(key),
+      resourceType: contentType.split("/")[0],
+      size: stats.size,
+      contentType,
+    };
+  },
+
+  async delete(key) {
+    await fs.promises.rm(resolveKey(key), { force: true });
+    return true;
+  },
+
+  async signedUrl(key, { expiresIn } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${publicUrl(key)}?expires=${expires}&signature=${sign(key, expires)}`;
+  },
+
+  async metadata(key) {
+    const stats = await fs.promises.stat(resolveKey(key));
+
+    return {
+      size: stats.size,
+      contentType: contentTypeFor(key),
+      updatedAt: stats.mtime,
+    };
+  },
+
+  // not part of the provider interface. lets code that needs the file itself
+  // (range requests, ffmpeg) skip a round trip through a url
+  path: resolveKey,
+};
+
+export { localProvider, verifyLocalSignature, signingSecret };
@@ -0,0 +1,230 @@
+import fs from "fs";
+import path from "path";
+import { createHash, createHmac, randomUUID } from "crypto";
+import { contentTypeFor } from "./contentType.js";
+
+// any S3 compatible object store (AWS, MinIO, R2, Wasabi ...), talking to the
+// REST api directly with signature v4. configured through env:
+//   S3_BUCKET / S3_REGION / S3_ACCESS_KEY_ID / S3_SECRET_ACCESS_KEY
+//   S3_ENDPOINT (optional, for non AWS stores. implies path style urls)
+//   S3_PUBLIC_URL (optional, base url objects are publicly served from)
+
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+
+const getConfig = () => {
+  const region = process.env.S3_REGION || "us-east-1";
+  const config = {
+    bucket: process.env.S3_BUCKET,
+    region,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    endpoint: (
+      process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`
+    ).replace(/\/+$/, ""),
+    pathStyle: !!process.env.S3_ENDPOINT,
+    publicUrl: process.env.S3_PUBLIC_URL?.replace(/\/+$/, ""),
+  };
+
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error("s3 storage is missing bucket or credentials");
+  }
+  return config;
+};
+
+// RFC 3986 encoding as required by signature v4
+const encode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+const hmac = (key, value) => createHmac("sha256", key).update(value).digest();
+
+const objectUrl = (config, key) => {
+  const encodedKey = key.split("/").map(encode).join("/");
+  if (config.pathStyle) {
+    return new URL(`${config.endpoint}/${config.bucket}/${encodedKey}`);
+  }
+
+  const endpoint = new URL(config.endpoint);
+  return new URL(
+    `${endpoint.protocol}//${config.bucket}.${endpoint.host}/${encodedKey}`
+  );
+};
+
+const credentialScope = (config, date) =>
+  `${date}/${config.region}/s3/aws4_request`;
+
+const signature = (config, amzDate, canonicalRequest) => {
+  const date = amzDate.slice(0, 8);
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    credentialScope(config, date),
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    hmac,
+    [date, config.region].reduce(hmac, `AWS4${config.secretAccessKey}`)
+  );
+
+  return createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+};
+
+const canonicalQuery = (searchParams) =>
+  [...searchParams.entries()]
+    .map(([name, value]) => [encode(name), encode(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+
+const amzTimestamp = (now = new Date()) =>
+  now
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// signs with an Authorization header, for requests the server makes itself
+const signedRequest = async (
+  config,
+  method,
+  key,
+  { headers = {}, body } = {}
+) => {
+  const url = objectUrl(config, key);
+  const amzDate = amzTimestamp();
+
+  const allHeaders = {
+    ...headers,
+    host: url.host,
+    "x-amz-content-sha256": UNSIGNED_PAYLOAD,
+    "x-amz-date": amzDate,
+  };
+  const headerNames = Object.keys(allHeaders)
+    .map((name) => name.toLowerCase())
+    .sort();
+  const lowerCased = Object.fromEntries(
+    Object.entries(allHeaders).map(([name, value]) => [
+      name.toLowerCase(),
+      String(value).trim(),
+    ])
+  );
+  const signedHeaders = headerNames.join(";");
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery(url.searchParams),
+    headerNames.map((name) => `${name}:${lowerCased[name]}\n`).join(""),
+    signedHeaders,
+    UNSIGNED_PAYLOAD,
+  ].join("\n");
+
+  const scope = credentialScope(config, amzDate.slice(0, 8));
+  const authorization =
+    `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, ` +
+    `SignedHeaders=${signedHeaders}, ` +
+    `Signature=${signature(config, amzDate, canonicalRequest)}`;
+
+  const { host, ...requestHeaders } = lowerCased;
+  return fetch(url, {
+    method,
+    headers: { ...requestHeaders, authorization },
+    body,
+    duplex: body ? "half" : undefined,
+  });
+};
+
+// query string signature, for urls handed out to clients
+const presignedUrl = (config, key, expiresIn, now = new Date()) => {
+  const url = objectUrl(config, key);
+  const amzDate = amzTimestamp(now);
+
+  url.searchParams.set("X-Amz-Algorithm", "AWS4-HMAC-SHA256");
+  url.searchParams.set(
+    "X-Amz-Credential",
+    `${config.accessKeyId}/${credentialScope(config, amzDate.slice(0, 8))}`
+  );
+  url.searchParams.set("X-Amz-Date", amzDate);
+  url.searchParams.set("X-Amz-Expires", String(expiresIn));
+  url.searchParams.set("X-Amz-SignedHeaders", "host");
+
+  const canonicalRequest = [
+    "GET",
+    url.pathname,
+    canonicalQuery(url.searchParams),
+    `host:${url.host}\n`,
+    "host",
+    UNSIGNED_PAYLOAD,
+  ].join("\n");
+
+  url.searchParams.set(
+    "X-Amz-Signature",
+    signature(config, amzDate, canonicalRequest)
+  );
+  return url.toString();
+};
+
+const assertOk = async (response, action, key) => {
+  if (!response.ok) {
+    const reason = (await response.text().catch(() => "")).slice(0, 200);
+    throw new Error(
+      `s3 ${action} of ${key} failed: ${response.status} ${reason}`
+    );
+  }
+};
+
+const s3Provider = {
+  name: "s3",
+
+  async put(localFilePath, { folder = "misc", key: fixedKey } = {}) {
+    const config = getConfig();
+    const extension = path.extname(localFilePath).toLowerCase();
+    const key = fixedKey || `${folder}/${randomUUID()}${extension}`;
+    const { size } = await fs.promises.stat(localFilePath);
+    const type = contentTypeFor(localFilePath);
+
+    const response = await signedRequest(config, "PUT", key, {
+      headers: { "content-type": type, "content-length": size },
+      body: fs.createReadStream(localFilePath),
+    });
+    await assertOk(response, "upload", key);
+
+    return {
+      key,
+      url: config.publicUrl
+        ? `${config.publicUrl}/${key}`
+        : objectUrl(config, key).toString(),
+      resourceType: type.split("/")[0],
+      size,
+      contentType: type,
+    };
+  },
+
+  async delete(key) {
+    const response = await signedRequest(getConfig(), "DELETE", key);
+    // deleting a missing object is not an error on S3
+    await assertOk(response, "delete", key);
+    return true;
+  },
+
+  async signedUrl(key, { expiresIn } = {}) {
+    return presignedUrl(getConfig(), key, expiresIn);
+  },
+
+  async metadata(key) {
+    const response = await signedRequest(getConfig(), "HEAD", key);
+    await assertOk(response, "head", key);
+
+    return {
+      size: Number(response.headers.get("content-length")),
+      contentType: response.headers.get("content-type"),
+      updatedAt: new Date(response.headers.get("last-modified")),
+      etag: response.headers.get("etag"),
+    };
+  },
+};
+
+export { s3Provider };
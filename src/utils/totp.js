@@ -0,0 +1,114 @@
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+// RFC 6238 time based one time passwords with the defaults every
+// authenticator app understands (SHA1, 6 digits, 30 second steps)
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    value &= (1 << bits) - 1;
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`invalid base32 character ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+      value &= (1 << bits) - 1;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a single counter
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+const getTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+const generateTotpSecret = () => base32Encode(randomBytes(20));
+
+const generateTotp = (secret, time = Date.now()) =>
+  generateHotp(secret, getTimeStep(time));
+
+// returns the matching time step, or null. `window` allows for clock drift
+// between the server and the device, and steps up to `afterStep` are refused
+// so a code that was already used cannot be replayed
+const verifyTotp = (secret, code, { window = 1, afterStep = -1 } = {}) => {
+  const token = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(token)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (step <= afterStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// provisioning uri rendered as a QR code by the client
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export { generateTotpSecret, generateTotp, verifyTotp, buildOtpauthUri };
@@ -0,0 +1,189 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.model.js";
+import { ApiError } from "./ApiError.js";
+import { storeFile } from "./storage/index.js";
+import { localProvider } from "./storage/local.provider.js";
+import { processQueuedVideos } from "../jobs/videoProcessing.job.js";
+import {
+  VIDEO_VISIBILITIES,
+  PRIVATE_VIDEO_MAX_VIEWERS,
+  VIDEO_CATEGORIES,
+  VIDEO_TAGS_MAX,
+  VIDEO_TAG_MAX_LENGTH,
+} from "../constants.js";
+
+// list fields arrive as an array (json) or comma separated (multipart forms,
+// tus metadata)
+const listFromInput = (input) =>
+  (Array.isArray(input) ? input : String(input ?? "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// validates the visibility settings sent with a publish or an update and
+// returns the fields to set on the video
+const resolveVisibility = ({ visibility, publishAt, allowedViewers }) => {
+  if (!VIDEO_VISIBILITIES.includes(visibility)) {
+    throw new ApiError(
+      400,
+      `visibility must be one of ${VIDEO_VISIBILITIES.join(", ")}`
+    );
+  }
+
+  const fields = { visibility, publishAt: undefined, allowedViewers: [] };
+
+  if (visibility === "scheduled") {
+    const date = new Date(publishAt);
+    if (!publishAt || Number.isNaN(date.getTime())) {
+      throw new ApiError(400, "publishAt is required for scheduled videos");
+    }
+    if (date <= new Date()) {
+      throw new ApiError(400, "publishAt must be in the future");
+    }
+    fields.publishAt = date;
+  }
+
+  const viewers = listFromInput(allowedViewers);
+
+  if (viewers.length) {
+    if (visibility !== "private") {
+      throw new ApiError(400, "allowedViewers only apply to private videos");
+    }
+    if (!viewers.every((viewer) => isValidObjectId(viewer))) {
+      throw new ApiError(400, "allowedViewers must be user ids");
+    }
+    fields.allowedViewers = [...new Set(viewers)];
+    if (fields.allowedViewers.length > PRIVATE_VIDEO_MAX_VIEWERS) {
+      throw new ApiError(
+        400,
+        `a private video can be shared with at most ${PRIVATE_VIDEO_MAX_VIEWERS} users`
+      );
+    }
+  }
+
+  return fields;
+};
+
+// "#Web Dev", "web  dev" and "WEB-DEV" are all the tag "web dev". + # and .
+// stay so "c++", "c#" and "node.js" keep their meaning
+const normalizeTag = (tag) =>
+  String(tag)
+    .toLowerCase()
+    .replace(/^#+/, "")
+    .replace(/[^\p{L}\p{N}\s+#.\-_]/gu, "")
+    .replace(/[-_\s]+/g, " ")
+    .trim();
+
+const resolveTags = (tags) => {
+  const normalized = [
+    ...new Set(listFromInput(tags).map(normalizeTag).filter(Boolean)),
+  ];
+
+  if (normalized.length > VIDEO_TAGS_MAX) {
+    throw new ApiError(400, `a video can have at most ${VIDEO_TAGS_MAX} tags`);
+  }
+  const tooLong = normalized.find((tag) => tag.length > VIDEO_TAG_MAX_LENGTH);
+  if (tooLong) {
+    throw new ApiError(
+      400,
+      `tags can be at most ${VIDEO_TAG_MAX_LENGTH} characters, "${tooLong}" is longer`
+    );
+  }
+
+  return normalized;
+};
+
+// an empty category clears it
+const resolveCategory = (category) => {
+  const slug = String(category ?? "")
+    .trim()
+    .toLowerCase();
+  if (!slug) return null;
+
+  if (!VIDEO_CATEGORIES.some((entry) => entry.slug === slug)) {
+    throw new ApiError(400, `unknown category ${slug}`);
+  }
+  return slug;
+};
+
+// the part of publishing shared by the multipart endpoint and finished tus
+// uploads: move the files from local disk to storage, create the Video and
+// queue it for processing. it is listed once processing is done (and only
+// when it is public). visibility, tags and category come from the resolvers
+const publishVideoFile = async ({
+  owner,
+  videoLocalPath,
+  thumbnailLocalPath,
+  title,
+  description,
+  visibility = { visibility: "public" },
+  tags = [],
+  category = null,
+}) => {
+  //   upload video to the configured storage
+  const uploadedVideo = await storeFile(videoLocalPath, {
+    folder: "videos",
+    resourceType: "video",
+  });
+
+  if (!uploadedVideo) {
+    throw new ApiError(400, "API error. file not uploaded");
+  }
+
+  // without an uploaded thumbnail use the poster frame, if the provider makes one
+  let thumbnail = uploadedVideo.thumbnailUrl || "";
+  let thumbnailAsset = null;
+
+  if (thumbnailLocalPath) {
+    const thumbnailFile = await storeFile(thumbnailLocalPath, {
+      folder: "thumbnails",
+      resourceType: "image",
+    });
+    if (thumbnailFile) {
+      thumbnail = thumbnailFile.url;
+      thumbnailAsset = thumbnailFile;
+    }
+  }
+
+  // the /media url of a local video file only works when signed
+  const videoId = new mongoose.Types.ObjectId();
+  const videofile =
+    uploadedVideo.provider === localProvider.name
+      ? Video.streamUrl(videoId)
+      : uploadedVideo.url;
+
+  //   create video model and saves to mongo db
+  const video = await Video.create({
+    _id: videoId,
+    videofile,
+    videofileAsset: uploadedVideo,
+    thumbnail: thumbnail,
+    thumbnailAsset,
+    owner,
+    title,
+    description,
+    // only cloudinary reports a duration on upload, processing fills it in
+    duration: uploadedVideo.duration || 0,
+    ...visibility,
+    tags,
+    category,
+    processingStatus: "queued",
+  });
+
+  if (!video) {
+    throw new ApiError(500, "something went wrong when uploading video");
+  }
+
+  processQueuedVideos().catch((error) =>
+    console.log("error while processing videos ", error)
+  );
+
+  return video;
+};
+
+export {
+  resolveVisibility,
+  normalizeTag,
+  resolveTags,
+  resolveCategory,
+  publishVideoFile,
+};
@@ -0,0 +1,133 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { ApiError } from "./ApiError.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { resolveCategory } from "./videoPublishing.js";
+import {
+  VIDEO_DURATION_BUCKETS,
+  VIDEO_SORT_FIELDS,
+  SEARCH_QUERY_MAX_LENGTH,
+} from "../constants.js";
+
+// user input used inside a regex has to match literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a date`);
+  }
+  return date;
+};
+
+// a channel is given by its id or its username
+const resolveChannelId = async (channel) => {
+  if (isValidObjectId(channel)) {
+    return new mongoose.Types.ObjectId(channel);
+  }
+
+  const owner = await User.findOne({
+    username: String(channel).trim().toLowerCase(),
+  }).select("_id");
+  if (!owner) {
+    throw new ApiError(404, "channel not found");
+  }
+  return owner._id;
+};
+
+const parseSearchText = (query) => {
+  const text = String(query ?? "").trim();
+  if (text.length > SEARCH_QUERY_MAX_LENGTH) {
+    throw new ApiError(
+      400,
+      `the search query can be at most ${SEARCH_QUERY_MAX_LENGTH} characters`
+    );
+  }
+  return text;
+};
+
+// the $match of a search over listed videos. the $text part only works in the
+// first stage of a pipeline, so this has to go first
+const buildSearchMatch = async ({
+  query,
+  category,
+  duration,
+  uploadedAfter,
+  uploadedBefore,
+  channel,
+  minViews,
+}) => {
+  const match = { ...Video.listedFilter() };
+
+  const text = parseSearchText(query);
+  if (text) {
+    match.$text = { $search: text };
+  }
+
+  if (category) {
+    match.category = resolveCategory(category);
+  }
+
+  if (duration) {
+    // own keys only, "constructor" or "toString" are not buckets
+    if (!Object.hasOwn(VIDEO_DURATION_BUCKETS, duration)) {
+      throw new ApiError(
+        400,
+        `duration must be one of ${Object.keys(VIDEO_DURATION_BUCKETS).join(", ")}`
+      );
+    }
+    const bucket = VIDEO_DURATION_BUCKETS[duration];
+    match.duration = {};
+    if (bucket.min !== undefined) match.duration.$gte = bucket.min;
+    if (bucket.max !== undefined) match.duration.$lt = bucket.max;
+  }
+
+  if (uploadedAfter || uploadedBefore) {
+    match.createdAt = {};
+    if (uploadedAfter) {
+      match.createdAt.$gte = parseDate(uploadedAfter, "uploadedAfter");
+    }
+    if (uploadedBefore) {
+      match.createdAt.$lte = parseDate(uploadedBefore, "uploadedBefore");
+    }
+  }
+
+  if (channel) {
+    match.owner = await resolveChannelId(channel);
+  }
+
+  if (minViews !== undefined && minViews !== "") {
+    const views = Number(minViews);
+    if (!Number.isInteger(views) || views < 0) {
+      throw new ApiError(400, "minViews must be a non-negative integer");
+    }
+    match.views = { $gte: views };
+  }
+
+  return match;
+};
+
+// a search is ranked by relevance unless another order is asked for. _id
+// keeps the order stable between pages
+const buildSearchSort = ({ query, sortBy, sortType }) => {
+  const hasText = !!parseSearchText(query);
+  const field = sortBy || (hasText ? "relevance" : "createdAt");
+
+  if (!VIDEO_SORT_FIELDS.includes(field)) {
+    throw new ApiError(
+      400,
+      `sortBy must be one of ${VIDEO_SORT_FIELDS.join(", ")}`
+    );
+  }
+  if (field === "relevance" && !hasText) {
+    throw new ApiError(400, "sorting by relevance needs a search query");
+  }
+
+  if (field === "relevance") {
+    return { score: { $meta: "textScore" }, views: -1, _id: -1 };
+  }
+  const direction = sortType === "asc" ? 1 : -1;
+  return { [field]: direction, _id: direction };
+};
+
+export { escapeRegex, parseSearchText, buildSearchMatch, buildSearchSort };
@@ -0,0 +1,79 @@
+import "./helpers/env.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Video } from "../src/models/video.model.js";
+import { User } from "../src/models/user.model.js";
+import { TrendingScore } from "../src/models/trendingScore.model.js";
+import { RelatedVideos } from "../src/models/relatedVideos.model.js";
+import { purgeUserAccount } from "../src/jobs/accountDeletion.job.js";
+import { useTestDb } from "./helpers/db.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+describe("purging an account", () => {
+  const db = useTestDb();
+  let purged;
+  let other;
+
+  beforeEach(async () => {
+    await db.reset();
+    purged = await createSignedInUser();
+    other = await createSignedInUser();
+  });
+
+  const createVideo = ({ user }) =>
+    Video.create({
+      title: `video ${Math.random()}`,
+      description: "a video",
+      videofile: "https://example.com/video.mp4",
+      duration: 60,
+      processingStatus: "ready",
+      owner: user._id,
+    });
+
+  it("removes the videos from trending and related video caches", async () => {
+    const purgedVideo = await createVideo(purged);
+    const otherVideo = await createVideo(other);
+    const unrelatedVideo = await createVideo(other);
+
+    const computedAt = new Date();
+    await TrendingScore.create(
+      [purgedVideo, otherVideo].map((video, index) => ({
+        window: "24h",
+        computedAt,
+        video: video._id,
+        score: 10 - index,
+        rank: index + 1,
+      }))
+    );
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    await RelatedVideos.create([
+      {
+        video: purgedVideo._id,
+        related: [{ video: otherVideo._id, score: 1 }],
+        expiresAt,
+      },
+      {
+        video: otherVideo._id,
+        related: [{ video: purgedVideo._id, score: 1 }],
+        expiresAt,
+      },
+      {
+        video: unrelatedVideo._id,
+        related: [{ video: otherVideo._id, score: 1 }],
+        expiresAt,
+      },
+    ]);
+
+    await purgeUserAccount(purged.user);
+
+    assert.equal(await User.exists({ _id: purged.user._id }), null);
+    assert.deepEqual(
+      (await TrendingScore.find()).map((row) => row.video.toString()),
+      [otherVideo._id.toString()]
+    );
+    assert.deepEqual(
+      (await RelatedVideos.find()).map((row) => row.video.toString()),
+      [unrelatedVideo._id.toString()]
+    );
+  });
+});
@@ -0,0 +1,104 @@
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../src/models/user.model.js";
+import { EmailChange } from "../src/models/emailChange.model.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+const PASSWORD = "correct horse battery staple";
+
+describe("updating the account details", () => {
+  const db = useTestDb();
+  let server;
+  let signedIn;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await db.reset();
+    signedIn = await createSignedInUser({ username: "before" });
+  });
+
+  const update = async (body, { headers } = signedIn) => {
+    const response = await fetch(`${server.url}/api/v1/users/update-account`, {
+      method: "PATCH",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("keeps the username when the email change mail is not sent", async () => {
+    // there is no mail account in the tests, so sending always fails
+    const response = await update({
+      username: "after",
+      email: "new@example.com",
+      password: PASSWORD,
+    });
+
+    assert.equal(response.status, 500);
+    const user = await User.findById(signedIn.user._id);
+    assert.equal(user.username, "before");
+    assert.equal(user.email, signedIn.user.email);
+    assert.equal(
+      await EmailChange.countDocuments({
+        user: signedIn.user._id,
+        status: "pending",
+      }),
+      0
+    );
+  });
+
+  it("changes the username and keeps the old one reserved", async () => {
+    const response = await update({ username: "after" });
+
+    assert.equal(response.status, 200, response.body.message);
+    assert.equal(response.body.data.username, "after");
+
+    const other = await createSignedInUser();
+    const taken = await update({ username: "before" }, other);
+    assert.equal(taken.status, 409);
+  });
+
+  it("refuses a username that is already taken", async () => {
+    const other = await createSignedInUser();
+
+    const response = await update({ username: other.user.username });
+
+    assert.equal(response.status, 409);
+    const user = await User.findById(signedIn.user._id);
+    assert.equal(user.username, "before");
+  });
+
+  it("asks for the password before changing the email", async () => {
+    const response = await update({
+      username: "after",
+      email: "new@example.com",
+      password: "wrong",
+    });
+
+    assert.equal(response.status, 401);
+    const user = await User.findById(signedIn.user._id);
+    assert.equal(user.username, "before");
+  });
+
+  it("refuses an email that is already taken", async () => {
+    const other = await createSignedInUser();
+
+    const response = await update({
+      username: "after",
+      email: other.user.email,
+      password: PASSWORD,
+    });
+
+    assert.equal(response.status, 409);
+    const user = await User.findById(signedIn.user._id);
+    assert.equal(user.username, "before");
+  });
+});
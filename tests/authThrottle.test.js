@@ -0,0 +1,127 @@
+import "./helpers/env.js";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { tokenReset } from "../src/models/resetTokenSchema.model.js";
+import { AUTH_THROTTLE } from "../src/constants.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+const PASSWORD = "correct horse battery staple";
+
+describe("login and password reset throttling", () => {
+  const db = useTestDb();
+  const defaults = structuredClone(AUTH_THROTTLE);
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await db.reset();
+    ({ user } = await createSignedInUser({ password: PASSWORD }));
+  });
+
+  afterEach(() => Object.assign(AUTH_THROTTLE, structuredClone(defaults)));
+
+  const post = async (path, body) => {
+    const response = await fetch(`${server.url}/api/v1/users${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return {
+      status: response.status,
+      retryAfter: response.headers.get("retry-after"),
+      body: await response.json(),
+    };
+  };
+
+  const login = (password, email = user.email) =>
+    post("/login", { email, password });
+
+  it("answers unknown accounts like wrong passwords", async () => {
+    const wrongPassword = await login("wrong");
+    const unknownAccount = await login(PASSWORD, "nobody@example.com");
+
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownAccount.status, 401);
+    assert.equal(unknownAccount.body.message, wrongPassword.body.message);
+  });
+
+  it("backs off after the free attempts", async () => {
+    const { freeAttempts } = AUTH_THROTTLE.account;
+
+    for (let attempt = 0; attempt <= freeAttempts; attempt++) {
+      assert.equal((await login("wrong")).status, 401);
+    }
+
+    // blocked now, even with the right password
+    const blocked = await login(PASSWORD);
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.retryAfter, String(AUTH_THROTTLE.baseDelaySeconds));
+  });
+
+  it("locks the account after the maximum number of failures", async () => {
+    // no backoff on the way, so the attempts can follow each other
+    AUTH_THROTTLE.baseDelaySeconds = 0;
+    const { maxAttempts, lockMinutes } = AUTH_THROTTLE.account;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      assert.equal((await login("wrong")).status, 401);
+    }
+
+    const locked = await login(PASSWORD);
+    assert.equal(locked.status, 429);
+    assert.equal(locked.retryAfter, String(lockMinutes * 60));
+  });
+
+  it("forgets the failures of an account after a successful login", async () => {
+    const { freeAttempts } = AUTH_THROTTLE.account;
+
+    for (let attempt = 0; attempt < freeAttempts; attempt++) {
+      await login("wrong");
+    }
+    assert.equal((await login(PASSWORD)).status, 200);
+
+    // a fresh set of free attempts
+    for (let attempt = 0; attempt < freeAttempts; attempt++) {
+      assert.equal((await login("wrong")).status, 401);
+    }
+  });
+
+  it("sends reset mails the same way whether or not the account exists", async () => {
+    // there is no mail account in the tests, so sending always fails
+    const known = await post("/reset-password", { email: user.email });
+    const unknown = await post("/reset-password", {
+      email: "nobody@example.com",
+    });
+
+    assert.equal(known.status, 200, known.body.message);
+    assert.equal(unknown.status, 200, unknown.body.message);
+    assert.equal(
+      known.body.message.replace(user.email, "<email>"),
+      unknown.body.message.replace("nobody@example.com", "<email>")
+    );
+    // the link that was never sent does not stay valid
+    assert.equal(await tokenReset.countDocuments({ userId: user._id }), 0);
+  });
+
+  it("throttles reset mails per account", async () => {
+    const { freeAttempts } = AUTH_THROTTLE.account;
+
+    for (let attempt = 0; attempt <= freeAttempts; attempt++) {
+      assert.equal(
+        (await post("/reset-password", { email: user.email })).status,
+        200
+      );
+    }
+
+    const blocked = await post("/reset-password", { email: user.email });
+    assert.equal(blocked.status, 429);
+  });
+});
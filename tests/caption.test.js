@@ -0,0 +1,128 @@
+import "./helpers/env.js";
+import fs from "fs";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Video } from "../src/models/video.model.js";
+import { Caption } from "../src/models/caption.model.js";
+import { CAPTION_MAX_BYTES } from "../src/constants.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+const SRT = `1
+00:00:01,000 --> 00:00:02,500
+hello there
+
+2
+00:00:03,000 --> 00:00:04,000
+general kenobi
+`;
+
+describe("captions of a video", () => {
+  const db = useTestDb();
+  let server;
+  let owner;
+  let video;
+
+  before(async () => {
+    // multer saves uploads there and does not create it
+    await fs.promises.mkdir("public/temp", { recursive: true });
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await db.reset();
+    owner = await createSignedInUser();
+    video = await Video.create({
+      title: "a video",
+      description: "a video",
+      videofile: "https://example.com/video.mp4",
+      duration: 60,
+      processingStatus: "ready",
+      owner: owner.user._id,
+    });
+  });
+
+  const captionsUrl = (captionId = "") =>
+    `${server.url}/api/v1/video/${video._id}/captions/${captionId}`;
+
+  const addCaption = async (
+    { headers },
+    content = SRT,
+    fields = { language: "en" }
+  ) => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) {
+      form.append(name, value);
+    }
+    form.append("file", new Blob([content]), "captions.srt");
+
+    const response = await fetch(captionsUrl(), {
+      method: "POST",
+      headers,
+      body: form,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it("stores an srt file as a WebVTT track", async () => {
+    const added = await addCaption(owner);
+    assert.equal(added.status, 201, added.body.message);
+
+    const list = await fetch(captionsUrl(), { headers: owner.headers });
+    const tracks = (await list.json()).data;
+    assert.equal(tracks.length, 1);
+    assert.equal(tracks[0].language, "en");
+    assert.equal(tracks[0].cueCount, 2);
+
+    const file = await fetch(captionsUrl(added.body.data._id), {
+      headers: owner.headers,
+    });
+    assert.equal(file.status, 200);
+    assert.match(file.headers.get("content-type"), /^text\/vtt/);
+    const vtt = await file.text();
+    assert.match(vtt, /^WEBVTT/);
+    assert.match(vtt, /00:00:01\.000 --> 00:00:02\.500\nhello there/);
+
+    // the words go into the search index of the video
+    const indexed = await Video.findById(video._id).select("+captionText");
+    assert.match(indexed.captionText, /general kenobi/);
+  });
+
+  it("refuses a second track of the same language and kind", async () => {
+    assert.equal((await addCaption(owner)).status, 201);
+    assert.equal((await addCaption(owner)).status, 409);
+  });
+
+  it("refuses files over the size limit", async () => {
+    const tooLarge = SRT.padEnd(CAPTION_MAX_BYTES + 1, "\n");
+
+    const response = await addCaption(owner, tooLarge);
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /at most/);
+    assert.equal(await Caption.countDocuments(), 0);
+  });
+
+  it("only lets the owner add tracks", async () => {
+    const stranger = await createSignedInUser();
+
+    assert.equal((await addCaption(stranger)).status, 403);
+    assert.equal(await Caption.countDocuments(), 0);
+  });
+
+  it("lets moderators delete tracks", async () => {
+    const added = await addCaption(owner);
+    const stranger = await createSignedInUser();
+    const moderator = await createSignedInUser({ role: "moderator" });
+
+    const remove = ({ headers }) =>
+      fetch(captionsUrl(added.body.data._id), { method: "DELETE", headers });
+
+    assert.equal((await remove(stranger)).status, 403);
+    assert.equal((await remove(moderator)).status, 200);
+    assert.equal(await Caption.countDocuments(), 0);
+  });
+});
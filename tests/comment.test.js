@@ -0,0 +1,108 @@
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Video } from "../src/models/video.model.js";
+import { Comment } from "../src/models/comment.model.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+describe("comments of a video", () => {
+  const db = useTestDb();
+  let server;
+  let owner;
+  let viewer;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await db.reset();
+    owner = await createSignedInUser();
+    viewer = await createSignedInUser();
+  });
+
+  const createVideo = async (fields) => {
+    const video = await Video.create({
+      title: `video ${Math.random()}`,
+      description: "a video",
+      videofile: "https://example.com/video.mp4",
+      duration: 60,
+      processingStatus: "ready",
+      owner: owner.user._id,
+      ...fields,
+    });
+    await Comment.create({
+      content: "first",
+      video: video._id,
+      owner: owner.user._id,
+    });
+    return video;
+  };
+
+  const getComments = (video, { headers }) =>
+    fetch(`${server.url}/api/v1/comment/${video._id}`, { headers });
+
+  const addComment = (video, { headers }) =>
+    fetch(`${server.url}/api/v1/comment/${video._id}`, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ content: "a comment" }),
+    });
+
+  it("reads and adds comments of a public video", async () => {
+    const video = await createVideo();
+
+    const list = await getComments(video, viewer);
+    const body = await list.json();
+    assert.equal(list.status, 200, body.message);
+    assert.deepEqual(
+      body.data.map((comment) => comment.content),
+      ["first"]
+    );
+
+    const added = await addComment(video, viewer);
+    assert.equal(added.status, 200);
+    assert.equal(await Comment.countDocuments({ video: video._id }), 2);
+  });
+
+  it("treats a video in the trash as missing", async () => {
+    const video = await createVideo({ deletedAt: new Date() });
+
+    for (const user of [viewer, owner]) {
+      assert.equal((await getComments(video, user)).status, 404);
+      assert.equal((await addComment(video, user)).status, 404);
+    }
+    assert.equal(await Comment.countDocuments({ video: video._id }), 1);
+  });
+
+  for (const visibility of ["private", "scheduled"]) {
+    it(`hides the comments of a ${visibility} video from other users`, async () => {
+      const video = await createVideo({
+        visibility,
+        publishAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      assert.equal((await getComments(video, viewer)).status, 404);
+      assert.equal((await addComment(video, viewer)).status, 404);
+      assert.equal(await Comment.countDocuments({ video: video._id }), 1);
+
+      // the owner still sees them
+      assert.equal((await getComments(video, owner)).status, 200);
+      assert.equal((await addComment(video, owner)).status, 200);
+    });
+  }
+
+  it("shows a private video's comments to its allowed viewers", async () => {
+    const video = await createVideo({
+      visibility: "private",
+      allowedViewers: [viewer.user._id],
+    });
+
+    assert.equal((await getComments(video, viewer)).status, 200);
+    assert.equal((await addComment(video, viewer)).status, 200);
+  });
+});
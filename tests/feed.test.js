@@ -0,0 +1,223 @@
+import "./helpers/env.js";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { Video } from "../src/models/video.model.js";
+import { Subscription } from "../src/models/subscription.model.js";
+import { Like } from "../src/models/like.model.js";
+import { WatchEvent } from "../src/models/watchEvent.model.js";
+import { TrendingScore } from "../src/models/trendingScore.model.js";
+import { HOME_FEED } from "../src/constants.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+// ids that sort the way they read, so ties broken by _id are predictable
+const id = (number) =>
+  new mongoose.Types.ObjectId(number.toString(16).padStart(24, "0"));
+
+const USERS = {
+  viewer: id(0x100),
+  channelA: id(0x101),
+  channelB: id(0x102),
+  channelC: id(0x103),
+  other: id(0x104),
+  trendingChannel: id(0x105),
+};
+
+describe("home feed", () => {
+  const db = useTestDb();
+  const defaults = { ...HOME_FEED };
+  let server;
+  let headers;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  afterEach(() => Object.assign(HOME_FEED, defaults));
+
+  // every video is as old and as viewed as the others, only the signals
+  // of the viewer tell them apart
+  const video = (number, fields) => ({
+    _id: id(number),
+    title: `video ${number.toString(16)}`,
+    description: "a video",
+    videofile: "https://example.com/video.mp4",
+    thumbnail: "https://example.com/thumbnail.png",
+    duration: 60,
+    views: 10,
+    visibility: "public",
+    processingStatus: "ready",
+    createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
+    ...fields,
+  });
+
+  const VIDEOS = {
+    // liked by the viewer, from channel B
+    liked: video(0x201, {
+      owner: USERS.channelB,
+      tags: ["rust"],
+      category: "education",
+    }),
+    // channel A, which the viewer subscribed to. a tie broken by _id
+    subscribedOld: video(0x202, { owner: USERS.channelA }),
+    subscribedNew: video(0x203, { owner: USERS.channelA }),
+    // watched to the end by the viewer, from channel C
+    watched: video(0x204, {
+      owner: USERS.channelC,
+      tags: ["rust", "wasm"],
+    }),
+    channelC: video(0x205, { owner: USERS.channelC, tags: ["wasm"] }),
+    rustTag: video(0x206, { owner: USERS.other, tags: ["rust"] }),
+    education: video(0x207, { owner: USERS.other, category: "education" }),
+    // never recommended: no interest matches, the viewer's own upload, not
+    // public, not processed, in the trash
+    unrelated: video(0x208, { owner: USERS.other, tags: ["cooking"] }),
+    own: video(0x209, { owner: USERS.viewer, tags: ["rust"] }),
+    private: video(0x20a, { owner: USERS.channelA, visibility: "private" }),
+    processing: video(0x20b, {
+      owner: USERS.channelA,
+      processingStatus: "processing",
+    }),
+    trashed: video(0x20c, { owner: USERS.channelA, deletedAt: new Date() }),
+    trendingFirst: video(0x20d, { owner: USERS.trendingChannel }),
+    trendingSecond: video(0x20e, { owner: USERS.trendingChannel }),
+  };
+
+  const seedViewer = async () => {
+    ({ headers } = await createSignedInUser({ _id: USERS.viewer }));
+  };
+
+  beforeEach(async () => {
+    await db.reset();
+    await seedViewer();
+
+    await Video.create(Object.values(VIDEOS));
+    await Subscription.create({
+      subscriber: USERS.viewer,
+      channel: USERS.channelA,
+    });
+    await Like.create({ likedBy: USERS.viewer, video: VIDEOS.liked._id });
+    await WatchEvent.create({
+      user: USERS.viewer,
+      video: VIDEOS.watched._id,
+      completed: true,
+      lastWatchedAt: new Date(),
+    });
+
+    const computedAt = new Date();
+    await TrendingScore.create(
+      [
+        VIDEOS.trendingFirst,
+        // already in the ranked part of the feed, it is not shown twice
+        VIDEOS.subscribedNew,
+        VIDEOS.trendingSecond,
+      ].map((entry, index) => ({
+        window: HOME_FEED.trendingWindow,
+        computedAt,
+        video: entry._id,
+        score: 10 - index,
+        rank: index + 1,
+      }))
+    );
+  });
+
+  const getFeed = async (query = "") => {
+    const response = await fetch(`${server.url}/api/v1/feed/home${query}`, {
+      headers,
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200, body.message);
+    return body.data;
+  };
+
+  const namesOf = (feed) =>
+    feed.paginatedResults.map(
+      (entry) =>
+        Object.entries(VIDEOS).find(
+          ([, fixture]) => fixture._id.toString() === entry._id
+        )[0]
+    );
+
+  it("ranks by the viewer's signals with a trending video every fifth place", async () => {
+    const feed = await getFeed();
+
+    assert.deepEqual(namesOf(feed), [
+      // tags (rust), category and channel of the liked video
+      "liked",
+      // subscription, the newer _id first on equal scores
+      "subscribedNew",
+      "subscribedOld",
+      // a liked and watched tag
+      "rustTag",
+      "trendingFirst",
+      // channel and tag of the watched video
+      "channelC",
+      // category of the liked video
+      "education",
+      // the ranked videos ran out, trending fills the rest
+      "trendingSecond",
+    ]);
+    assert.equal(feed.totalCount, 8);
+    assert.deepEqual(
+      feed.paginatedResults.map((entry) => entry.recommendation.reason),
+      [
+        "tags",
+        "subscription",
+        "subscription",
+        "tags",
+        "trending",
+        "channel",
+        "category",
+        "trending",
+      ]
+    );
+  });
+
+  it("gives the same order on every request", async () => {
+    const first = namesOf(await getFeed());
+    const second = namesOf(await getFeed());
+
+    assert.deepEqual(second, first);
+  });
+
+  it("pages through the same ranking", async () => {
+    const feed = await getFeed("?page=2&limit=3");
+
+    assert.deepEqual(namesOf(feed), ["rustTag", "trendingFirst", "channelC"]);
+    assert.equal(feed.totalCount, 8);
+  });
+
+  it("leaves out only the latest watched videos", async () => {
+    HOME_FEED.excludeWatchedLimit = 1;
+    await WatchEvent.create({
+      user: USERS.viewer,
+      video: VIDEOS.rustTag._id,
+      lastWatchedAt: new Date(Date.now() - 60 * 60 * 1000),
+    });
+
+    const names = namesOf(await getFeed());
+
+    // watched before the latest one, so it may come back
+    assert.ok(names.includes("rustTag"));
+    assert.ok(!names.includes("watched"));
+  });
+
+  it("only shows trending videos to a viewer without signals", async () => {
+    await db.reset();
+    await seedViewer();
+    await Video.create([VIDEOS.trendingFirst, VIDEOS.trendingSecond]);
+    await TrendingScore.create({
+      window: HOME_FEED.trendingWindow,
+      computedAt: new Date(),
+      video: VIDEOS.trendingSecond._id,
+      score: 5,
+      rank: 1,
+    });
+
+    assert.deepEqual(namesOf(await getFeed()), ["trendingSecond"]);
+  });
+});
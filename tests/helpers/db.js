@@ -0,0 +1,44 @@
+import { after, before } from "node:test";
+import { randomUUID } from "crypto";
+import mongoose from "mongoose";
+import { MongoMemoryServer } from "mongodb-memory-server";
+
+// a real mongodb for the tests of a file. MONGODB_TEST_URL points them at a
+// running server, otherwise mongodb-memory-server starts one for the file.
+// every file gets a database of its own, so files can run side by side
+const useTestDb = () => {
+  let memoryServer;
+
+  before(async () => {
+    let url = process.env.MONGODB_TEST_URL;
+    if (!url) {
+      memoryServer = await MongoMemoryServer.create();
+      url = memoryServer.getUri();
+    }
+
+    await mongoose.connect(url, { dbName: `test-${randomUUID()}` });
+    // unique indexes are part of what the tests check
+    await Promise.all(
+      Object.values(mongoose.models).map((model) => model.init())
+    );
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    await memoryServer?.stop();
+  });
+
+  return {
+    // empties every collection, trashed documents included. the collection
+    // is used directly, so no soft delete filter applies
+    reset: () =>
+      Promise.all(
+        Object.values(mongoose.models).map((model) =>
+          model.collection.deleteMany({})
+        )
+      ),
+  };
+};
+
+export { useTestDb };
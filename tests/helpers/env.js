@@ -0,0 +1,15 @@
+// the settings the app reads from .env, imported before the app so they are in
+// place when its modules load
+Object.assign(process.env, {
+  ACCESS_TOKEN_SECRET: "test-access-token-secret",
+  ACCESS_TOKEN_EXPIRY: "15m",
+  REFRESH_TOKEN_SECRET: "test-refresh-token-secret",
+  REFRESH_TOKEN_EXPIRY: "10d",
+  EMAIL_VERIFICATION_TOKEN_SECRET: "test-email-verification-secret",
+  EMAIL_VERIFICATION_TOKEN_EXPIRY: "1d",
+  TWO_FACTOR_CHALLENGE_SECRET: "test-two-factor-secret",
+  TWO_FACTOR_CHALLENGE_EXPIRY: "5m",
+  OIDC_STATE_SECRET: "test-oidc-state-secret",
+  STORAGE_DRIVER: "local",
+  STORAGE_SIGNING_SECRET: "test-storage-signing-secret",
+});
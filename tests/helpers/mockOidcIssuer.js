@@ -0,0 +1,151 @@
+import http from "http";
+import { createHash, generateKeyPairSync, randomBytes } from "crypto";
+import jwt from "jsonwebtoken";
+
+// a local OpenID Connect provider for the login tests. it serves discovery,
+// the JWKS and a token endpoint that checks the code, redirect uri and PKCE
+// verifier like a real provider would. there is no login page: a test calls
+// authorize() with the url the app redirected to and the claims of the
+// account that "signed in", and gets the code the browser would bring back
+
+const KEY_ID = "test-key";
+
+const readForm = async (req) => {
+  let body = "";
+  for await (const chunk of req) body += chunk;
+  return new URLSearchParams(body);
+};
+
+const startMockIssuer = async ({ clientId, clientSecret }) => {
+  const { publicKey, privateKey } = generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const codes = new Map();
+  const tokenRequests = [];
+  let url;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const exchangeCode = (form) => {
+    const grant = codes.get(form.get("code"));
+    // codes can be used once
+    codes.delete(form.get("code"));
+
+    if (form.get("grant_type") !== "authorization_code" || !grant) {
+      return [400, { error: "invalid_grant" }];
+    }
+    if (
+      form.get("client_id") !== clientId ||
+      (clientSecret && form.get("client_secret") !== clientSecret)
+    ) {
+      return [401, { error: "invalid_client" }];
+    }
+    const challenge = createHash("sha256")
+      .update(form.get("code_verifier") || "")
+      .digest("base64url");
+    if (
+      form.get("redirect_uri") !== grant.redirectUri ||
+      challenge !== grant.codeChallenge
+    ) {
+      return [400, { error: "invalid_grant" }];
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: KEY_ID,
+        issuer: url,
+        audience: clientId,
+        expiresIn: "5m",
+      }
+    );
+    return [
+      200,
+      {
+        access_token: randomBytes(16).toString("hex"),
+        token_type: "Bearer",
+        expires_in: 300,
+        id_token: idToken,
+      },
+    ];
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, url);
+
+    if (
+      req.method === "GET" &&
+      pathname === "/.well-known/openid-configuration"
+    ) {
+      return send(res, 200, {
+        issuer: url,
+        authorization_endpoint: `${url}/authorize`,
+        token_endpoint: `${url}/token`,
+        jwks_uri: `${url}/jwks`,
+        response_types_supported: ["code"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+      });
+    }
+    if (req.method === "GET" && pathname === "/jwks") {
+      return send(res, 200, {
+        keys: [
+          {
+            ...publicKey.export({ format: "jwk" }),
+            kid: KEY_ID,
+            use: "sig",
+            alg: "RS256",
+          },
+        ],
+      });
+    }
+    if (req.method === "POST" && pathname === "/token") {
+      const form = await readForm(req);
+      tokenRequests.push(form);
+      return send(res, ...exchangeCode(form));
+    }
+    return send(res, 404, { error: "not_found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    tokenRequests,
+    // signs the account in for the authorization request the app redirected
+    // to. nonce replaces the one of the request, to test a replayed token
+    authorize: (authorizationUrl, claims, { nonce } = {}) => {
+      const params = new URL(authorizationUrl).searchParams;
+      if (
+        params.get("response_type") !== "code" ||
+        params.get("client_id") !== clientId ||
+        params.get("code_challenge_method") !== "S256"
+      ) {
+        throw new Error("invalid authorization request");
+      }
+
+      const code = randomBytes(16).toString("hex");
+      codes.set(code, {
+        claims,
+        nonce: nonce ?? params.get("nonce"),
+        codeChallenge: params.get("code_challenge"),
+        redirectUri: params.get("redirect_uri"),
+      });
+      return { code, state: params.get("state") };
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        // fetch keeps connections open, they would hold the server up
+        server.closeAllConnections();
+      }),
+  };
+};
+
+export { startMockIssuer };
@@ -0,0 +1,19 @@
+import { app } from "../../src/app.js";
+
+// the app on a free port, for requests with fetch
+const startApp = async () => {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+};
+
+export { startApp };
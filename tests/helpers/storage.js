@@ -0,0 +1,21 @@
+import fs from "fs";
+import path from "path";
+import { localProvider } from "../../src/utils/storage/local.provider.js";
+
+// deletes a file of the local storage driver and the folders that are left
+// empty, up to the project root
+const removeLocalFile = async (key) => {
+  await localProvider.delete(key);
+
+  let dir = path.dirname(localProvider.path(key));
+  while (dir !== process.cwd()) {
+    const removed = await fs.promises.rmdir(dir).then(
+      () => true,
+      () => false
+    );
+    if (!removed) break;
+    dir = path.dirname(dir);
+  }
+};
+
+export { removeLocalFile };
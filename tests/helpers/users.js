@@ -0,0 +1,33 @@
+import { randomUUID } from "crypto";
+import { User } from "../../src/models/user.model.js";
+import { Session } from "../../src/models/session.model.js";
+
+// a verified user with a session, as after a login. fields override the
+// defaults, the returned headers sign requests in as the user
+const createSignedInUser = async (fields = {}) => {
+  const name = fields.username ?? `user-${randomUUID().slice(0, 8)}`;
+  const user = await User.create({
+    username: name,
+    email: `${name}@example.com`,
+    fullname: name,
+    avatar: "https://example.com/avatar.png",
+    password: "correct horse battery staple",
+    emailVerified: true,
+    ...fields,
+  });
+  const session = await Session.create({
+    user: user._id,
+    tokenId: randomUUID(),
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    user,
+    session,
+    headers: {
+      Authorization: `Bearer ${user.generateAccessToken(session._id)}`,
+    },
+  };
+};
+
+export { createSignedInUser };
@@ -0,0 +1,90 @@
+import "./helpers/env.js";
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { localProvider } from "../src/utils/storage/local.provider.js";
+import { startApp } from "./helpers/server.js";
+import { removeLocalFile } from "./helpers/storage.js";
+
+describe("media served by the local storage driver", () => {
+  const id = randomUUID();
+  const keys = {
+    avatar: `avatars/${id}.png`,
+    video: `videos/${id}.mp4`,
+    segment: `hls/${id}/720p/segment-00000.ts`,
+  };
+  let server;
+
+  before(async () => {
+    for (const key of Object.values(keys)) {
+      await fs.promises.mkdir(path.dirname(localProvider.path(key)), {
+        recursive: true,
+      });
+      await fs.promises.writeFile(localProvider.path(key), key);
+    }
+    server = await startApp();
+    process.env.BASE_URL = server.url;
+  });
+
+  after(async () => {
+    await server.close();
+    for (const key of Object.values(keys)) {
+      await removeLocalFile(key);
+    }
+  });
+
+  const get = (urlPath) => fetch(`${server.url}${urlPath}`);
+
+  it("serves images without a signature", async () => {
+    const response = await get(`/media/${keys.avatar}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), keys.avatar);
+  });
+
+  for (const name of ["video", "segment"]) {
+    it(`refuses an unsigned ${name} url`, async () => {
+      const response = await get(`/media/${keys[name]}`);
+
+      assert.equal(response.status, 403);
+    });
+
+    it(`serves a signed ${name} url`, async () => {
+      const url = await localProvider.signedUrl(keys[name], { expiresIn: 60 });
+      const response = await fetch(url);
+
+      assert.equal(response.status, 200);
+      assert.equal(await response.text(), keys[name]);
+    });
+  }
+
+  it("refuses a video reached through another folder", async () => {
+    for (const urlPath of [
+      `/media/avatars/..%2F${keys.video}`,
+      `/media/avatars/%2e%2e/${keys.video}`,
+      `/media//${keys.video}`,
+    ]) {
+      const response = await get(urlPath);
+
+      assert.equal(response.status, 403, urlPath);
+    }
+  });
+
+  it("refuses a signature made for another file", async () => {
+    const url = new URL(
+      await localProvider.signedUrl(keys.avatar, { expiresIn: 60 })
+    );
+    const response = await get(`/media/${keys.video}${url.search}`);
+
+    assert.equal(response.status, 403);
+  });
+
+  it("refuses an expired signed url", async () => {
+    const url = await localProvider.signedUrl(keys.video, { expiresIn: -1 });
+    const response = await fetch(url);
+
+    assert.equal(response.status, 403);
+  });
+});
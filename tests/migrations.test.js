@@ -0,0 +1,132 @@
+import "./helpers/env.js";
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { User } from "../src/models/user.model.js";
+import { Video } from "../src/models/video.model.js";
+import { WatchEvent } from "../src/models/watchEvent.model.js";
+import { Migration } from "../src/models/migration.model.js";
+import { runMigrations } from "../src/migrations/index.js";
+import { useTestDb } from "./helpers/db.js";
+
+describe("startup migrations", () => {
+  const db = useTestDb();
+
+  beforeEach(() => db.reset());
+
+  // a user as written before the field existed, so without its default
+  const insertLegacyUser = async (username, fields) => {
+    const { insertedId } = await User.collection.insertOne({
+      username,
+      email: `${username}@example.com`,
+      fullname: username,
+      avatar: "https://example.com/avatar.png",
+      password: "hash",
+      ...fields,
+    });
+    return insertedId;
+  };
+
+  it("marks accounts from before email verification as verified", async () => {
+    const legacyId = await insertLegacyUser("legacy");
+    const unverified = await User.create({
+      username: "unverified",
+      email: "unverified@example.com",
+      fullname: "Unverified",
+      avatar: "https://example.com/avatar.png",
+      password: "a password",
+    });
+
+    await runMigrations();
+
+    assert.equal((await User.findById(legacyId)).emailVerified, true);
+    assert.equal((await User.findById(unverified._id)).emailVerified, false);
+  });
+
+  it("turns ispublished into a visibility", async () => {
+    const legacyVideo = (title, ispublished) => ({
+      title,
+      description: "a video",
+      videofile: "https://example.com/video.mp4",
+      duration: 60,
+      ispublished,
+    });
+    const { insertedIds } = await Video.collection.insertMany([
+      legacyVideo("published", true),
+      legacyVideo("unpublished", false),
+    ]);
+
+    await runMigrations();
+
+    const published = await Video.collection.findOne({ _id: insertedIds[0] });
+    const unpublished = await Video.collection.findOne({
+      _id: insertedIds[1],
+    });
+    assert.equal(published.visibility, "public");
+    assert.equal(unpublished.visibility, "private");
+    assert.equal(published.ispublished, undefined);
+    assert.equal(unpublished.ispublished, undefined);
+  });
+
+  it("moves the watch history array into watch events", async () => {
+    const [first, second] = [
+      new mongoose.Types.ObjectId(),
+      new mongoose.Types.ObjectId(),
+    ];
+    const updatedAt = new Date("2024-01-02T03:04:05Z");
+    const userId = await insertLegacyUser("watcher", {
+      updatedAt,
+      // the old getVideoById could store several ids joined by commas
+      watchhistory: [first, `${second},${first}`, "not-an-id"],
+    });
+
+    await runMigrations();
+
+    const events = await WatchEvent.find({ user: userId }).sort({ video: 1 });
+    assert.deepEqual(
+      events.map((event) => event.video.toString()),
+      [first.toString(), second.toString()]
+    );
+    for (const event of events) {
+      assert.deepEqual(event.lastWatchedAt, updatedAt);
+    }
+    const user = await User.collection.findOne({ _id: userId });
+    assert.equal(user.watchhistory, undefined);
+  });
+
+  it("rebuilds the video search index with the caption text", async () => {
+    // the index as it was before captions were searchable
+    await Video.collection.dropIndex("video_text_search");
+    await Video.collection.createIndex(
+      { title: "text", tags: "text", description: "text" },
+      {
+        name: "video_text_search",
+        weights: { title: 10, tags: 5, description: 1 },
+      }
+    );
+
+    await runMigrations();
+
+    const indexes = await Video.collection.indexes();
+    const textIndex = indexes.find(
+      (index) => index.name === "video_text_search"
+    );
+    assert.equal(textIndex.weights.captionText, 1);
+  });
+
+  it("applies every migration once", async () => {
+    await runMigrations();
+    const applied = await Migration.find();
+    assert.ok(applied.length > 0);
+
+    // an account written afterwards is left as it is
+    const legacyId = await insertLegacyUser("late");
+    await runMigrations();
+
+    assert.equal(await Migration.countDocuments(), applied.length);
+    assert.equal(
+      (await User.collection.findOne({ _id: legacyId })).emailVerified,
+      undefined
+    );
+  });
+});
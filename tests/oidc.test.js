@@ -0,0 +1,241 @@
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { User } from "../src/models/user.model.js";
+import { useTestDb } from "./helpers/db.js";
+import { startMockIssuer } from "./helpers/mockOidcIssuer.js";
+import { startApp } from "./helpers/server.js";
+
+const CLIENT_ID = "videotube-test";
+const CLIENT_SECRET = "test-client-secret";
+
+describe("login with an OpenID Connect provider", () => {
+  const db = useTestDb();
+  let issuer;
+  let server;
+
+  before(async () => {
+    issuer = await startMockIssuer({
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+    });
+    server = await startApp();
+
+    Object.assign(process.env, {
+      BASE_URL: server.url,
+      OIDC_PROVIDERS: "mock",
+      OIDC_MOCK_ISSUER: issuer.url,
+      OIDC_MOCK_CLIENT_ID: CLIENT_ID,
+      OIDC_MOCK_CLIENT_SECRET: CLIENT_SECRET,
+    });
+  });
+
+  after(async () => {
+    await server.close();
+    await issuer.close();
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+    issuer.tokenRequests.length = 0;
+  });
+
+  // what the browser does until it is sent to the provider: the url it is
+  // redirected to and the cookie holding the flow state
+  const startLogin = async () => {
+    const response = await fetch(`${server.url}/api/v1/users/oauth/mock`, {
+      redirect: "manual",
+    });
+    assert.equal(response.status, 302);
+
+    const stateCookie = response.headers
+      .getSetCookie()
+      .find((cookie) => cookie.startsWith("oidcState="));
+    assert.ok(stateCookie, "oidcState cookie is set");
+
+    return {
+      authorizationUrl: response.headers.get("location"),
+      cookie: stateCookie.split(";")[0],
+    };
+  };
+
+  const finishLogin = async ({ cookie, code, state }) => {
+    const response = await fetch(
+      `${server.url}/api/v1/users/oauth/mock/callback?${new URLSearchParams({ code, state })}`,
+      { headers: { cookie } }
+    );
+    return { status: response.status, body: await response.json() };
+  };
+
+  const login = async (claims, options) => {
+    const { authorizationUrl, cookie } = await startLogin();
+    const { code, state } = issuer.authorize(authorizationUrl, claims, options);
+    return finishLogin({ cookie, code, state });
+  };
+
+  it("redirects to the provider with state, nonce and a PKCE challenge", async () => {
+    const { authorizationUrl } = await startLogin();
+    const url = new URL(authorizationUrl);
+
+    assert.equal(url.origin + url.pathname, `${issuer.url}/authorize`);
+    assert.equal(url.searchParams.get("client_id"), CLIENT_ID);
+    assert.equal(
+      url.searchParams.get("redirect_uri"),
+      `${server.url}/api/v1/users/oauth/mock/callback`
+    );
+    assert.equal(url.searchParams.get("code_challenge_method"), "S256");
+    for (const param of ["state", "nonce", "code_challenge"]) {
+      assert.ok(url.searchParams.get(param), `${param} is set`);
+    }
+  });
+
+  it("creates a new user for an unknown provider account", async () => {
+    const { status, body } = await login({
+      sub: "provider-user-1",
+      email: "New.User@Example.com",
+      email_verified: true,
+      name: "New User",
+      preferred_username: "new.user",
+    });
+
+    assert.equal(status, 200, body.message);
+    assert.ok(body.data.accessToken);
+    assert.equal(body.data.user.email, "new.user@example.com");
+    assert.equal(body.data.user.password, undefined);
+
+    const users = await User.find();
+    assert.equal(users.length, 1);
+    const [user] = users;
+    assert.equal(user._id.toString(), body.data.user._id);
+    assert.equal(user.username, "new.user");
+    assert.equal(user.fullname, "New User");
+    assert.equal(user.emailVerified, true);
+    assert.deepEqual(user.toObject().identities, [
+      { provider: "mock", subject: "provider-user-1" },
+    ]);
+  });
+
+  it("logs a linked account in by its subject, whatever its email", async () => {
+    const claims = {
+      sub: "provider-user-2",
+      email: "linked@example.com",
+      email_verified: true,
+    };
+    const first = await login(claims);
+    const second = await login({
+      ...claims,
+      email: "changed@example.com",
+      email_verified: false,
+    });
+
+    assert.equal(second.status, 200, second.body.message);
+    assert.equal(second.body.data.user._id, first.body.data.user._id);
+    assert.equal(await User.countDocuments(), 1);
+  });
+
+  it("links an existing user with the same verified email", async () => {
+    const existing = await User.create({
+      username: "existing",
+      email: "existing@example.com",
+      fullname: "Existing User",
+      avatar: "https://example.com/avatar.png",
+      password: "not-used-here",
+      emailVerified: false,
+    });
+
+    const { status, body } = await login({
+      sub: "provider-user-3",
+      email: "Existing@Example.com",
+      email_verified: true,
+    });
+
+    assert.equal(status, 200, body.message);
+    assert.equal(body.data.user._id, existing._id.toString());
+
+    const users = await User.find();
+    assert.equal(users.length, 1);
+    assert.equal(users[0].emailVerified, true);
+    assert.deepEqual(users[0].toObject().identities, [
+      { provider: "mock", subject: "provider-user-3" },
+    ]);
+  });
+
+  it("rejects an account whose email the provider did not verify", async () => {
+    await User.create({
+      username: "victim",
+      email: "victim@example.com",
+      fullname: "Victim",
+      avatar: "https://example.com/avatar.png",
+      password: "not-used-here",
+    });
+
+    for (const emailVerified of [false, "false", undefined]) {
+      const { status, body } = await login({
+        sub: "provider-user-4",
+        email: "victim@example.com",
+        email_verified: emailVerified,
+      });
+
+      assert.equal(status, 403);
+      assert.equal(
+        body.message,
+        "identity provider did not return a verified email"
+      );
+    }
+
+    const users = await User.find();
+    assert.equal(users.length, 1);
+    assert.deepEqual(users[0].toObject().identities, []);
+  });
+
+  it("rejects a callback whose state does not match the cookie", async () => {
+    const { authorizationUrl, cookie } = await startLogin();
+    const { code } = issuer.authorize(authorizationUrl, {
+      sub: "provider-user-5",
+      email: "state@example.com",
+      email_verified: true,
+    });
+
+    const { status, body } = await finishLogin({
+      cookie,
+      code,
+      state: "forged-state",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.message, "login state is invalid");
+    // the code is never redeemed
+    assert.equal(issuer.tokenRequests.length, 0);
+    assert.equal(await User.countDocuments(), 0);
+  });
+
+  it("rejects a callback without the state cookie", async () => {
+    const { authorizationUrl } = await startLogin();
+    const { code, state } = issuer.authorize(authorizationUrl, {
+      sub: "provider-user-6",
+      email: "cookie@example.com",
+      email_verified: true,
+    });
+
+    const { status } = await finishLogin({ cookie: "", code, state });
+
+    assert.equal(status, 400);
+    assert.equal(issuer.tokenRequests.length, 0);
+  });
+
+  it("rejects an id token issued for another nonce", async () => {
+    const { status, body } = await login(
+      {
+        sub: "provider-user-7",
+        email: "nonce@example.com",
+        email_verified: true,
+      },
+      { nonce: "nonce-of-another-login" }
+    );
+
+    assert.equal(status, 401);
+    assert.equal(body.message, "id token nonce mismatch");
+    assert.equal(issuer.tokenRequests.length, 1);
+    assert.equal(await User.countDocuments(), 0);
+  });
+});
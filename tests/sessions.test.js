@@ -0,0 +1,137 @@
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+const PASSWORD = "correct horse battery staple";
+
+describe("sessions and refresh token rotation", () => {
+  const db = useTestDb();
+  let server;
+  let user;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await db.reset();
+    ({ user } = await createSignedInUser({ password: PASSWORD }));
+  });
+
+  const request = async (method, path, { accessToken, body } = {}) => {
+    const headers = { "Content-Type": "application/json" };
+    if (accessToken) headers.Authorization = `Bearer ${accessToken}`;
+
+    const response = await fetch(`${server.url}/api/v1/users${path}`, {
+      method,
+      headers,
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // a device that logs in, the tokens are what it keeps
+  const login = async () => {
+    const response = await request("POST", "/login", {
+      body: { email: user.email, password: PASSWORD },
+    });
+    assert.equal(response.status, 200, response.body.message);
+    return response.body.data;
+  };
+
+  const refresh = (refreshToken) =>
+    request("POST", "/refresh-token", { body: { refreshToken } });
+
+  const current = ({ accessToken }) =>
+    request("GET", "/current", { accessToken });
+
+  it("keeps one session per device", async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    // the second login does not sign the first device out
+    assert.equal((await current(laptop)).status, 200);
+    assert.equal((await current(phone)).status, 200);
+
+    const sessions = await request("GET", "/sessions", laptop);
+    assert.equal(sessions.status, 200);
+    // the two logins and the session the user was created with
+    assert.equal(sessions.body.data.length, 3);
+    assert.equal(
+      sessions.body.data.filter((session) => session.current).length,
+      1
+    );
+  });
+
+  it("hands out a new refresh token on every refresh", async () => {
+    const device = await login();
+
+    const first = await refresh(device.refreshToken);
+    assert.equal(first.status, 200, first.body.message);
+    assert.notEqual(first.body.data.refreshToken, device.refreshToken);
+
+    const second = await refresh(first.body.data.refreshToken);
+    assert.equal(second.status, 200, second.body.message);
+    assert.equal((await current(second.body.data)).status, 200);
+  });
+
+  it("revokes the token family when a rotated refresh token comes back", async () => {
+    const device = await login();
+    const rotated = (await refresh(device.refreshToken)).body.data;
+
+    const reused = await refresh(device.refreshToken);
+    assert.equal(reused.status, 401);
+
+    // the holder of the current tokens is signed out as well
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    assert.equal((await current(rotated)).status, 401);
+  });
+
+  it("lets a device sign out another one", async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    const sessions = (await request("GET", "/sessions", laptop)).body.data;
+    const phoneSession = sessions.find(
+      (session) => session._id === jwt.decode(phone.accessToken).sid
+    );
+    const revoked = await request(
+      "DELETE",
+      `/sessions/${phoneSession._id}`,
+      laptop
+    );
+    assert.equal(revoked.status, 200);
+
+    assert.equal((await current(phone)).status, 401);
+    assert.equal((await refresh(phone.refreshToken)).status, 401);
+    assert.equal((await current(laptop)).status, 200);
+  });
+
+  it("only revokes sessions of the signed in user", async () => {
+    const device = await login();
+    const stranger = await createSignedInUser();
+
+    const response = await request(
+      "DELETE",
+      `/sessions/${stranger.session._id}`,
+      device
+    );
+
+    assert.equal(response.status, 404);
+  });
+
+  it("ends the session on logout", async () => {
+    const device = await login();
+
+    assert.equal((await request("POST", "/logout", device)).status, 200);
+
+    assert.equal((await current(device)).status, 401);
+    assert.equal((await refresh(device.refreshToken)).status, 401);
+  });
+});
@@ -0,0 +1,95 @@
+import "./helpers/env.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Video } from "../src/models/video.model.js";
+import { publishVideoFile } from "../src/utils/videoPublishing.js";
+import { migrateLocalVideoUrls } from "../src/migrations/localVideoUrl.migration.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+import { removeLocalFile } from "./helpers/storage.js";
+
+describe("video files of the local storage driver", () => {
+  const db = useTestDb();
+  const published = [];
+  let server;
+  let owner;
+
+  before(async () => {
+    server = await startApp();
+    process.env.BASE_URL = server.url;
+  });
+
+  after(async () => {
+    await server.close();
+    for (const video of published) {
+      await removeLocalFile(video.videofileAsset.key);
+    }
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+    owner = await createSignedInUser();
+  });
+
+  const publish = async (fields) => {
+    const videoLocalPath = path.join(os.tmpdir(), `${randomUUID()}.mp4`);
+    await fs.promises.writeFile(videoLocalPath, "not really a video");
+
+    const video = await publishVideoFile({
+      owner: owner.user._id,
+      videoLocalPath,
+      title: `video ${randomUUID()}`,
+      description: "a video",
+      ...fields,
+    });
+    published.push(video);
+    return video;
+  };
+
+  it("hands out the stream url instead of the unsigned /media url", async () => {
+    const video = await publish();
+
+    const response = await fetch(`${server.url}/api/v1/video/${video._id}`, {
+      headers: owner.headers,
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200, body.message);
+    assert.equal(
+      body.data.videofile,
+      `${server.url}/api/v1/video/${video._id}/stream`
+    );
+
+    const file = await fetch(body.data.videofile, { headers: owner.headers });
+    assert.equal(file.status, 200);
+    assert.equal(await file.text(), "not really a video");
+  });
+
+  it("only streams a private video to the users who may see it", async () => {
+    const video = await publish({ visibility: { visibility: "private" } });
+    const stranger = await createSignedInUser();
+
+    const response = await fetch(video.videofile, {
+      headers: stranger.headers,
+    });
+
+    assert.equal(response.status, 404);
+  });
+
+  it("moves local videos published before to their stream url", async () => {
+    const video = await publish();
+    await Video.collection.updateOne(
+      { _id: video._id },
+      { $set: { videofile: `${server.url}/media/${video.videofileAsset.key}` } }
+    );
+
+    await migrateLocalVideoUrls();
+
+    const migrated = await Video.findById(video._id);
+    assert.equal(migrated.videofile, Video.streamUrl(video._id));
+  });
+});
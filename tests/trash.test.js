@@ -0,0 +1,152 @@
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Video } from "../src/models/video.model.js";
+import { Tweet } from "../src/models/tweet.model.js";
+import { Playlist } from "../src/models/playlist.model.js";
+import { Comment } from "../src/models/comment.model.js";
+import { purgeExpiredTrash } from "../src/jobs/trashPurge.job.js";
+import { TRASH_RETENTION_DAYS } from "../src/constants.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("trash", () => {
+  const db = useTestDb();
+  let server;
+  let owner;
+  let video;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await db.reset();
+    owner = await createSignedInUser();
+    video = await createVideo();
+  });
+
+  const createVideo = (fields) =>
+    Video.create({
+      title: `video ${Math.random()}`,
+      description: "a video",
+      videofile: "https://example.com/video.mp4",
+      duration: 60,
+      processingStatus: "ready",
+      owner: owner.user._id,
+      ...fields,
+    });
+
+  const request = async (method, path, { headers }) => {
+    const response = await fetch(`${server.url}/api/v1${path}`, {
+      method,
+      headers,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const restore = (type, item, user) =>
+    request("POST", `/trash/${type}/${item._id}/restore`, user);
+
+  it("moves a deleted video to the trash until it is restored", async () => {
+    assert.equal(
+      (await request("DELETE", `/video/${video._id}`, owner)).status,
+      200
+    );
+
+    assert.equal(
+      (await request("GET", `/video/${video._id}`, owner)).status,
+      404
+    );
+    const listed = await request("GET", "/video", owner);
+    assert.equal(listed.body.data.totalCount, 0);
+
+    const trash = await request("GET", "/trash", owner);
+    assert.equal(trash.status, 200);
+    assert.deepEqual(
+      trash.body.data.items.map((item) => [item.type, item._id]),
+      [["video", video._id.toString()]]
+    );
+    const { deletedAt, purgeAt } = trash.body.data.items[0];
+    assert.equal(
+      new Date(purgeAt) - new Date(deletedAt),
+      TRASH_RETENTION_DAYS * DAY
+    );
+
+    assert.equal((await restore("video", video, owner)).status, 200);
+    assert.equal(
+      (await request("GET", `/video/${video._id}`, owner)).status,
+      200
+    );
+    assert.equal(
+      (await request("GET", "/trash", owner)).body.data.totalCount,
+      0
+    );
+  });
+
+  it("keeps deleted tweets and playlists as well", async () => {
+    const tweet = await Tweet.create({
+      content: "a tweet",
+      owner: owner.user._id,
+    });
+    const playlist = await Playlist.create({
+      name: "a playlist",
+      description: "a playlist",
+      owner: owner.user._id,
+    });
+
+    await request("DELETE", `/tweet/${tweet._id}`, owner);
+    await request("DELETE", `/playlist/${playlist._id}`, owner);
+
+    assert.equal(await Tweet.countDocuments(), 0);
+    assert.equal(await Playlist.countDocuments(), 0);
+    const trash = await request("GET", "/trash?type=tweet", owner);
+    assert.deepEqual(
+      trash.body.data.items.map((item) => item._id),
+      [tweet._id.toString()]
+    );
+
+    assert.equal((await restore("tweet", tweet, owner)).status, 200);
+    assert.equal((await restore("playlist", playlist, owner)).status, 200);
+    assert.equal(await Tweet.countDocuments(), 1);
+    assert.equal(await Playlist.countDocuments(), 1);
+  });
+
+  it("only lets staff undo a moderator's removal", async () => {
+    const moderator = await createSignedInUser({ role: "moderator" });
+    const stranger = await createSignedInUser();
+    await request("DELETE", `/video/${video._id}`, moderator);
+
+    assert.equal((await restore("video", video, stranger)).status, 404);
+    assert.equal((await restore("video", video, owner)).status, 403);
+    assert.equal((await restore("video", video, moderator)).status, 200);
+  });
+
+  it("purges items that were in the trash for the whole retention period", async () => {
+    const expired = await createVideo({
+      deletedAt: new Date(Date.now() - (TRASH_RETENTION_DAYS + 1) * DAY),
+    });
+    await Comment.create({
+      content: "a comment",
+      video: expired._id,
+      owner: owner.user._id,
+    });
+    const recent = await createVideo({
+      deletedAt: new Date(Date.now() - DAY),
+    });
+
+    await purgeExpiredTrash();
+
+    const left = await Video.find().setOptions({ withDeleted: true });
+    assert.deepEqual(
+      left.map((item) => item._id.toString()).sort(),
+      [video._id, recent._id].map((id) => id.toString()).sort()
+    );
+    assert.equal(await Comment.countDocuments({ video: expired._id }), 0);
+  });
+});
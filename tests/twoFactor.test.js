@@ -0,0 +1,185 @@
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { generateTotp } from "../src/utils/totp.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+const PASSWORD = "correct horse battery staple";
+
+describe("two factor authentication", () => {
+  const db = useTestDb();
+  let server;
+  let signedIn;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await db.reset();
+    signedIn = await createSignedInUser({ password: PASSWORD });
+  });
+
+  const post = async (path, body, headers = {}) => {
+    const response = await fetch(`${server.url}/api/v1/users${path}`, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const login = () =>
+    post("/login", { email: signedIn.user.email, password: PASSWORD });
+
+  // the code the app shows in the next time step. the one of the current
+  // step is used up by the confirmation
+  const nextCode = (secret) => generateTotp(secret, Date.now() + 30 * 1000);
+
+  const enableTwoFactor = async () => {
+    const setup = await post("/2fa/setup", {}, signedIn.headers);
+    assert.equal(setup.status, 200, setup.body.message);
+    const { secret } = setup.body.data;
+
+    const confirmed = await post(
+      "/2fa/confirm",
+      { code: generateTotp(secret) },
+      signedIn.headers
+    );
+    assert.equal(confirmed.status, 200, confirmed.body.message);
+
+    return { secret, recoveryCodes: confirmed.body.data.recoveryCodes };
+  };
+
+  it("enrolls with a provisioning uri and a confirmation code", async () => {
+    const setup = await post("/2fa/setup", {}, signedIn.headers);
+    const { secret, otpauthUri } = setup.body.data;
+    assert.match(otpauthUri, /^otpauth:\/\/totp\//);
+    assert.equal(new URL(otpauthUri).searchParams.get("secret"), secret);
+
+    const wrong = await post(
+      "/2fa/confirm",
+      { code: "000000" },
+      signedIn.headers
+    );
+    assert.equal(wrong.status, 400);
+
+    const confirmed = await post(
+      "/2fa/confirm",
+      { code: generateTotp(secret) },
+      signedIn.headers
+    );
+    assert.equal(confirmed.status, 200, confirmed.body.message);
+    assert.equal(confirmed.body.data.recoveryCodes.length, 10);
+  });
+
+  it("asks for a code after the password once enabled", async () => {
+    const { secret } = await enableTwoFactor();
+
+    const challenge = await login();
+    assert.equal(challenge.status, 200);
+    assert.equal(challenge.body.data.twoFactorRequired, true);
+    assert.equal(challenge.body.data.accessToken, undefined);
+
+    const { challengeToken } = challenge.body.data;
+    const wrong = await post("/login/2fa", { challengeToken, code: "000000" });
+    assert.equal(wrong.status, 401);
+
+    const loggedIn = await post("/login/2fa", {
+      challengeToken,
+      code: nextCode(secret),
+    });
+    assert.equal(loggedIn.status, 200, loggedIn.body.message);
+    assert.ok(loggedIn.body.data.accessToken);
+    assert.ok(loggedIn.body.data.refreshToken);
+  });
+
+  it("refuses a code that was already used", async () => {
+    const { secret } = await enableTwoFactor();
+    const code = nextCode(secret);
+
+    const first = await login();
+    assert.equal(
+      (
+        await post("/login/2fa", {
+          challengeToken: first.body.data.challengeToken,
+          code,
+        })
+      ).status,
+      200
+    );
+
+    const second = await login();
+    const replayed = await post("/login/2fa", {
+      challengeToken: second.body.data.challengeToken,
+      code,
+    });
+    assert.equal(replayed.status, 401);
+  });
+
+  it("accepts every recovery code once", async () => {
+    const { recoveryCodes } = await enableTwoFactor();
+
+    const useRecoveryCode = async () => {
+      const challenge = await login();
+      return post("/login/2fa", {
+        challengeToken: challenge.body.data.challengeToken,
+        recoveryCode: recoveryCodes[0],
+      });
+    };
+
+    assert.equal((await useRecoveryCode()).status, 200);
+    assert.equal((await useRecoveryCode()).status, 401);
+  });
+
+  it("needs the password and a second factor to disable it", async () => {
+    const { recoveryCodes } = await enableTwoFactor();
+
+    const withoutPassword = await post(
+      "/2fa/disable",
+      { password: "wrong", recoveryCode: recoveryCodes[0] },
+      signedIn.headers
+    );
+    assert.equal(withoutPassword.status, 401);
+
+    const withoutCode = await post(
+      "/2fa/disable",
+      { password: PASSWORD, code: "000000" },
+      signedIn.headers
+    );
+    assert.equal(withoutCode.status, 401);
+
+    const disabled = await post(
+      "/2fa/disable",
+      { password: PASSWORD, recoveryCode: recoveryCodes[0] },
+      signedIn.headers
+    );
+    assert.equal(disabled.status, 200, disabled.body.message);
+
+    const loggedIn = await login();
+    assert.ok(loggedIn.body.data.accessToken);
+  });
+
+  it("replaces the recovery codes after reauthentication", async () => {
+    const { recoveryCodes } = await enableTwoFactor();
+
+    const regenerated = await post(
+      "/2fa/recovery-codes",
+      { password: PASSWORD, recoveryCode: recoveryCodes[0] },
+      signedIn.headers
+    );
+    assert.equal(regenerated.status, 200, regenerated.body.message);
+
+    // the old codes stop working
+    const challenge = await login();
+    const old = await post("/login/2fa", {
+      challengeToken: challenge.body.data.challengeToken,
+      recoveryCode: recoveryCodes[1],
+    });
+    assert.equal(old.status, 401);
+  });
+});
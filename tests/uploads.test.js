@@ -0,0 +1,203 @@
+import "./helpers/env.js";
+import fs from "fs";
+import { setTimeout as sleep } from "timers/promises";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Video } from "../src/models/video.model.js";
+import { Upload } from "../src/models/upload.model.js";
+import { localProvider } from "../src/utils/storage/local.provider.js";
+import { TUS_VERSION, UPLOAD_QUOTA } from "../src/constants.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+import { removeLocalFile } from "./helpers/storage.js";
+
+const FILE = Buffer.from("not really a video, but long enough to split");
+
+const encodeMetadata = (metadata) =>
+  Object.entries(metadata)
+    .map(([key, value]) => `${key} ${Buffer.from(value).toString("base64")}`)
+    .join(",");
+
+describe("resumable uploads", () => {
+  const db = useTestDb();
+  const publishedKeys = [];
+  let server;
+  let uploader;
+
+  before(async () => {
+    server = await startApp();
+    process.env.BASE_URL = server.url;
+  });
+
+  after(async () => {
+    await server.close();
+    for (const key of publishedKeys) {
+      await removeLocalFile(key);
+    }
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+    uploader = await createSignedInUser();
+  });
+
+  // unfinished uploads keep a partial file on disk
+  afterEach(async () => {
+    for (const upload of await Upload.find()) {
+      await fs.promises.rm(upload.filePath, { force: true });
+    }
+  });
+
+  const tus = (method, url, headers = {}, body) =>
+    fetch(url, {
+      method,
+      headers: {
+        ...uploader.headers,
+        "Tus-Resumable": TUS_VERSION,
+        ...headers,
+      },
+      body,
+    });
+
+  const createUpload = async ({ length = FILE.length, title } = {}) => {
+    const response = await tus("POST", `${server.url}/api/v1/uploads`, {
+      "Upload-Length": String(length),
+      "Upload-Metadata": encodeMetadata({
+        filename: "video.mp4",
+        title: title ?? `video ${Math.random()}`,
+        description: "a video",
+      }),
+    });
+    return {
+      status: response.status,
+      location: response.headers.get("location"),
+    };
+  };
+
+  const sendChunk = (location, offset, chunk) =>
+    tus(
+      "PATCH",
+      location,
+      {
+        "Content-Type": "application/offset+octet-stream",
+        "Upload-Offset": String(offset),
+      },
+      chunk
+    );
+
+  const waitForStatus = async (location, status) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const response = await fetch(location, { headers: uploader.headers });
+      const { data } = await response.json();
+      if (data.status === status) return data;
+      await sleep(50);
+    }
+    assert.fail(`upload did not become ${status}`);
+  };
+
+  it("resumes from the offset and publishes the finished video", async () => {
+    const { status, location } = await createUpload({ title: "resumed" });
+    assert.equal(status, 201);
+    assert.match(location, /\/api\/v1\/uploads\/[0-9a-f]{24}$/);
+
+    const half = Math.floor(FILE.length / 2);
+    const first = await sendChunk(location, 0, FILE.subarray(0, half));
+    assert.equal(first.status, 204);
+    assert.equal(first.headers.get("upload-offset"), String(half));
+
+    // a client that lost the connection asks where to go on
+    const head = await tus("HEAD", location);
+    assert.equal(head.status, 200);
+    assert.equal(head.headers.get("upload-offset"), String(half));
+    assert.equal(head.headers.get("upload-length"), String(FILE.length));
+
+    const last = await sendChunk(location, half, FILE.subarray(half));
+    assert.equal(last.status, 204);
+    assert.equal(last.headers.get("upload-offset"), String(FILE.length));
+
+    const upload = await waitForStatus(location, "published");
+    const video = await Video.findById(upload.video);
+    publishedKeys.push(video.videofileAsset.key);
+    assert.equal(video.title, "resumed");
+    assert.equal(video.owner.toString(), uploader.user._id.toString());
+    assert.deepEqual(
+      await fs.promises.readFile(localProvider.path(video.videofileAsset.key)),
+      FILE
+    );
+  });
+
+  it("refuses chunks at the wrong offset", async () => {
+    const { location } = await createUpload();
+
+    const response = await sendChunk(location, 5, FILE);
+
+    assert.equal(response.status, 409);
+    assert.equal(
+      (await tus("HEAD", location)).headers.get("upload-offset"),
+      "0"
+    );
+  });
+
+  it("refuses more bytes than the upload length", async () => {
+    const { location } = await createUpload({ length: 4 });
+
+    const response = await sendChunk(location, 0, FILE);
+
+    assert.equal(response.status, 413);
+  });
+
+  it("only speaks its own tus version", async () => {
+    const { location } = await createUpload();
+
+    const response = await tus("HEAD", location, { "Tus-Resumable": "0.2.2" });
+
+    assert.equal(response.status, 412);
+    assert.equal(response.headers.get("tus-version"), TUS_VERSION);
+  });
+
+  it("limits the number of unfinished uploads", async () => {
+    for (let upload = 0; upload < UPLOAD_QUOTA.maxActiveUploads; upload++) {
+      assert.equal((await createUpload()).status, 201);
+    }
+
+    assert.equal((await createUpload()).status, 403);
+    assert.equal(
+      (await createUpload({ length: UPLOAD_QUOTA.maxFileSize + 1 })).status,
+      413
+    );
+  });
+
+  it("keeps uploads to their owner", async () => {
+    const { location } = await createUpload();
+    const stranger = await createSignedInUser();
+
+    const response = await fetch(location, {
+      method: "HEAD",
+      headers: { ...stranger.headers, "Tus-Resumable": TUS_VERSION },
+    });
+
+    assert.equal(response.status, 404);
+  });
+
+  it("stops accepting chunks once the upload expired", async () => {
+    const { location } = await createUpload();
+    await Upload.updateMany(
+      {},
+      { $set: { expiresAt: new Date(Date.now() - 1000) } }
+    );
+
+    assert.equal((await sendChunk(location, 0, FILE)).status, 410);
+  });
+
+  it("removes a cancelled upload with its partial file", async () => {
+    const { location } = await createUpload();
+    await sendChunk(location, 0, FILE.subarray(0, 4));
+    const [{ filePath }] = await Upload.find();
+
+    assert.equal((await tus("DELETE", location)).status, 204);
+
+    assert.equal((await tus("HEAD", location)).status, 404);
+    assert.equal(fs.existsSync(filePath), false);
+  });
+});
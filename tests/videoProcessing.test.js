@@ -0,0 +1,85 @@
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Video } from "../src/models/video.model.js";
+import {
+  processQueuedVideos,
+  requeueStaleVideos,
+} from "../src/jobs/videoProcessing.job.js";
+import { useTestDb } from "./helpers/db.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+describe("video processing job", () => {
+  const db = useTestDb();
+  const ffmpegPath = process.env.FFMPEG_PATH;
+  let owner;
+
+  before(() => {
+    // the same on machines that have ffmpeg
+    process.env.FFMPEG_PATH = "/nonexistent/ffmpeg";
+  });
+
+  after(() => {
+    if (ffmpegPath === undefined) delete process.env.FFMPEG_PATH;
+    else process.env.FFMPEG_PATH = ffmpegPath;
+  });
+
+  beforeEach(async () => {
+    await db.reset();
+    owner = await createSignedInUser();
+  });
+
+  const createVideo = (fields) =>
+    Video.create({
+      title: `video ${Math.random()}`,
+      description: "a video",
+      videofile: "https://example.com/video.mp4",
+      duration: 0,
+      owner: owner.user._id,
+      ...fields,
+    });
+
+  it("fails queued videos when ffmpeg is not installed", async () => {
+    const video = await createVideo({ processingStatus: "queued" });
+
+    await processQueuedVideos();
+
+    const failed = await Video.findById(video._id);
+    assert.equal(failed.processingStatus, "failed");
+    assert.match(failed.processingError, /ffmpeg is not installed/);
+  });
+
+  it("leaves a long transcode alone while its heartbeat goes on", async () => {
+    const video = await createVideo({
+      processingStatus: "processing",
+      processingStartedAt: minutesAgo(5 * 60),
+      processingHeartbeatAt: minutesAgo(1),
+    });
+
+    await requeueStaleVideos();
+
+    const running = await Video.findById(video._id);
+    assert.equal(running.processingStatus, "processing");
+  });
+
+  it("queues a video again once its heartbeat stopped", async () => {
+    const stale = await createVideo({
+      processingStatus: "processing",
+      processingStartedAt: minutesAgo(30),
+      processingHeartbeatAt: minutesAgo(20),
+    });
+    const fromBeforeHeartbeats = await createVideo({
+      processingStatus: "processing",
+      processingStartedAt: minutesAgo(20),
+    });
+
+    await requeueStaleVideos();
+
+    for (const video of [stale, fromBeforeHeartbeats]) {
+      const requeued = await Video.findById(video._id);
+      assert.equal(requeued.processingStatus, "queued");
+    }
+  });
+});
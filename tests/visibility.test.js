@@ -0,0 +1,132 @@
+import "./helpers/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Video } from "../src/models/video.model.js";
+import { Playlist } from "../src/models/playlist.model.js";
+import { publishScheduledVideos } from "../src/jobs/videoScheduler.job.js";
+import { useTestDb } from "./helpers/db.js";
+import { startApp } from "./helpers/server.js";
+import { createSignedInUser } from "./helpers/users.js";
+
+const HOUR = 60 * 60 * 1000;
+
+describe("video visibility", () => {
+  const db = useTestDb();
+  let server;
+  let owner;
+  let viewer;
+  let videos;
+
+  before(async () => {
+    server = await startApp();
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    await db.reset();
+    owner = await createSignedInUser();
+    viewer = await createSignedInUser();
+
+    const createVideo = (title, fields) =>
+      Video.create({
+        title,
+        description: "a video",
+        videofile: "https://example.com/video.mp4",
+        duration: 60,
+        processingStatus: "ready",
+        owner: owner.user._id,
+        ...fields,
+      });
+
+    videos = {
+      public: await createVideo("public"),
+      unlisted: await createVideo("unlisted", { visibility: "unlisted" }),
+      private: await createVideo("private", { visibility: "private" }),
+      shared: await createVideo("shared", {
+        visibility: "private",
+        allowedViewers: [viewer.user._id],
+      }),
+      scheduled: await createVideo("scheduled", {
+        visibility: "scheduled",
+        publishAt: new Date(Date.now() + HOUR),
+      }),
+    };
+  });
+
+  const get = async (path, { headers }) => {
+    const response = await fetch(`${server.url}/api/v1${path}`, { headers });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const titles = (list) => list.map((video) => video.title).sort();
+
+  it("only lists public videos", async () => {
+    const response = await get("/video", viewer);
+
+    assert.equal(response.status, 200, response.body.message);
+    assert.deepEqual(titles(response.body.data.paginatedResults), ["public"]);
+  });
+
+  it("opens videos by link for the users who may see them", async () => {
+    const stranger = await createSignedInUser();
+    const canOpen = async (user) => {
+      const visible = [];
+      for (const [name, video] of Object.entries(videos)) {
+        const response = await get(`/video/${video._id}`, user);
+        if (response.status === 200) visible.push(name);
+        else assert.equal(response.status, 404);
+      }
+      return visible.sort();
+    };
+
+    assert.deepEqual(await canOpen(stranger), ["public", "unlisted"]);
+    assert.deepEqual(await canOpen(viewer), ["public", "shared", "unlisted"]);
+    assert.deepEqual(await canOpen(owner), Object.keys(videos).sort());
+  });
+
+  it("leaves hidden videos out of playlists", async () => {
+    const playlist = await Playlist.create({
+      name: "mixed",
+      description: "a playlist",
+      owner: owner.user._id,
+      videos: Object.values(videos).map((video) => video._id),
+    });
+
+    const response = await get(`/playlist/${playlist._id}`, viewer);
+
+    assert.equal(response.status, 200, response.body.message);
+    assert.deepEqual(
+      response.body.data.videos.sort(),
+      [videos.public, videos.unlisted, videos.shared]
+        .map((video) => video._id.toString())
+        .sort()
+    );
+  });
+
+  it("publishes scheduled videos once their time has come", async () => {
+    const due = await Video.create({
+      title: "due",
+      description: "a video",
+      videofile: "https://example.com/video.mp4",
+      duration: 60,
+      processingStatus: "ready",
+      owner: owner.user._id,
+      visibility: "scheduled",
+      publishAt: new Date(Date.now() - 1000),
+    });
+
+    await publishScheduledVideos();
+
+    assert.equal((await Video.findById(due._id)).visibility, "public");
+    assert.equal(
+      (await Video.findById(videos.scheduled._id)).visibility,
+      "scheduled"
+    );
+    const listed = await get("/video", viewer);
+    assert.deepEqual(titles(listed.body.data.paginatedResults), [
+      "due",
+      "public",
+    ]);
+  });
+});